@@ -125,3 +125,10 @@ export class Animator extends Component {
         }
     }
 }
+
+/**
+ * Fields saved by Serializer
+ */
+Animator.serializable = [
+    'active', 'spriteRenderer', 'animations', 'currentAnimation', 'currentFrame', 'frameTime', 'isPlaying', 'loop'
+];
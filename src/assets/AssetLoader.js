@@ -160,6 +160,18 @@ export class AssetLoader {
         return this.assets.get(name);
     }
 
+    /**
+     * Gets the name an asset was loaded under
+     * @param {any} asset - Loaded asset
+     * @returns {string|null}
+     */
+    getKey(asset) {
+        for (const [name, value] of this.assets) {
+            if (value === asset) return name;
+        }
+        return null;
+    }
+
     /**
      * Checks if an asset exists
      * @param {string} name - Asset name
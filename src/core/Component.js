@@ -40,6 +40,35 @@ export class Component {
         // Override in subclass
     }
 
+    /**
+     * Adds simulation state kept by the component to a checksum (see Engine.getChecksum)
+     * @param {Checksum} checksum - Checksum
+     */
+    writeChecksum(checksum) {
+        // Override in subclass
+    }
+
+    /**
+     * Called when a pool spawns the object, e.g. to reset state left from its last use
+     */
+    onSpawn() {
+        // Override in subclass
+    }
+
+    /**
+     * Called when the object is returned to its pool
+     */
+    onDespawn() {
+        // Override in subclass
+    }
+
+    /**
+     * Called after the component is loaded from saved data and its references are resolved
+     */
+    onDeserialize() {
+        // Override in subclass
+    }
+
     /**
      * Called when component is destroyed
      */
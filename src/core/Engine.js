@@ -1,3 +1,8 @@
+import { Random } from '../utils/Random.js';
+import { Checksum } from '../utils/Checksum.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { Transition } from '../rendering/Transition.js';
+
 /**
  * Bounce Engine (be) - Main Engine Class
  * @class Engine
@@ -13,41 +18,75 @@ export class Engine {
      * @param {string} config.backgroundColor - Background color (default: '#000000')
      * @param {boolean} config.antialias - Enable antialiasing (default: true)
      * @param {number} config.targetFPS - Target frames per second (default: 60)
+     * @param {boolean} config.headless - Run without a DOM; no canvas is created unless one is injected (default: false)
+     * @param {HTMLCanvasElement|Object} config.canvas - Canvas (or canvas-like object exposing getContext) to render into
+     * @param {Object} config.scheduler - Frame scheduler {request(callback), cancel(id)} (default: requestAnimationFrame)
+     * @param {Function} config.clock - Time source returning milliseconds (default: performance.now)
+     * @param {boolean} config.deterministic - Only advance in whole fixed steps and checksum the world after each (default: false)
+     * @param {number} config.seed - Seed of the engine's Random and, derived from it, of effectsRandom (default: a random seed)
      */
     constructor(config = {}) {
         this.config = {
             width: config.width || 800,
             height: config.height || 600,
-            parent: config.parent || document.body,
+            parent: config.parent || (config.headless ? null : document.body),
             backgroundColor: config.backgroundColor || '#000000',
             antialias: config.antialias !== false,
-            targetFPS: config.targetFPS || 60
+            targetFPS: config.targetFPS || 60,
+            headless: config.headless || false
         };
 
+        // Deterministic simulation (replays, lockstep): same seed and inputs give bit-identical steps
+        this.deterministic = config.deterministic || false;
+        this.random = new Random(config.seed);
+        // Cosmetic effects (particles, camera shake) draw from their own generator, so turning
+        // them up, down or off never shifts the simulation's random sequence
+        this.effectsRandom = new Random(this.random.seed ^ Engine.EFFECTS_SEED_SALT);
+        this.tick = 0; // Fixed steps simulated
+        this.checksum = null; // Checksum of the world after the last fixed step (deterministic mode)
+
         // Core state
         this.isRunning = false;
         this.isPaused = false;
-        this.currentScene = null;
         this.scenes = new Map();
+        this.sceneStack = []; // Active scenes, bottom to top; the top one is currentScene
+        this.transition = null; // Transition being played by transitionTo
+        this._transitionDone = null;
+
+        // Lifecycle events: 'transitionStart' and 'transitionEnd' with {from, to, transition}
+        this.events = new EventEmitter();
         
         // Timing
         this.lastTime = 0;
         this.deltaTime = 0;
         this.fixedDeltaTime = 1 / 60; // 60 FPS for physics
         this.accumulator = 0;
+        this.alpha = 1; // How far the frame is between the last two fixed steps (for interpolation)
         this.fps = 0;
         this.frameCount = 0;
         this.fpsTime = 0;
         
-        // Create canvas
-        this.canvas = document.createElement('canvas');
-        this.canvas.width = this.config.width;
-        this.canvas.height = this.config.height;
-        this.ctx = this.canvas.getContext('2d', {
-            alpha: false,
-            antialias: this.config.antialias
+        // Time source and frame scheduler
+        this.clock = config.clock || (() => performance.now());
+        this.scheduler = config.scheduler || (this.config.headless ? null : {
+            request: (callback) => requestAnimationFrame(callback),
+            cancel: (id) => cancelAnimationFrame(id)
         });
-        this.config.parent.appendChild(this.canvas);
+        
+        // Create canvas (headless engines only render when a canvas is injected)
+        this.canvas = config.canvas || (this.config.headless ? null : document.createElement('canvas'));
+        this.ctx = null;
+        if (this.canvas) {
+            this.canvas.width = this.config.width;
+            this.canvas.height = this.config.height;
+            this.ctx = this.canvas.getContext('2d', {
+                alpha: false,
+                antialias: this.config.antialias
+            });
+            if (this.config.parent && !this.canvas.parentNode) {
+                this.config.parent.appendChild(this.canvas);
+            }
+        }
         
         // Animation frame ID
         this.animationFrameId = null;
@@ -60,11 +99,47 @@ export class Engine {
      */
     addScene(name, scene) {
         scene.engine = this;
+        if (this.deterministic) {
+            scene.physics.deterministic = true;
+        }
         this.scenes.set(name, scene);
     }
 
     /**
-     * Switches to a different scene
+     * Gets the scene on top of the stack
+     * @returns {Scene|null}
+     */
+    get currentScene() {
+        return this.sceneStack[this.sceneStack.length - 1] || null;
+    }
+
+    /**
+     * Replaces the scene on top of the stack: the old top exits and the new scene enters in
+     * its place, keeping its updateBelow and renderBelow. Null just pops the top scene.
+     * @param {Scene|null} scene - Scene
+     */
+    set currentScene(scene) {
+        const top = this.currentScene;
+        if (scene === top) return;
+        if (scene && this.sceneStack.includes(scene)) {
+            console.error(`Scene "${scene.name}" is already on the stack`);
+            return;
+        }
+
+        if (top) {
+            this.sceneStack.pop();
+            top.onExit();
+        }
+        if (scene) {
+            scene.updateBelow = top ? top.updateBelow : false;
+            scene.renderBelow = top ? top.renderBelow : false;
+            this._pushScene(scene);
+        }
+    }
+
+    /**
+     * Switches to a different scene immediately, exiting every scene on the stack.
+     * An async onEnter is not waited for.
      * @param {string} name - Scene name
      */
     setScene(name) {
@@ -74,12 +149,95 @@ export class Engine {
             return;
         }
 
-        if (this.currentScene) {
-            this.currentScene.onExit();
+        this._exitScenes();
+        this._pushScene(scene);
+    }
+
+    /**
+     * Pushes a scene on top of the stack, e.g. a pause menu or inventory. By default the
+     * scenes beneath stop updating and are hidden.
+     * @param {string} name - Scene name
+     * @param {Object} options - Options
+     * @param {boolean} options.updateBelow - Keep updating the scenes beneath (default: false)
+     * @param {boolean} options.renderBelow - Keep rendering the scenes beneath (default: false)
+     * @returns {Scene|null} The pushed scene
+     */
+    pushScene(name, options = {}) {
+        const scene = this.scenes.get(name);
+        if (!scene) {
+            console.error(`Scene "${name}" not found`);
+            return null;
+        }
+        if (this.sceneStack.includes(scene)) {
+            console.error(`Scene "${name}" is already on the stack`);
+            return null;
+        }
+
+        scene.updateBelow = options.updateBelow !== undefined ? options.updateBelow : false;
+        scene.renderBelow = options.renderBelow !== undefined ? options.renderBelow : false;
+        this._pushScene(scene);
+        return scene;
+    }
+
+    /**
+     * Launches a scene as an overlay, e.g. a HUD: pushed on top of the stack with the
+     * scenes beneath still updating and rendering
+     * @param {string} name - Scene name
+     * @param {Object} options - Options (see pushScene; both default to true)
+     * @returns {Scene|null} The launched scene
+     */
+    launchOverlay(name, options = {}) {
+        return this.pushScene(name, {
+            updateBelow: options.updateBelow !== undefined ? options.updateBelow : true,
+            renderBelow: options.renderBelow !== undefined ? options.renderBelow : true
+        });
+    }
+
+    /**
+     * Pops the scene on top of the stack, giving control back to the one beneath
+     * @returns {Scene|null} The popped scene
+     */
+    popScene() {
+        if (this.sceneStack.length <= 1) {
+            console.error('Cannot pop the last scene; use setScene to switch');
+            return null;
         }
 
-        this.currentScene = scene;
-        this.currentScene.onEnter();
+        const scene = this.sceneStack.pop();
+        scene.onExit();
+        return scene;
+    }
+
+    /**
+     * Switches to a different scene behind a transition. The old scene keeps running while it
+     * is covered; then it exits and the new scene's onEnter runs. If onEnter returns a Promise
+     * (e.g. it awaits an AssetLoader), the screen stays covered until it resolves and the new
+     * scene is neither updated nor rendered before that.
+     * @param {string} name - Scene name
+     * @param {Transition|string} transition - Transition, or the name of a built-in one (default: 'fade')
+     * @returns {Promise<boolean>} Resolves when the transition ends; false if it could not start
+     */
+    transitionTo(name, transition = 'fade') {
+        const scene = this.scenes.get(name);
+        if (!scene) {
+            console.error(`Scene "${name}" not found`);
+            return Promise.resolve(false);
+        }
+        if (this.transition) {
+            console.error('A scene transition is already playing');
+            return Promise.resolve(false);
+        }
+
+        const effect = typeof transition === 'string' ? Transition.create(transition) : transition;
+        if (!effect) return Promise.resolve(false);
+
+        this.transition = effect;
+        effect.begin(this.currentScene, scene);
+        this.events.emit('transitionStart', { from: effect.from, to: scene, transition: effect });
+
+        return new Promise((resolve) => {
+            this._transitionDone = resolve;
+        });
     }
 
     /**
@@ -89,8 +247,12 @@ export class Engine {
         if (this.isRunning) return;
         
         this.isRunning = true;
-        this.lastTime = performance.now();
-        this.gameLoop(this.lastTime);
+        this.lastTime = this.clock();
+        
+        // Without a scheduler the loop is driven manually via step()/advanceFrames()
+        if (this.scheduler) {
+            this.gameLoop(this.lastTime);
+        }
     }
 
     /**
@@ -98,8 +260,8 @@ export class Engine {
      */
     stop() {
         this.isRunning = false;
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
+        if (this.animationFrameId && this.scheduler) {
+            this.scheduler.cancel(this.animationFrameId);
             this.animationFrameId = null;
         }
     }
@@ -125,35 +287,256 @@ export class Engine {
     gameLoop(currentTime) {
         if (!this.isRunning) return;
 
-        this.animationFrameId = requestAnimationFrame((time) => this.gameLoop(time));
+        this.animationFrameId = this.scheduler.request((time) => this.gameLoop(time ?? this.clock()));
 
         // Calculate delta time (in seconds)
-        this.deltaTime = Math.min((currentTime - this.lastTime) / 1000, 0.1);
+        const deltaTime = Math.min((currentTime - this.lastTime) / 1000, 0.1);
         this.lastTime = currentTime;
 
-        // Calculate FPS
+        // Wall-clock time only decides how many fixed steps run, never how long they are.
+        // The frame is drawn once, between the last two steps.
+        if (this.deterministic) {
+            this._countFrame(deltaTime);
+            this.accumulator += deltaTime;
+            while (this.accumulator >= this.fixedDeltaTime) {
+                this.accumulator -= this.fixedDeltaTime;
+                this._advance(this.fixedDeltaTime);
+            }
+            if (this._isSimulating()) {
+                this._updateAlpha(this.accumulator);
+            }
+            this.render();
+            return;
+        }
+
+        this.step(deltaTime);
+    }
+
+    /**
+     * Advances the engine by a single frame. A deterministic engine always advances exactly
+     * one fixed step, whatever dt is passed.
+     * @param {number} dt - Frame delta time in seconds (default: fixedDeltaTime)
+     */
+    step(dt = this.fixedDeltaTime) {
+        if (this.deterministic) {
+            dt = this.fixedDeltaTime;
+        }
+
+        this._countFrame(dt);
+        this._advance(dt);
+        this.render();
+    }
+
+    /**
+     * Advances transitions, fixed steps and game logic by one frame, without rendering
+     * @private
+     * @param {number} dt - Frame delta time in seconds
+     */
+    _advance(dt) {
+        this.deltaTime = dt;
+
+        if (this.transition) {
+            this._updateTransition(this.deltaTime);
+        }
+
+        if (!this._isSimulating()) return;
+
+        if (this.deterministic) {
+            // Exactly one fixed step per frame; game logic gets the same dt and sees the latest step
+            this._fixedStep();
+            this._updateAlpha(this.fixedDeltaTime);
+        } else {
+            // Fixed timestep for physics
+            this.accumulator += this.deltaTime;
+            while (this.accumulator >= this.fixedDeltaTime) {
+                this._fixedStep();
+                this.accumulator -= this.fixedDeltaTime;
+            }
+            this._updateAlpha(this.accumulator);
+        }
+
+        // Variable timestep for game logic
+        for (const scene of this._getUpdatingScenes()) {
+            scene.update(this.deltaTime * scene.timeScale);
+        }
+    }
+
+    /**
+     * Counts a displayed frame towards fps
+     * @private
+     */
+    _countFrame(dt) {
         this.frameCount++;
-        this.fpsTime += this.deltaTime;
+        this.fpsTime += dt;
         if (this.fpsTime >= 1.0) {
             this.fps = this.frameCount;
             this.frameCount = 0;
             this.fpsTime = 0;
         }
+    }
 
-        if (!this.isPaused && this.currentScene) {
-            // Fixed timestep for physics
-            this.accumulator += this.deltaTime;
-            while (this.accumulator >= this.fixedDeltaTime) {
-                this.currentScene.fixedUpdate(this.fixedDeltaTime);
-                this.accumulator -= this.fixedDeltaTime;
+    /**
+     * Checks if the scenes are simulated: the engine is not paused and no scene is loading
+     * @private
+     */
+    _isSimulating() {
+        return !this.isPaused && this.sceneStack.length > 0 && !this._isLoading();
+    }
+
+    /**
+     * Sets how far the engine and each updating scene are between their last two fixed steps
+     * @private
+     * @param {number} leftover - Seconds since the last fixed step
+     */
+    _updateAlpha(leftover) {
+        this.alpha = Math.min(leftover / this.fixedDeltaTime, 1);
+        const updating = this._getUpdatingScenes();
+        for (const scene of this.sceneStack) {
+            scene.alpha = updating.includes(scene) ? this._getSceneAlpha(scene, leftover) : 1;
+        }
+    }
+
+    /**
+     * Advances the transition, switching scenes once the screen is covered
+     * @private
+     */
+    _updateTransition(dt) {
+        const transition = this.transition;
+        transition.elapsed += dt;
+
+        // Loading ends when onEnter resolves, not after a duration
+        if (transition.phase === 'loading' || transition.elapsed < transition.duration) return;
+
+        if (transition.phase === 'out') {
+            transition.phase = 'loading';
+            transition.elapsed = 0;
+            this._enterScene(transition.to).then(() => {
+                transition.phase = 'in';
+                transition.elapsed = 0;
+            });
+            return;
+        }
+
+        // Fully revealed
+        const done = this._transitionDone;
+        transition.phase = null;
+        this.transition = null;
+        this._transitionDone = null;
+        this.events.emit('transitionEnd', { from: transition.from, to: transition.to, transition });
+        done(true);
+    }
+
+    /**
+     * Exits the current scene and enters another, waiting for an async onEnter
+     * @private
+     */
+    async _enterScene(scene) {
+        this._exitScenes();
+        this.sceneStack.push(scene);
+        scene._accumulator = 0;
+        try {
+            await scene.onEnter();
+        } catch (error) {
+            console.error(`Scene "${scene.name}" failed to enter:`, error);
+        }
+    }
+
+    /**
+     * Checks if the current scene is still entering behind a transition
+     * @private
+     */
+    _isLoading() {
+        return this.transition !== null && this.transition.phase === 'loading';
+    }
+
+    /**
+     * Puts a scene on top of the stack and enters it
+     * @private
+     */
+    _pushScene(scene) {
+        this.sceneStack.push(scene);
+        scene._accumulator = 0;
+        scene.onEnter();
+    }
+
+    /**
+     * Exits every scene on the stack, top first, and empties it
+     * @private
+     */
+    _exitScenes() {
+        while (this.sceneStack.length > 0) {
+            this.sceneStack.pop().onExit();
+        }
+    }
+
+    /**
+     * Gets the scenes that update this frame, bottom to top: the top scene and those
+     * beneath it for as long as each layer lets the one below update. Paused scenes are left out.
+     * @private
+     */
+    _getUpdatingScenes() {
+        return this._getTopLayers('updateBelow').filter(scene => !scene.isPaused && scene.timeScale > 0);
+    }
+
+    /**
+     * Gets the scenes from the top of the stack down to the first one that does not let
+     * the layer below through, bottom to top
+     * @private
+     * @param {string} flag - 'updateBelow' or 'renderBelow'
+     */
+    _getTopLayers(flag) {
+        let bottom = this.sceneStack.length - 1;
+        while (bottom > 0 && this.sceneStack[bottom][flag]) {
+            bottom--;
+        }
+        return this.sceneStack.slice(Math.max(bottom, 0));
+    }
+
+    /**
+     * Runs one fixed step. Each updating scene advances by its time scale, so a scene at
+     * 0.5 steps every other time and one at 2 steps twice.
+     * @private
+     */
+    _fixedStep() {
+        for (const scene of this._getUpdatingScenes()) {
+            scene._accumulator += this.fixedDeltaTime * scene.timeScale;
+            while (scene._accumulator >= this.fixedDeltaTime) {
+                scene._accumulator -= this.fixedDeltaTime;
+                scene.fixedUpdate(this.fixedDeltaTime);
             }
+        }
+        this.tick++;
 
-            // Variable timestep for game logic and rendering
-            this.currentScene.update(this.deltaTime);
+        if (this.deterministic) {
+            this.checksum = this.getChecksum();
         }
+    }
 
-        // Render
-        this.render();
+    /**
+     * Computes a checksum of the simulation: the fixed step count, the state of the engine's
+     * Random and every scene on the stack (see Scene.writeChecksum). Two runs are in sync while their
+     * checksums after the same step match.
+     * @returns {string} 8-digit hex checksum
+     */
+    getChecksum() {
+        const checksum = new Checksum();
+        checksum.addNumber(this.tick);
+        checksum.addNumber(this.random.getState());
+        for (const scene of this.sceneStack) {
+            scene.writeChecksum(checksum);
+        }
+        return checksum.toString();
+    }
+
+    /**
+     * Advances the engine by a number of frames (useful for headless tests)
+     * @param {number} count - Number of frames
+     * @param {number} dt - Delta time per frame in seconds (default: fixedDeltaTime)
+     */
+    advanceFrames(count, dt = this.fixedDeltaTime) {
+        for (let i = 0; i < count; i++) {
+            this.step(dt);
+        }
     }
 
     /**
@@ -161,13 +544,31 @@ export class Engine {
      * @private
      */
     render() {
+        if (!this.ctx) return;
+
         // Clear canvas
         this.ctx.fillStyle = this.config.backgroundColor;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-        if (this.currentScene) {
-            this.currentScene.render(this.ctx);
+        if (!this._isLoading()) {
+            for (const scene of this._getTopLayers('renderBelow')) {
+                scene.render(this.ctx, scene.alpha);
+            }
         }
+
+        if (this.transition) {
+            this.transition.render(this.ctx, this.canvas.width, this.canvas.height);
+        }
+    }
+
+    /**
+     * Gets how far an updating scene is between its last two fixed steps
+     * @private
+     * @param {Scene} scene - Scene
+     * @param {number} leftover - Seconds since the engine's last fixed step
+     */
+    _getSceneAlpha(scene, leftover) {
+        return Math.min((scene._accumulator + leftover * scene.timeScale) / this.fixedDeltaTime, 1);
     }
 
     /**
@@ -176,8 +577,10 @@ export class Engine {
      * @param {number} height - New height
      */
     resize(width, height) {
-        this.canvas.width = width;
-        this.canvas.height = height;
+        if (this.canvas) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
         this.config.width = width;
         this.config.height = height;
     }
@@ -187,12 +590,16 @@ export class Engine {
      */
     destroy() {
         this.stop();
-        
-        if (this.currentScene) {
-            this.currentScene.onExit();
-        }
+        this._exitScenes();
         
         this.scenes.clear();
-        this.canvas.remove();
+        if (this.canvas && this.canvas.remove) {
+            this.canvas.remove();
+        }
     }
 }
+
+/**
+ * Mixed into the seed to seed effectsRandom, so it does not repeat the simulation's sequence
+ */
+Engine.EFFECTS_SEED_SALT = 0x9e3779b9;
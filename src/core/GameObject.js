@@ -1,3 +1,7 @@
+import { Serializer } from './Serializer.js';
+
+let nextObjectId = 1;
+
 /**
  * GameObject Class
  * @class GameObject
@@ -10,12 +14,15 @@ export class GameObject {
      * @param {number} y - Y position
      */
     constructor(x = 0, y = 0) {
+        this.id = nextObjectId++; // Unique, references in saved data point at it
         this.name = '';
         this.tag = '';
         this.active = true;
         this.visible = true;
         this.zIndex = 0;
         this.scene = null;
+        this.prefab = null; // Name of the prefab it was instantiated from
+        this.pool = null; // Pool it belongs to (see Scene.createPool)
         
         // Transform
         this.x = x;
@@ -23,6 +30,11 @@ export class GameObject {
         this.rotation = 0; // in radians
         this.scaleX = 1;
         this.scaleY = 1;
+
+        // Interpolation: rendered between its transforms after the last two fixed steps
+        this.interpolate = true;
+        this._previousTransform = null;
+        this._currentTransform = null;
         
         // Components
         this.components = [];
@@ -43,6 +55,34 @@ export class GameObject {
         }
     }
 
+    /**
+     * Called when a pool spawns the object
+     */
+    onSpawn() {
+        for (const component of this.components) {
+            if (component.onSpawn) {
+                component.onSpawn();
+            }
+        }
+        for (const child of this.children) {
+            child.onSpawn();
+        }
+    }
+
+    /**
+     * Called when the object is returned to its pool
+     */
+    onDespawn() {
+        for (const component of this.components) {
+            if (component.onDespawn) {
+                component.onDespawn();
+            }
+        }
+        for (const child of this.children) {
+            child.onDespawn();
+        }
+    }
+
     /**
      * Fixed update for physics
      * @param {number} dt - Fixed delta time
@@ -82,13 +122,15 @@ export class GameObject {
     /**
      * Render the game object
      * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} alpha - How far the frame is between the last two fixed steps, 0 to 1 (default: 1)
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         ctx.save();
         
         // Apply transform
-        ctx.translate(this.x, this.y);
-        ctx.rotate(this.rotation);
+        const transform = this.getInterpolatedTransform(alpha);
+        ctx.translate(transform.x, transform.y);
+        ctx.rotate(transform.rotation);
         ctx.scale(this.scaleX, this.scaleY);
         
         // Render components
@@ -101,13 +143,99 @@ export class GameObject {
         // Render children
         for (const child of this.children) {
             if (child.active && child.visible) {
-                child.render(ctx);
+                child.render(ctx, alpha);
             }
         }
         
         ctx.restore();
     }
 
+    /**
+     * Gets the transform to render: between the transforms after the last two fixed steps.
+     * An object moved since the last fixed step (in update, or teleported) is drawn where it is.
+     * @param {number} alpha - How far the frame is between the last two fixed steps, 0 to 1
+     * @returns {{x: number, y: number, rotation: number}}
+     */
+    getInterpolatedTransform(alpha) {
+        const previous = this._previousTransform;
+        const current = this._currentTransform;
+        if (!this.interpolate || !previous || !current ||
+            this.x !== current.x || this.y !== current.y || this.rotation !== current.rotation) {
+            return { x: this.x, y: this.y, rotation: this.rotation };
+        }
+
+        return {
+            x: previous.x + (current.x - previous.x) * alpha,
+            y: previous.y + (current.y - previous.y) * alpha,
+            rotation: previous.rotation + (current.rotation - previous.rotation) * alpha
+        };
+    }
+
+    /**
+     * Moves the object without interpolating from where it was, so it does not streak across
+     * the screen for a frame. Use it for respawns and portals inside fixedUpdate.
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} rotation - Rotation (default: unchanged)
+     */
+    teleport(x, y, rotation = this.rotation) {
+        this.x = x;
+        this.y = y;
+        this.rotation = rotation;
+        this.resetInterpolation();
+
+        // Bodies standing on it are not carried along, and it is not carried by what it stood on
+        if (this.scene?.physics) {
+            this.scene.physics.forgetSupports(this);
+        }
+    }
+
+    /**
+     * Forgets the previous transform, so the object is drawn where it is until the next fixed step
+     */
+    resetInterpolation() {
+        this._previousTransform = null;
+        this._currentTransform = null;
+    }
+
+    /**
+     * Records the transform before (previous) or after (current) a fixed step
+     * @private
+     * @param {string} which - '_previousTransform' or '_currentTransform'
+     */
+    _storeTransform(which) {
+        if (this.interpolate) {
+            this[which] = { x: this.x, y: this.y, rotation: this.rotation };
+        }
+        for (const child of this.children) {
+            child._storeTransform(which);
+        }
+    }
+
+    /**
+     * Adds the object's transform, component state and children to a checksum
+     * @param {Checksum} checksum - Checksum
+     */
+    writeChecksum(checksum) {
+        checksum.addBoolean(this.active)
+            .addNumber(this.x)
+            .addNumber(this.y)
+            .addNumber(this.rotation)
+            .addNumber(this.scaleX)
+            .addNumber(this.scaleY);
+
+        for (const component of this.components) {
+            if (component.writeChecksum) {
+                component.writeChecksum(checksum);
+            }
+        }
+
+        checksum.addNumber(this.children.length);
+        for (const child of this.children) {
+            child.writeChecksum(checksum);
+        }
+    }
+
     /**
      * Called when object is destroyed
      */
@@ -130,6 +258,9 @@ export class GameObject {
         if (this.scene && component.onStart) {
             component.onStart();
         }
+        if (this.scene) {
+            this.scene._registerComponent(component);
+        }
         return component;
     }
 
@@ -159,6 +290,9 @@ export class GameObject {
         const index = this.components.indexOf(component);
         if (index !== -1) {
             this.components.splice(index, 1);
+            if (this.scene) {
+                this.scene._unregisterComponent(component);
+            }
             if (component.onDestroy) {
                 component.onDestroy();
             }
@@ -172,6 +306,10 @@ export class GameObject {
     addChild(child) {
         child.parent = this;
         this.children.push(child);
+        child._setScene(this.scene);
+        if (this.scene) {
+            this.scene._registerObject(child);
+        }
     }
 
     /**
@@ -183,6 +321,22 @@ export class GameObject {
         if (index !== -1) {
             this.children.splice(index, 1);
             child.parent = null;
+            if (this.scene) {
+                this.scene._unregisterObject(child);
+            }
+            child._setScene(null);
+        }
+    }
+
+    /**
+     * Sets the scene of this object and its children
+     * @private
+     * @param {Scene|null} scene - Scene
+     */
+    _setScene(scene) {
+        this.scene = scene;
+        for (const child of this.children) {
+            child._setScene(scene);
         }
     }
 
@@ -206,9 +360,37 @@ export class GameObject {
     }
 
     /**
-     * Destroys this game object
+     * Saves this object, its components and children as JSON-safe data (see Serializer)
+     * @param {Object} options - Options; anything else is ignored, e.g. the key JSON.stringify passes
+     * @param {AssetLoader} options.assets - Loader whose keys stand in for images and audio
+     * @returns {Object}
+     */
+    toJSON(options = {}) {
+        return new Serializer(typeof options === 'object' && options !== null ? options : {}).writeObject(this);
+    }
+
+    /**
+     * Loads an object saved by toJSON. References to objects outside it are left null.
+     * @param {Object} data - Saved object
+     * @param {Object} options - Options
+     * @param {AssetLoader} options.assets - Loader to look up images and audio in
+     * @returns {GameObject}
+     */
+    static fromJSON(data, options = {}) {
+        const serializer = new Serializer(options);
+        const obj = serializer.readObject(data);
+        serializer.finish();
+        return obj;
+    }
+
+    /**
+     * Destroys this game object. A pooled object is returned to its pool instead.
      */
     destroy() {
+        if (this.pool) {
+            this.pool.despawn(this);
+            return;
+        }
         if (this.scene) {
             this.scene.remove(this);
         }
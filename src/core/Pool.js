@@ -0,0 +1,177 @@
+import { Prefab } from './Prefab.js';
+
+/**
+ * Pool Class
+ * @class Pool
+ * @description Recycles game objects of one kind, e.g. bullets. Pooled objects join their scene
+ * once and stay in it: despawned ones are deactivated and taken out of physics, spawning one
+ * reactivates it. Components can reset themselves in onSpawn and onDespawn. Create pools with
+ * Scene.createPool.
+ */
+export class Pool {
+    /**
+     * Creates a new Pool
+     * @param {Scene} scene - Scene the objects live in
+     * @param {Object} config - Configuration
+     * @param {string} config.name - Pool name (default: '')
+     * @param {Function} config.create - Creates a new object (default: instantiates the prefab)
+     * @param {string} config.prefab - Prefab to instantiate (default: the pool name)
+     * @param {number} config.maxSize - Most despawned objects kept for reuse; others are destroyed (default: Infinity)
+     * @param {number} config.maxActive - Most objects spawned at once; spawn returns null beyond it (default: Infinity)
+     * @param {number} config.prewarm - Objects to create up front (default: 0)
+     */
+    constructor(scene, config = {}) {
+        this.scene = scene;
+        this.name = config.name || '';
+        this.prefab = config.prefab || this.name;
+        this.create = config.create || (() => this._instantiatePrefab());
+        this.maxSize = config.maxSize !== undefined ? config.maxSize : Infinity;
+        this.maxActive = config.maxActive !== undefined ? config.maxActive : Infinity;
+
+        this.available = []; // Despawned, waiting to be reused
+        this.inUse = new Set(); // Spawned
+
+        // Statistics
+        this.stats = {
+            created: 0, // Objects made by create
+            reused: 0, // Spawns served by a despawned object
+            destroyed: 0, // Despawned objects destroyed because the pool was full
+            rejected: 0, // Spawns refused at maxActive
+            peakActive: 0 // Most objects spawned at once
+        };
+
+        if (config.prewarm) {
+            this.prewarm(config.prewarm);
+        }
+    }
+
+    /**
+     * Creates objects ahead of time, so spawning them later allocates nothing
+     * @param {number} count - Objects to have available
+     */
+    prewarm(count) {
+        while (this.available.length < count && this.available.length < this.maxSize) {
+            const obj = this._createObject();
+            if (!obj) return;
+            this.available.push(obj);
+        }
+    }
+
+    /**
+     * Spawns an object, reusing a despawned one when there is one
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} rotation - Rotation in radians (default: 0)
+     * @returns {GameObject|null} Null at maxActive
+     */
+    spawn(x = 0, y = 0, rotation = 0) {
+        if (this.inUse.size >= this.maxActive) {
+            this.stats.rejected++;
+            return null;
+        }
+
+        let obj = this.available.pop();
+        if (obj) {
+            this.stats.reused++;
+        } else {
+            obj = this._createObject();
+            if (!obj) return null;
+        }
+
+        this.inUse.add(obj);
+        this.stats.peakActive = Math.max(this.stats.peakActive, this.inUse.size);
+
+        obj.teleport(x, y, rotation);
+        obj.active = true;
+        this.scene._registerObject(obj);
+        obj.onSpawn();
+        return obj;
+    }
+
+    /**
+     * Despawns an object: deactivates it and keeps it for reuse, or destroys it if the pool is full
+     * @param {GameObject} obj - Object spawned by this pool
+     */
+    despawn(obj) {
+        if (!this.inUse.delete(obj)) return;
+
+        obj.onDespawn();
+        obj.active = false;
+        this.scene._unregisterObject(obj);
+
+        if (this.available.length < this.maxSize) {
+            this.available.push(obj);
+        } else {
+            this._destroyObject(obj);
+            this.stats.destroyed++;
+        }
+    }
+
+    /**
+     * Despawns every spawned object
+     */
+    despawnAll() {
+        for (const obj of [...this.inUse]) {
+            this.despawn(obj);
+        }
+    }
+
+    /**
+     * Destroys the despawned objects kept for reuse
+     */
+    clear() {
+        for (const obj of this.available) {
+            this._destroyObject(obj);
+        }
+        this.available = [];
+    }
+
+    /**
+     * Gets the pool's statistics
+     * @returns {{active: number, available: number, created: number, reused: number, destroyed: number, rejected: number, peakActive: number}}
+     */
+    getStats() {
+        return {
+            active: this.inUse.size,
+            available: this.available.length,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Creates an object and adds it to the scene, despawned
+     * @private
+     */
+    _createObject() {
+        const obj = this.create();
+        if (!obj) return null;
+
+        obj.pool = this;
+        obj.active = false;
+        this.scene.add(obj);
+        this.stats.created++;
+        return obj;
+    }
+
+    /**
+     * Removes an object from the scene for good
+     * @private
+     */
+    _destroyObject(obj) {
+        obj.pool = null;
+        this.scene.remove(obj);
+    }
+
+    /**
+     * Default create: an instance of the prefab
+     * @private
+     */
+    _instantiatePrefab() {
+        const prefab = Prefab.get(this.prefab);
+        if (!prefab) {
+            console.error(`Pool "${this.name}" has no create function and prefab "${this.prefab}" is not defined`);
+            return null;
+        }
+        return prefab.instantiate();
+    }
+}
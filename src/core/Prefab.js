@@ -0,0 +1,232 @@
+import { GameObject } from './GameObject.js';
+import { Serializer } from './Serializer.js';
+
+// Defined prefabs by name
+const prefabs = new Map();
+
+// Source of ids given to objects copied out of templates
+let nextTemplateId = 1;
+
+/**
+ * Prefab Class
+ * @class Prefab
+ * @description Template for a game object with its components and children. Each instance is a
+ * fresh copy, optionally with overrides. Templates are saved object data (see GameObject.toJSON);
+ * wherever a template has an object with a `prefab` key, that prefab is copied in, so prefabs
+ * can contain other prefabs and be variants of another.
+ *
+ * Overrides (also the other keys of a `prefab` entry) set object fields directly, plus:
+ * - `components`: {TypeName: fields} sets fields of the first component of that type, or adds one;
+ *   an array of saved components is added as is
+ * - `children`: {childName: overrides} overrides a child by name; an array of saved objects
+ *   (or prefab entries) is added as children
+ */
+export class Prefab {
+    /**
+     * Creates a new Prefab. Use Prefab.define to make it available by name.
+     * @param {string} name - Prefab name
+     * @param {GameObject|Object} template - Game object to copy, or saved object data (e.g. loaded JSON)
+     * @param {Object} options - Options
+     * @param {AssetLoader} options.assets - Loader to look up the template's saved asset keys in
+     */
+    constructor(name, template, options = {}) {
+        this.name = name;
+        this.assets = options.assets || null;
+
+        // A game object is copied now; later changes to it do not change the prefab
+        this.data = template instanceof GameObject
+            ? new Serializer({ shareUnregistered: true }).writeObject(template)
+            : template;
+    }
+
+    /**
+     * Creates an instance of the prefab. It is not added to a scene (see Scene.instantiate).
+     * @param {number} x - X position (default: the template's)
+     * @param {number} y - Y position (default: the template's)
+     * @param {Object} overrides - Overrides for this instance (see Prefab)
+     * @returns {GameObject|null} Null if a prefab it uses is not defined
+     * @throws {Error} If a prefab contains itself, directly or through other prefabs
+     */
+    instantiate(x, y, overrides = {}) {
+        const entry = { ...overrides, prefab: this.name };
+        if (x !== undefined) entry.x = x;
+        if (y !== undefined) entry.y = y;
+
+        const data = expand(entry, this);
+        if (!data) return null;
+
+        const obj = GameObject.fromJSON(data);
+        obj.prefab = this.name;
+        return obj;
+    }
+
+    /**
+     * Defines a prefab by name, replacing any with the same name
+     * @param {string} name - Prefab name
+     * @param {GameObject|Object} template - Game object to copy, or saved object data
+     * @param {Object} options - Options (see constructor)
+     * @returns {Prefab}
+     */
+    static define(name, template, options = {}) {
+        const prefab = new Prefab(name, template, options);
+        prefabs.set(name, prefab);
+        return prefab;
+    }
+
+    /**
+     * Gets a prefab by name
+     * @param {string} name - Prefab name
+     * @returns {Prefab|null}
+     */
+    static get(name) {
+        return prefabs.get(name) || null;
+    }
+
+    /**
+     * Removes a prefab
+     * @param {string} name - Prefab name
+     */
+    static remove(name) {
+        prefabs.delete(name);
+    }
+}
+
+/**
+ * Turns object data that may contain prefab entries into plain saved object data
+ * @private
+ * @param {Object} data - Object data
+ * @param {Prefab} self - Prefab being instantiated, so it is found even if not defined by name
+ * @param {string[]} chain - Names of the prefabs being expanded around this data, outermost first
+ * @returns {Object|null}
+ * @throws {Error} If a prefab contains itself, directly or through other prefabs
+ */
+function expand(data, self, chain = []) {
+    if (data.prefab === undefined) {
+        return {
+            ...data,
+            children: (data.children || []).map(child => expand(child, self, chain)).filter(Boolean)
+        };
+    }
+
+    // A prefab inside itself would be copied in forever
+    if (chain.includes(data.prefab)) {
+        throw new Error(`Prefab "${data.prefab}" contains itself: ${[...chain, data.prefab].join(' -> ')}`);
+    }
+
+    const prefab = data.prefab === self.name ? self : Prefab.get(data.prefab);
+    if (!prefab) {
+        console.error(`Prefab "${data.prefab}" not found`);
+        return null;
+    }
+
+    const { prefab: name, ...overrides } = data;
+    const inner = [...chain, name];
+    const base = expand(renumber(copyData(prefab.data, prefab.assets)), self, inner);
+    if (!base) return null;
+
+    applyOverrides(base, overrides, self, chain);
+    return base;
+}
+
+/**
+ * Applies overrides to expanded object data
+ * @private
+ */
+function applyOverrides(data, overrides, self, chain) {
+    for (const key of Object.keys(overrides)) {
+        const value = overrides[key];
+
+        if (key === 'components') {
+            if (Array.isArray(value)) {
+                data.components = (data.components || []).concat(value);
+                continue;
+            }
+            for (const type of Object.keys(value)) {
+                const component = (data.components || []).find(c => c.type === type);
+                if (component) {
+                    Object.assign(component, value[type]);
+                } else {
+                    data.components = (data.components || []).concat({ type, ...value[type] });
+                }
+            }
+        } else if (key === 'children') {
+            if (Array.isArray(value)) {
+                const added = value.map(child => expand(child, self, chain)).filter(Boolean);
+                data.children = (data.children || []).concat(added);
+                continue;
+            }
+            for (const childName of Object.keys(value)) {
+                const child = (data.children || []).find(c => c.name === childName);
+                if (child) {
+                    applyOverrides(child, value[childName], self, chain);
+                } else {
+                    console.warn(`Prefab child "${childName}" not found`);
+                }
+            }
+        } else {
+            data[key] = value;
+        }
+    }
+}
+
+/**
+ * Copies plain data (live values stay shared), replacing saved asset keys with the assets
+ * @private
+ */
+function copyData(data, assets) {
+    if (Array.isArray(data)) {
+        return data.map(item => copyData(item, assets));
+    }
+    if (data === null || typeof data !== 'object') return data;
+
+    const prototype = Object.getPrototypeOf(data);
+    if (prototype !== Object.prototype && prototype !== null) return data;
+
+    if (data.$asset !== undefined && assets) {
+        const asset = assets.get(data.$asset);
+        if (asset === undefined) {
+            console.warn(`Asset "${data.$asset}" is not loaded`);
+            return null;
+        }
+        return asset;
+    }
+
+    const copy = {};
+    for (const key of Object.keys(data)) {
+        copy[key] = copyData(data[key], assets);
+    }
+    return copy;
+}
+
+/**
+ * Gives the objects in copied template data new ids, pointing references inside it at them,
+ * so two copies in one instance never share an id
+ * @private
+ */
+function renumber(data) {
+    const ids = new Map();
+    const collect = (obj) => {
+        if (obj.id !== undefined) {
+            ids.set(obj.id, `t${nextTemplateId++}`);
+            obj.id = ids.get(obj.id);
+        }
+        if (Array.isArray(obj.children)) {
+            obj.children.forEach(collect);
+        }
+    };
+    collect(data);
+
+    const relink = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(relink);
+        } else if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+            if (value.$ref !== undefined && ids.has(value.$ref)) {
+                value.$ref = ids.get(value.$ref);
+            }
+            Object.values(value).forEach(relink);
+        }
+    };
+    relink(data.components);
+    relink(data.children);
+    return data;
+}
@@ -1,3 +1,12 @@
+import { Physics } from '../physics/Physics.js';
+import { Collider } from '../physics/Collider.js';
+import { RigidBody } from '../physics/RigidBody.js';
+import { Tilemap } from '../tilemap/Tilemap.js';
+import { TilemapCollider } from '../physics/TilemapCollider.js';
+import { Serializer } from './Serializer.js';
+import { Prefab } from './Prefab.js';
+import { Pool } from './Pool.js';
+
 /**
  * Scene Class
  * @class Scene
@@ -8,11 +17,43 @@ export class Scene {
         this.name = name;
         this.engine = null;
         this.gameObjects = [];
-        this.camera = null;
+        this._camera = null;
+        this.physics = new Physics(this);
+
+        // Stacking (see Engine.pushScene): whether the scenes beneath keep updating and rendering
+        this.updateBelow = false;
+        this.renderBelow = false;
+
+        // Time
+        this.isPaused = false;
+        this.timeScale = 1; // Speed of this scene's time, e.g. 0.5 for slow motion
+        this.alpha = 1; // How far the frame is between the last two fixed steps (for interpolation)
+        this._accumulator = 0; // Scaled time not yet simulated
+
+        this.pools = new Map(); // Object pools by name (see createPool)
         this._objectsToAdd = [];
         this._objectsToRemove = [];
     }
 
+    /**
+     * Gets the scene camera
+     * @returns {Camera|null}
+     */
+    get camera() {
+        return this._camera;
+    }
+
+    /**
+     * Sets the scene camera; it finds the engine (e.g. for shake randomness) through the scene
+     * @param {Camera|null} camera - Camera
+     */
+    set camera(camera) {
+        this._camera = camera;
+        if (camera) {
+            camera.scene = this;
+        }
+    }
+
     /**
      * Called when scene becomes active
      */
@@ -27,18 +68,46 @@ export class Scene {
         // Override in subclass
     }
 
+    /**
+     * Pauses this scene; it keeps rendering but no longer updates
+     */
+    pause() {
+        this.isPaused = true;
+    }
+
+    /**
+     * Resumes this scene
+     */
+    resume() {
+        this.isPaused = false;
+    }
+
     /**
      * Fixed update for physics (called at fixed intervals)
      * @param {number} dt - Fixed delta time
      */
     fixedUpdate(dt) {
         this._processPendingObjects();
+
+        // Rendering interpolates between the transforms before and after the step
+        for (const obj of this.gameObjects) {
+            obj._storeTransform('_previousTransform');
+        }
         
         for (const obj of this.gameObjects) {
             if (obj.active) {
                 obj.fixedUpdate(dt);
             }
         }
+
+        // Collision detection runs after rigid bodies have integrated
+        if (this.physics) {
+            this.physics.step(dt);
+        }
+
+        for (const obj of this.gameObjects) {
+            obj._storeTransform('_currentTransform');
+        }
     }
 
     /**
@@ -56,8 +125,9 @@ export class Scene {
     /**
      * Render the scene
      * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} alpha - How far the frame is between the last two fixed steps, 0 to 1 (default: 1)
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         ctx.save();
         
         // Apply camera transform if available
@@ -72,7 +142,7 @@ export class Scene {
 
         for (const obj of sortedObjects) {
             if (obj.active && obj.visible) {
-                obj.render(ctx);
+                obj.render(ctx, alpha);
             }
         }
 
@@ -84,8 +154,87 @@ export class Scene {
      * @param {GameObject} gameObject - Game object to add
      */
     add(gameObject) {
+        // Adding twice would update the object twice per step
+        if (this._objectsToAdd.includes(gameObject)) return;
+        if (this.gameObjects.includes(gameObject) && !this._objectsToRemove.includes(gameObject)) return;
+
         this._objectsToAdd.push(gameObject);
-        gameObject.scene = this;
+        gameObject._setScene(this);
+    }
+
+    /**
+     * Creates an instance of a prefab and adds it to the scene
+     * @param {string} name - Prefab name (see Prefab.define)
+     * @param {number} x - X position (default: the template's)
+     * @param {number} y - Y position (default: the template's)
+     * @param {Object} overrides - Overrides for this instance (see Prefab)
+     * @returns {GameObject|null}
+     */
+    instantiate(name, x, y, overrides = {}) {
+        const prefab = Prefab.get(name);
+        if (!prefab) {
+            console.error(`Prefab "${name}" not found`);
+            return null;
+        }
+
+        const obj = prefab.instantiate(x, y, overrides);
+        if (obj) {
+            this.add(obj);
+        }
+        return obj;
+    }
+
+    /**
+     * Creates an object pool, replacing any with the same name
+     * @param {string} name - Pool name; also the prefab it instantiates unless config.create or config.prefab is given
+     * @param {Object} config - Configuration (see Pool)
+     * @returns {Pool}
+     */
+    createPool(name, config = {}) {
+        const pool = new Pool(this, { ...config, name });
+        this.pools.set(name, pool);
+        return pool;
+    }
+
+    /**
+     * Gets an object pool by name
+     * @param {string} name - Pool name
+     * @returns {Pool|null}
+     */
+    getPool(name) {
+        return this.pools.get(name) || null;
+    }
+
+    /**
+     * Spawns an object from a pool. A prefab without a pool gets one with default settings.
+     * @param {string} name - Pool or prefab name
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} rotation - Rotation in radians (default: 0)
+     * @returns {GameObject|null}
+     */
+    spawn(name, x, y, rotation) {
+        let pool = this.pools.get(name);
+        if (!pool && Prefab.get(name)) {
+            pool = this.createPool(name);
+        }
+        if (!pool) {
+            console.error(`Pool "${name}" not found`);
+            return null;
+        }
+        return pool.spawn(x, y, rotation);
+    }
+
+    /**
+     * Returns a pooled object to its pool, or removes any other object
+     * @param {GameObject} gameObject - Game object
+     */
+    despawn(gameObject) {
+        if (gameObject.pool) {
+            gameObject.pool.despawn(gameObject);
+        } else {
+            this.remove(gameObject);
+        }
     }
 
     /**
@@ -93,7 +242,16 @@ export class Scene {
      * @param {GameObject} gameObject - Game object to remove
      */
     remove(gameObject) {
-        this._objectsToRemove.push(gameObject);
+        // An object removed before it was added never joins the scene
+        const pending = this._objectsToAdd.indexOf(gameObject);
+        if (pending !== -1) {
+            this._objectsToAdd.splice(pending, 1);
+            return;
+        }
+
+        if (!this._objectsToRemove.includes(gameObject)) {
+            this._objectsToRemove.push(gameObject);
+        }
     }
 
     /**
@@ -114,6 +272,73 @@ export class Scene {
         return this.gameObjects.filter(obj => obj.tag === tag);
     }
 
+    /**
+     * Adds the state of every game object to a checksum, in scene order
+     * @param {Checksum} checksum - Checksum
+     */
+    writeChecksum(checksum) {
+        checksum.addNumber(this.gameObjects.length);
+        for (const obj of this.gameObjects) {
+            obj.writeChecksum(checksum);
+        }
+    }
+
+    /**
+     * Saves the scene as JSON-safe data: its objects (including ones still pending), camera,
+     * gravity and joints. Objects and components are saved through the Serializer registry.
+     * @param {Object} options - Options; anything else is ignored, e.g. the key JSON.stringify passes
+     * @param {AssetLoader} options.assets - Loader whose keys stand in for images and audio
+     * @returns {Object}
+     */
+    toJSON(options = {}) {
+        const serializer = new Serializer(typeof options === 'object' && options !== null ? options : {});
+        const objects = this.gameObjects
+            .filter(obj => !this._objectsToRemove.includes(obj))
+            .concat(this._objectsToAdd)
+            .filter(obj => !obj.pool || obj.pool.inUse.has(obj)); // Despawned objects are not part of the state
+
+        return {
+            name: this.name,
+            gravity: this.physics ? this.physics.gravity : null,
+            camera: this.camera ? serializer.write(this.camera) : null,
+            objects: objects.map(obj => serializer.writeObject(obj)),
+            joints: this.physics ? this.physics.joints.map(joint => serializer.write(joint)).filter(Boolean) : []
+        };
+    }
+
+    /**
+     * Loads a scene saved by toJSON. Called on a subclass, it creates an instance of that subclass.
+     * The objects join the scene at the start of its first fixed step.
+     * @param {Object} data - Saved scene
+     * @param {Object} options - Options
+     * @param {AssetLoader} options.assets - Loader to look up images and audio in
+     * @returns {Scene}
+     */
+    static fromJSON(data, options = {}) {
+        const scene = new this(data.name);
+        const serializer = new Serializer(options);
+
+        const objects = (data.objects || []).map(objData => serializer.readObject(objData));
+        if (data.camera) {
+            scene.camera = serializer.read(data.camera);
+        }
+
+        // Joints are read last, so the bodies they connect exist
+        const joints = scene.physics ? (data.joints || []).map(jointData => serializer.read(jointData)) : [];
+        serializer.finish();
+
+        if (scene.physics && data.gravity !== null && data.gravity !== undefined) {
+            scene.physics.gravity = data.gravity;
+        }
+        for (const obj of objects) {
+            scene.add(obj);
+        }
+        for (const joint of joints) {
+            if (joint) scene.physics.addJoint(joint);
+        }
+        return scene;
+    }
+
     /**
      * Process pending add/remove operations
      * @private
@@ -124,6 +349,7 @@ export class Scene {
             const index = this.gameObjects.indexOf(obj);
             if (index !== -1) {
                 this.gameObjects.splice(index, 1);
+                this._unregisterObject(obj);
                 obj.onDestroy();
             }
         }
@@ -132,6 +358,10 @@ export class Scene {
         // Add objects
         for (const obj of this._objectsToAdd) {
             this.gameObjects.push(obj);
+            // Despawned pooled objects stay out of physics until spawned
+            if (!obj.pool || obj.pool.inUse.has(obj)) {
+                this._registerObject(obj);
+            }
             obj.onStart();
         }
         this._objectsToAdd = [];
@@ -142,10 +372,90 @@ export class Scene {
      */
     clear() {
         for (const obj of this.gameObjects) {
+            this._unregisterObject(obj);
             obj.onDestroy();
         }
         this.gameObjects = [];
         this._objectsToAdd = [];
         this._objectsToRemove = [];
+
+        // Pooled objects went with the rest
+        for (const pool of this.pools.values()) {
+            pool.available = [];
+            pool.inUse.clear();
+        }
+    }
+
+    /**
+     * Registers the components of an object (and its children) with scene systems
+     * @private
+     * @param {GameObject} obj - Game object
+     */
+    _registerObject(obj) {
+        for (const component of obj.components) {
+            this._registerComponent(component);
+        }
+        for (const child of obj.children) {
+            this._registerObject(child);
+        }
+    }
+
+    /**
+     * Unregisters the components of an object (and its children) from scene systems
+     * @private
+     * @param {GameObject} obj - Game object
+     */
+    _unregisterObject(obj) {
+        for (const component of obj.components) {
+            this._unregisterComponent(component);
+        }
+        for (const child of obj.children) {
+            this._unregisterObject(child);
+        }
+    }
+
+    /**
+     * Registers a component with scene systems (colliders, tilemaps and tilemap colliders go to physics)
+     * @private
+     * @param {Component} component - Component
+     */
+    _registerComponent(component) {
+        if (!this.physics) return;
+        if (!(component instanceof Collider || component instanceof Tilemap || component instanceof TilemapCollider)) return;
+
+        // Components added to pending or removed objects are picked up by _processPendingObjects
+        let root = component.gameObject;
+        while (root.parent) {
+            root = root.parent;
+        }
+        if (!this.gameObjects.includes(root)) return;
+        if (root.pool && !root.pool.inUse.has(root)) return; // Registered when spawned
+
+        if (component instanceof Tilemap) {
+            this.physics.addTilemap(component);
+        } else if (component instanceof TilemapCollider) {
+            this.physics.addTilemapCollider(component);
+        } else {
+            this.physics.addCollider(component);
+        }
+    }
+
+    /**
+     * Unregisters a component from scene systems (removing a body also removes its joints)
+     * @private
+     * @param {Component} component - Component
+     */
+    _unregisterComponent(component) {
+        if (!this.physics) return;
+
+        if (component instanceof Collider) {
+            this.physics.removeCollider(component);
+        } else if (component instanceof Tilemap) {
+            this.physics.removeTilemap(component);
+        } else if (component instanceof TilemapCollider) {
+            this.physics.removeTilemapCollider(component);
+        } else if (component instanceof RigidBody) {
+            this.physics.removeJoints(component);
+        }
     }
 }
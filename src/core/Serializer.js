@@ -0,0 +1,422 @@
+import { GameObject } from './GameObject.js';
+import { Component } from './Component.js';
+import { Camera } from '../rendering/Camera.js';
+import { SpriteRenderer } from '../rendering/SpriteRenderer.js';
+import { TextRenderer } from '../rendering/TextRenderer.js';
+import { RigidBody } from '../physics/RigidBody.js';
+import { BoxCollider, CircleCollider, PolygonCollider, CapsuleCollider } from '../physics/Collider.js';
+import { TilemapCollider } from '../physics/TilemapCollider.js';
+import { CharacterController2D } from '../physics/CharacterController2D.js';
+import { PhysicsMaterial } from '../physics/PhysicsMaterial.js';
+import { AreaEffector, PointEffector, GravityEffector, BuoyancyEffector } from '../physics/Effector.js';
+import { DistanceJoint, RopeJoint, SpringJoint, RevoluteJoint, WeldJoint } from '../physics/Joint.js';
+import { Tilemap } from '../tilemap/Tilemap.js';
+import { Animator } from '../animation/Animator.js';
+import { ParticleEmitter } from '../particles/ParticleEmitter.js';
+import { PlatformerController } from '../prefabs/PlatformerController.js';
+import { TopDownController } from '../prefabs/TopDownController.js';
+import { Vector2 } from '../utils/Math.js';
+
+// Registered types: name -> {type, create}, and class -> name
+const types = new Map();
+const typeNames = new Map();
+
+// Registered shared instances: name -> instance, and instance -> name
+const shared = new Map();
+const sharedNames = new Map();
+
+/**
+ * Serializer Class
+ * @class Serializer
+ * @description Converts game objects, components and other registered types to JSON-safe data
+ * and back. Saves the fields a class lists in its static `serializable` array (or, without one,
+ * its own fields not starting with _). References to game objects and components are saved by
+ * object id and resolved once everything is loaded; images and audio are saved as AssetLoader keys.
+ */
+export class Serializer {
+    /**
+     * Creates a new Serializer
+     * @param {Object} options - Options
+     * @param {AssetLoader} options.assets - Loader whose keys stand in for images and audio (default: none)
+     * @param {boolean} options.shareUnregistered - Keep values of unregistered types (e.g. images) as they
+     * are instead of dropping them; only for data that stays in memory (default: false)
+     */
+    constructor(options = {}) {
+        this.assets = options.assets || null;
+        this.shareUnregistered = options.shareUnregistered || false;
+
+        this._objects = new Map(); // Saved object id -> GameObject read
+        this._fixups = []; // References to objects not read yet
+        this._instances = []; // Instances read, told when loading is done
+    }
+
+    /**
+     * Registers a type so its instances can be saved and loaded
+     * @param {string} name - Name saved in the data
+     * @param {Function} type - Class
+     * @param {Function} create - Creates an instance from the loaded fields, before they are
+     * assigned (default: calls the constructor without arguments)
+     */
+    static register(name, type, create) {
+        types.set(name, { type, create: create || (() => new type()) });
+        typeNames.set(type, name);
+    }
+
+    /**
+     * Registers an instance that is shared rather than copied, e.g. a preset material. It is
+     * saved by name and loads as the same instance, so it stays shared.
+     * @param {string} name - Name saved in the data
+     * @param {Object} instance - Instance
+     */
+    static registerShared(name, instance) {
+        shared.set(name, instance);
+        sharedNames.set(instance, name);
+    }
+
+    /**
+     * Gets a registered type by name
+     * @param {string} name - Type name
+     * @returns {Function|null}
+     */
+    static getType(name) {
+        const entry = types.get(name);
+        return entry ? entry.type : null;
+    }
+
+    /**
+     * Gets the name an instance's class is registered under
+     * @param {Object} instance - Instance
+     * @returns {string|null}
+     */
+    static getTypeName(instance) {
+        return typeNames.get(instance.constructor) || null;
+    }
+
+    /**
+     * Gets the fields saved for an instance
+     * @param {Object} instance - Instance
+     * @returns {string[]}
+     */
+    static getFields(instance) {
+        if (instance.constructor.serializable) {
+            return instance.constructor.serializable;
+        }
+        return Object.keys(instance).filter(key => !key.startsWith('_') && key !== 'gameObject');
+    }
+
+    /**
+     * Saves a game object with its components and children
+     * @param {GameObject} obj - Game object
+     * @returns {Object}
+     */
+    writeObject(obj) {
+        return {
+            id: obj.id,
+            name: obj.name,
+            tag: obj.tag,
+            active: obj.active,
+            visible: obj.visible,
+            zIndex: obj.zIndex,
+            x: obj.x,
+            y: obj.y,
+            rotation: obj.rotation,
+            scaleX: obj.scaleX,
+            scaleY: obj.scaleY,
+            interpolate: obj.interpolate,
+            components: obj.components.map(component => this.writeInstance(component, 'type')).filter(Boolean),
+            children: obj.children.map(child => this.writeObject(child))
+        };
+    }
+
+    /**
+     * Saves the fields of a registered type's instance
+     * @param {Object} instance - Instance
+     * @param {string} typeKey - Key the type name is saved under (default: '$type')
+     * @returns {Object|null} Null if the type is not registered
+     */
+    writeInstance(instance, typeKey = '$type') {
+        const name = Serializer.getTypeName(instance);
+        if (!name) {
+            console.warn(`${instance.constructor.name} is not registered with Serializer and was not saved`);
+            return null;
+        }
+
+        const data = { [typeKey]: name };
+        for (const field of Serializer.getFields(instance)) {
+            const value = this.write(instance[field]);
+            if (value !== undefined) {
+                data[field] = value;
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Converts a value to JSON-safe data
+     * @param {*} value - Value
+     * @returns {*} Data, or undefined for values that are not saved (functions)
+     */
+    write(value) {
+        if (value === null || value === undefined) return null;
+
+        switch (typeof value) {
+            case 'number':
+                // JSON has no Infinity or NaN
+                return Number.isFinite(value) ? value : { $number: String(value) };
+            case 'string':
+            case 'boolean':
+                return value;
+            case 'object':
+                break;
+            default:
+                return undefined;
+        }
+
+        if (sharedNames.has(value)) {
+            return { $shared: sharedNames.get(value) };
+        }
+        if (value instanceof GameObject) {
+            return { $ref: value.id };
+        }
+        if (value instanceof Component) {
+            return value.gameObject
+                ? { $ref: value.gameObject.id, component: value.gameObject.components.indexOf(value) }
+                : null;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => {
+                const data = this.write(item);
+                return data === undefined ? null : data;
+            });
+        }
+        if (value instanceof Map) {
+            return { $map: [...value].map(([key, item]) => [this.write(key), this.write(item)]) };
+        }
+
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype === Object.prototype || prototype === null) {
+            const data = {};
+            for (const key of Object.keys(value)) {
+                const item = this.write(value[key]);
+                if (item !== undefined) {
+                    data[key] = item;
+                }
+            }
+            return data;
+        }
+
+        const key = this.assets ? this.assets.getKey(value) : null;
+        if (key !== null) {
+            return { $asset: key };
+        }
+        if (this.shareUnregistered && !Serializer.getTypeName(value)) {
+            return value;
+        }
+        return this.writeInstance(value);
+    }
+
+    /**
+     * Loads a game object saved by writeObject. It gets a new id; references to its saved id
+     * are pointed at it. Call finish once everything is read.
+     * @param {Object} data - Saved object
+     * @returns {GameObject}
+     */
+    readObject(data) {
+        const obj = new GameObject(data.x || 0, data.y || 0);
+        for (const field of ['name', 'tag', 'active', 'visible', 'zIndex', 'rotation', 'scaleX', 'scaleY', 'interpolate']) {
+            if (data[field] !== undefined) {
+                obj[field] = data[field];
+            }
+        }
+        if (data.id !== undefined) {
+            this._objects.set(data.id, obj);
+        }
+
+        for (const componentData of data.components || []) {
+            const component = this.readInstance(componentData, componentData.type);
+            if (component) {
+                obj.addComponent(component);
+            }
+        }
+        for (const childData of data.children || []) {
+            obj.addChild(this.readObject(childData));
+        }
+        return obj;
+    }
+
+    /**
+     * Loads an instance of a registered type saved by writeInstance
+     * @param {Object} data - Saved instance
+     * @param {string} name - Type name
+     * @returns {Object|null} Null if the type is not registered
+     */
+    readInstance(data, name) {
+        const entry = types.get(name);
+        if (!entry) {
+            console.error(`Type "${name}" is not registered with Serializer`);
+            return null;
+        }
+
+        const fields = {};
+        const firstFixup = this._fixups.length;
+        for (const key of Object.keys(data)) {
+            if (key === 'type' || key === '$type') continue;
+            fields[key] = this.read(data[key], fields, key);
+        }
+
+        const instance = entry.create(fields);
+        Object.assign(instance, fields);
+
+        // References still to resolve belong to the instance now
+        for (let i = firstFixup; i < this._fixups.length; i++) {
+            if (this._fixups[i].owner === fields) {
+                this._fixups[i].owner = instance;
+            }
+        }
+
+        this._instances.push(instance);
+        return instance;
+    }
+
+    /**
+     * Converts data from write back to a value
+     * @param {*} data - Data
+     * @param {Object} owner - Object the value is assigned to, for late references
+     * @param {string|number} key - Key the value is assigned to
+     * @returns {*}
+     */
+    read(data, owner = null, key = null) {
+        if (data === null || typeof data !== 'object') return data;
+
+        // Live values (shared images, objects passed in overrides) are used as they are
+        const prototype = Object.getPrototypeOf(data);
+        if (prototype !== Object.prototype && prototype !== null && !Array.isArray(data)) return data;
+
+        if (Array.isArray(data)) {
+            const array = [];
+            data.forEach((item, i) => {
+                array[i] = this.read(item, array, i);
+            });
+            return array;
+        }
+        if (data.$number !== undefined) {
+            return Number(data.$number);
+        }
+        if (data.$shared !== undefined) {
+            if (!shared.has(data.$shared)) {
+                console.warn(`Shared instance "${data.$shared}" is not registered`);
+                return null;
+            }
+            return shared.get(data.$shared);
+        }
+        if (data.$ref !== undefined) {
+            const target = this._resolve(data);
+            if (target !== undefined) return target;
+
+            this._fixups.push({ owner, key, ref: data });
+            return null;
+        }
+        if (data.$asset !== undefined) {
+            const asset = this.assets ? this.assets.get(data.$asset) : undefined;
+            if (asset === undefined) {
+                console.warn(`Asset "${data.$asset}" is not loaded`);
+                return null;
+            }
+            return asset;
+        }
+        if (data.$map !== undefined) {
+            const map = new Map();
+            for (const [keyData, itemData] of data.$map) {
+                const mapKey = this.read(keyData);
+                map.set(mapKey, this.read(itemData, map, mapKey));
+            }
+            return map;
+        }
+        if (data.$type !== undefined) {
+            return this.readInstance(data, data.$type);
+        }
+
+        const object = {};
+        for (const objectKey of Object.keys(data)) {
+            object[objectKey] = this.read(data[objectKey], object, objectKey);
+        }
+        return object;
+    }
+
+    /**
+     * Resolves references to objects read after them and calls onDeserialize on every
+     * instance read. References to objects that were never read are left null.
+     */
+    finish() {
+        for (const { owner, key, ref } of this._fixups) {
+            const target = this._resolve(ref);
+            if (target === undefined) {
+                console.warn(`Reference to object ${ref.$ref} not found`);
+                continue;
+            }
+
+            if (owner instanceof Map) {
+                owner.set(key, target);
+            } else {
+                owner[key] = target;
+            }
+        }
+        this._fixups = [];
+
+        for (const instance of this._instances) {
+            if (instance.onDeserialize) {
+                instance.onDeserialize();
+            }
+        }
+        this._instances = [];
+    }
+
+    /**
+     * Finds the object or component a reference points at
+     * @private
+     * @returns {GameObject|Component|null|undefined} Undefined if the object was not read (yet)
+     */
+    _resolve(ref) {
+        const obj = this._objects.get(ref.$ref);
+        if (!obj) return undefined;
+        if (ref.component === undefined) return obj;
+        return obj.components[ref.component] || null;
+    }
+}
+
+// Built-in components
+Serializer.register('SpriteRenderer', SpriteRenderer);
+Serializer.register('TextRenderer', TextRenderer);
+Serializer.register('RigidBody', RigidBody);
+Serializer.register('BoxCollider', BoxCollider);
+Serializer.register('CircleCollider', CircleCollider);
+Serializer.register('PolygonCollider', PolygonCollider, fields => new PolygonCollider(fields.points, fields.offset));
+Serializer.register('CapsuleCollider', CapsuleCollider);
+Serializer.register('TilemapCollider', TilemapCollider);
+Serializer.register('CharacterController2D', CharacterController2D);
+Serializer.register('Tilemap', Tilemap, () => new Tilemap({}));
+Serializer.register('Animator', Animator, () => new Animator(null));
+Serializer.register('ParticleEmitter', ParticleEmitter);
+Serializer.register('PlatformerController', PlatformerController);
+Serializer.register('TopDownController', TopDownController);
+
+// Built-in values
+Serializer.register('Camera', Camera);
+Serializer.register('PhysicsMaterial', PhysicsMaterial);
+Serializer.register('AreaEffector', AreaEffector);
+Serializer.register('PointEffector', PointEffector);
+Serializer.register('GravityEffector', GravityEffector);
+Serializer.register('BuoyancyEffector', BuoyancyEffector);
+Serializer.register('Vector2', Vector2);
+
+// Preset materials stay the presets
+Serializer.registerShared('PhysicsMaterial.Bouncy', PhysicsMaterial.Bouncy);
+Serializer.registerShared('PhysicsMaterial.Ice', PhysicsMaterial.Ice);
+Serializer.registerShared('PhysicsMaterial.Sticky', PhysicsMaterial.Sticky);
+
+// Joints need their bodies to be constructed
+Serializer.register('DistanceJoint', DistanceJoint, fields => new DistanceJoint(fields));
+Serializer.register('RopeJoint', RopeJoint, fields => new RopeJoint(fields));
+Serializer.register('SpringJoint', SpringJoint, fields => new SpringJoint(fields));
+Serializer.register('RevoluteJoint', RevoluteJoint, fields => new RevoluteJoint(fields));
+Serializer.register('WeldJoint', WeldJoint, fields => new WeldJoint(fields));
@@ -9,16 +9,27 @@ export { Engine } from './core/Engine.js';
 export { Scene } from './core/Scene.js';
 export { GameObject } from './core/GameObject.js';
 export { Component } from './core/Component.js';
+export { Serializer } from './core/Serializer.js';
+export { Prefab } from './core/Prefab.js';
+export { Pool } from './core/Pool.js';
 
 // Rendering
 export { Camera } from './rendering/Camera.js';
 export { SpriteRenderer } from './rendering/SpriteRenderer.js';
 export { TextRenderer } from './rendering/TextRenderer.js';
+export { Transition, FadeTransition, SlideTransition, WipeTransition, IrisTransition } from './rendering/Transition.js';
 
 // Physics
 export { RigidBody } from './physics/RigidBody.js';
-export { BoxCollider, CircleCollider, Collider } from './physics/Collider.js';
+export { BoxCollider, CircleCollider, PolygonCollider, CapsuleCollider, Collider } from './physics/Collider.js';
 export { Physics } from './physics/Physics.js';
+export { Broadphase, SpatialHashBroadphase, AABBTreeBroadphase } from './physics/Broadphase.js';
+export { Collision } from './physics/Collision.js';
+export { PhysicsMaterial } from './physics/PhysicsMaterial.js';
+export { CharacterController2D } from './physics/CharacterController2D.js';
+export { TilemapCollider } from './physics/TilemapCollider.js';
+export { Joint, DistanceJoint, RopeJoint, SpringJoint, RevoluteJoint, WeldJoint } from './physics/Joint.js';
+export { Effector, AreaEffector, PointEffector, GravityEffector, BuoyancyEffector } from './physics/Effector.js';
 
 // Input
 export { Input } from './input/Input.js';
@@ -46,6 +57,8 @@ export { AssetLoader } from './assets/AssetLoader.js';
 export { Vector2, MathUtils } from './utils/Math.js';
 export { Timer, TimerManager } from './utils/Timer.js';
 export { EventEmitter } from './utils/EventEmitter.js';
+export { Random } from './utils/Random.js';
+export { Checksum } from './utils/Checksum.js';
 export { StateMachine } from './utils/StateMachine.js';
 export { Debug } from './utils/Debug.js';
 
@@ -1,4 +1,8 @@
 import { Component } from '../core/Component.js';
+import { Random } from '../utils/Random.js';
+
+// Used by emitters outside an engine
+const fallbackRandom = new Random();
 
 /**
  * ParticleEmitter Component
@@ -77,33 +81,44 @@ export class ParticleEmitter extends Component {
      * @returns {Object}
      */
     createParticle() {
+        const random = this._getRandom();
         let x = this.gameObject.x;
         let y = this.gameObject.y;
 
         // Apply emission shape
         if (this.emissionShape === 'circle') {
-            const angle = Math.random() * Math.PI * 2;
-            const radius = Math.random() * this.emissionRadius;
+            const angle = random.next() * Math.PI * 2;
+            const radius = random.next() * this.emissionRadius;
             x += Math.cos(angle) * radius;
             y += Math.sin(angle) * radius;
         } else if (this.emissionShape === 'box') {
-            x += (Math.random() - 0.5) * this.emissionBox.width;
-            y += (Math.random() - 0.5) * this.emissionBox.height;
+            x += (random.next() - 0.5) * this.emissionBox.width;
+            y += (random.next() - 0.5) * this.emissionBox.height;
         }
 
         return {
             x,
             y,
-            vx: this.startVelocity.x + (Math.random() - 0.5) * this.velocityVariance.x,
-            vy: this.startVelocity.y + (Math.random() - 0.5) * this.velocityVariance.y,
-            lifetime: this.particleLifetime + (Math.random() - 0.5) * this.particleLifetimeVariance,
+            vx: this.startVelocity.x + (random.next() - 0.5) * this.velocityVariance.x,
+            vy: this.startVelocity.y + (random.next() - 0.5) * this.velocityVariance.y,
+            lifetime: this.particleLifetime + (random.next() - 0.5) * this.particleLifetimeVariance,
             age: 0,
-            size: this.startSize + (Math.random() - 0.5) * this.sizeVariance,
-            rotation: this.startRotation + (Math.random() - 0.5) * this.rotationVariance,
+            size: this.startSize + (random.next() - 0.5) * this.sizeVariance,
+            rotation: this.startRotation + (random.next() - 0.5) * this.rotationVariance,
             rotationSpeed: this.rotationSpeed
         };
     }
 
+    /**
+     * Gets the random number source: the engine's effectsRandom when there is one, never the
+     * simulation's random
+     * @private
+     * @returns {Random}
+     */
+    _getRandom() {
+        return this.engine?.effectsRandom || fallbackRandom;
+    }
+
     /**
      * Updates particles
      * @param {number} dt - Delta time
@@ -206,4 +221,21 @@ export class ParticleEmitter extends Component {
     clear() {
         this.particles = [];
     }
+
+    /**
+     * Called when the object is returned to its pool
+     */
+    onDespawn() {
+        this.clear();
+    }
 }
+
+/**
+ * Fields saved by Serializer
+ */
+ParticleEmitter.serializable = [
+    'active', 'emissionRate', 'maxParticles', 'autoEmit', 'particleLifetime', 'particleLifetimeVariance',
+    'startVelocity', 'velocityVariance', 'acceleration', 'startSize', 'endSize', 'sizeVariance',
+    'startColor', 'endColor', 'startAlpha', 'endAlpha', 'startRotation', 'rotationSpeed', 'rotationVariance',
+    'emissionShape', 'emissionRadius', 'emissionBox'
+];
@@ -0,0 +1,750 @@
+/**
+ * Broadphase Base Class
+ * @class Broadphase
+ * @description Spatial structure that culls collider pairs and queries before exact shape tests.
+ * AABBs are plain objects of the form {minX, minY, maxX, maxY}.
+ */
+export class Broadphase {
+    /**
+     * Inserts a collider
+     * @param {Collider} collider - Collider to insert
+     * @param {Object} aabb - Collider AABB
+     */
+    insert(collider, aabb) {
+        // Override in subclass
+    }
+
+    /**
+     * Updates the AABB of an inserted collider
+     * @param {Collider} collider - Collider to update
+     * @param {Object} aabb - New AABB
+     */
+    update(collider, aabb) {
+        // Override in subclass
+    }
+
+    /**
+     * Removes a collider
+     * @param {Collider} collider - Collider to remove
+     */
+    remove(collider) {
+        // Override in subclass
+    }
+
+    /**
+     * Finds colliders whose AABB overlaps an area
+     * @param {Object} aabb - Query AABB
+     * @returns {Collider[]}
+     */
+    query(aabb) {
+        return [];
+    }
+
+    /**
+     * Finds colliders whose AABB is crossed by a ray segment
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} dirX - Direction X (normalized)
+     * @param {number} dirY - Direction Y (normalized)
+     * @param {number} maxDistance - Max distance
+     * @returns {Collider[]}
+     */
+    raycast(x, y, dirX, dirY, maxDistance) {
+        return [];
+    }
+
+    /**
+     * Finds all pairs of colliders in this structure with overlapping AABBs
+     * @returns {Array<Array<Collider>>}
+     */
+    getPairs() {
+        return [];
+    }
+
+    /**
+     * Removes all colliders
+     */
+    clear() {
+        // Override in subclass
+    }
+
+    /**
+     * Checks if two AABBs overlap
+     * @param {Object} a - First AABB
+     * @param {Object} b - Second AABB
+     * @returns {boolean}
+     */
+    static overlaps(a, b) {
+        return a.minX <= b.maxX && a.maxX >= b.minX &&
+               a.minY <= b.maxY && a.maxY >= b.minY;
+    }
+
+    /**
+     * Checks if a ray segment crosses an AABB (slab test)
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} dirX - Direction X
+     * @param {number} dirY - Direction Y
+     * @param {number} maxDistance - Max distance
+     * @param {Object} aabb - AABB
+     * @returns {boolean}
+     */
+    static rayIntersects(x, y, dirX, dirY, maxDistance, aabb) {
+        let tMin = 0;
+        let tMax = maxDistance;
+
+        if (dirX === 0) {
+            if (x < aabb.minX || x > aabb.maxX) return false;
+        } else {
+            const t1 = (aabb.minX - x) / dirX;
+            const t2 = (aabb.maxX - x) / dirX;
+            tMin = Math.max(tMin, Math.min(t1, t2));
+            tMax = Math.min(tMax, Math.max(t1, t2));
+        }
+
+        if (dirY === 0) {
+            if (y < aabb.minY || y > aabb.maxY) return false;
+        } else {
+            const t1 = (aabb.minY - y) / dirY;
+            const t2 = (aabb.maxY - y) / dirY;
+            tMin = Math.max(tMin, Math.min(t1, t2));
+            tMax = Math.min(tMax, Math.max(t1, t2));
+        }
+
+        return tMin <= tMax;
+    }
+}
+
+/**
+ * Spatial Hash Broadphase
+ * @class SpatialHashBroadphase
+ * @extends Broadphase
+ * @description Uniform grid hash. Best for many similarly sized, fast-moving colliders (bullets, particles).
+ */
+export class SpatialHashBroadphase extends Broadphase {
+    /**
+     * Creates a new SpatialHashBroadphase
+     * @param {number} cellSize - Cell size in pixels (default: 64)
+     */
+    constructor(cellSize = 64) {
+        super();
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.entries = new Map();
+        this._nextId = 0;
+
+        // Occupied cell range, used to bound unlimited raycasts
+        this._minCellX = Infinity;
+        this._minCellY = Infinity;
+        this._maxCellX = -Infinity;
+        this._maxCellY = -Infinity;
+    }
+
+    /**
+     * Inserts a collider
+     * @param {Collider} collider - Collider to insert
+     * @param {Object} aabb - Collider AABB
+     */
+    insert(collider, aabb) {
+        const entry = { id: this._nextId++, collider, aabb, range: this._cellRange(aabb) };
+        this.entries.set(collider, entry);
+        this._addToCells(entry);
+    }
+
+    /**
+     * Updates the AABB of an inserted collider
+     * @param {Collider} collider - Collider to update
+     * @param {Object} aabb - New AABB
+     */
+    update(collider, aabb) {
+        const entry = this.entries.get(collider);
+        if (!entry) {
+            this.insert(collider, aabb);
+            return;
+        }
+
+        entry.aabb = aabb;
+        const range = this._cellRange(aabb);
+        const old = entry.range;
+
+        // Only rehash when the collider crossed a cell boundary
+        if (range.minX !== old.minX || range.minY !== old.minY ||
+            range.maxX !== old.maxX || range.maxY !== old.maxY) {
+            this._removeFromCells(entry);
+            entry.range = range;
+            this._addToCells(entry);
+        }
+    }
+
+    /**
+     * Removes a collider
+     * @param {Collider} collider - Collider to remove
+     */
+    remove(collider) {
+        const entry = this.entries.get(collider);
+        if (!entry) return;
+
+        this._removeFromCells(entry);
+        this.entries.delete(collider);
+    }
+
+    /**
+     * Finds colliders whose AABB overlaps an area
+     * @param {Object} aabb - Query AABB
+     * @returns {Collider[]}
+     */
+    query(aabb) {
+        const range = this._cellRange(aabb);
+        const found = new Set();
+        const result = [];
+
+        for (let cy = range.minY; cy <= range.maxY; cy++) {
+            for (let cx = range.minX; cx <= range.maxX; cx++) {
+                const cell = this.cells.get(this._key(cx, cy));
+                if (!cell) continue;
+
+                for (const entry of cell) {
+                    if (found.has(entry)) continue;
+                    found.add(entry);
+                    if (Broadphase.overlaps(entry.aabb, aabb)) {
+                        result.push(entry.collider);
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Finds colliders whose AABB is crossed by a ray segment (walks the grid with a DDA)
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} dirX - Direction X (normalized)
+     * @param {number} dirY - Direction Y (normalized)
+     * @param {number} maxDistance - Max distance
+     * @returns {Collider[]}
+     */
+    raycast(x, y, dirX, dirY, maxDistance) {
+        const result = [];
+        if (this.entries.size === 0) return result;
+
+        const size = this.cellSize;
+        let cx = Math.floor(x / size);
+        let cy = Math.floor(y / size);
+        const stepX = dirX > 0 ? 1 : -1;
+        const stepY = dirY > 0 ? 1 : -1;
+        const tDeltaX = dirX !== 0 ? Math.abs(size / dirX) : Infinity;
+        const tDeltaY = dirY !== 0 ? Math.abs(size / dirY) : Infinity;
+        let tMaxX = dirX !== 0 ? ((dirX > 0 ? cx + 1 : cx) * size - x) / dirX : Infinity;
+        let tMaxY = dirY !== 0 ? ((dirY > 0 ? cy + 1 : cy) * size - y) / dirY : Infinity;
+
+        const found = new Set();
+        let t = 0;
+
+        while (t <= maxDistance) {
+            const cell = this.cells.get(this._key(cx, cy));
+            if (cell) {
+                for (const entry of cell) {
+                    if (found.has(entry)) continue;
+                    found.add(entry);
+                    if (Broadphase.rayIntersects(x, y, dirX, dirY, maxDistance, entry.aabb)) {
+                        result.push(entry.collider);
+                    }
+                }
+            }
+
+            // Stop once the ray has left the occupied part of the grid
+            if (this._leavingGrid(cx, dirX, this._minCellX, this._maxCellX) ||
+                this._leavingGrid(cy, dirY, this._minCellY, this._maxCellY)) break;
+
+            if (tMaxX < tMaxY) {
+                t = tMaxX;
+                tMaxX += tDeltaX;
+                cx += stepX;
+            } else {
+                t = tMaxY;
+                tMaxY += tDeltaY;
+                cy += stepY;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Finds all pairs of colliders with overlapping AABBs
+     * @returns {Array<Array<Collider>>}
+     */
+    getPairs() {
+        const pairs = [];
+        const seen = new Set();
+
+        for (const cell of this.cells.values()) {
+            for (let i = 0; i < cell.length; i++) {
+                for (let j = i + 1; j < cell.length; j++) {
+                    const a = cell[i];
+                    const b = cell[j];
+                    const key = a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+
+                    if (Broadphase.overlaps(a.aabb, b.aabb)) {
+                        pairs.push([a.collider, b.collider]);
+                    }
+                }
+            }
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Removes all colliders
+     */
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this._minCellX = Infinity;
+        this._minCellY = Infinity;
+        this._maxCellX = -Infinity;
+        this._maxCellY = -Infinity;
+    }
+
+    /**
+     * Gets the cell range covered by an AABB
+     * @private
+     */
+    _cellRange(aabb) {
+        return {
+            minX: Math.floor(aabb.minX / this.cellSize),
+            minY: Math.floor(aabb.minY / this.cellSize),
+            maxX: Math.floor(aabb.maxX / this.cellSize),
+            maxY: Math.floor(aabb.maxY / this.cellSize)
+        };
+    }
+
+    /**
+     * Checks if a cell coordinate is outside the occupied range and not heading back into it
+     * @private
+     */
+    _leavingGrid(cell, dir, min, max) {
+        if (dir === 0) return cell < min || cell > max;
+        return dir > 0 ? cell > max : cell < min;
+    }
+
+    /**
+     * Gets the hash key of a cell
+     * @private
+     */
+    _key(cx, cy) {
+        return `${cx},${cy}`;
+    }
+
+    /**
+     * Adds an entry to every cell it covers
+     * @private
+     */
+    _addToCells(entry) {
+        const range = entry.range;
+        for (let cy = range.minY; cy <= range.maxY; cy++) {
+            for (let cx = range.minX; cx <= range.maxX; cx++) {
+                const key = this._key(cx, cy);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(entry);
+            }
+        }
+
+        this._minCellX = Math.min(this._minCellX, range.minX);
+        this._minCellY = Math.min(this._minCellY, range.minY);
+        this._maxCellX = Math.max(this._maxCellX, range.maxX);
+        this._maxCellY = Math.max(this._maxCellY, range.maxY);
+    }
+
+    /**
+     * Removes an entry from every cell it covers
+     * @private
+     */
+    _removeFromCells(entry) {
+        const range = entry.range;
+        for (let cy = range.minY; cy <= range.maxY; cy++) {
+            for (let cx = range.minX; cx <= range.maxX; cx++) {
+                const key = this._key(cx, cy);
+                const cell = this.cells.get(key);
+                if (!cell) continue;
+
+                const index = cell.indexOf(entry);
+                if (index !== -1) {
+                    cell.splice(index, 1);
+                }
+                if (cell.length === 0) {
+                    this.cells.delete(key);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Dynamic AABB Tree Broadphase
+ * @class AABBTreeBroadphase
+ * @extends Broadphase
+ * @description Balanced bounding volume hierarchy with fattened leaves. Handles colliders of any
+ * size well and only restructures when a collider leaves its fattened AABB.
+ */
+export class AABBTreeBroadphase extends Broadphase {
+    /**
+     * Creates a new AABBTreeBroadphase
+     * @param {number} margin - Extra space added around leaf AABBs (default: 4)
+     */
+    constructor(margin = 4) {
+        super();
+        this.margin = margin;
+        this.root = null;
+        this.leaves = new Map();
+        this._nextId = 0;
+    }
+
+    /**
+     * Inserts a collider
+     * @param {Collider} collider - Collider to insert
+     * @param {Object} aabb - Collider AABB
+     */
+    insert(collider, aabb) {
+        const leaf = {
+            id: this._nextId++,
+            collider,
+            aabb: this._fatten(aabb),
+            parent: null,
+            left: null,
+            right: null,
+            height: 0
+        };
+        this.leaves.set(collider, leaf);
+        this._insertLeaf(leaf);
+    }
+
+    /**
+     * Updates the AABB of an inserted collider
+     * @param {Collider} collider - Collider to update
+     * @param {Object} aabb - New AABB
+     */
+    update(collider, aabb) {
+        const leaf = this.leaves.get(collider);
+        if (!leaf) {
+            this.insert(collider, aabb);
+            return;
+        }
+
+        // Still inside the fattened AABB: nothing to do
+        if (this._contains(leaf.aabb, aabb)) return;
+
+        this._removeLeaf(leaf);
+        leaf.aabb = this._fatten(aabb);
+        this._insertLeaf(leaf);
+    }
+
+    /**
+     * Removes a collider
+     * @param {Collider} collider - Collider to remove
+     */
+    remove(collider) {
+        const leaf = this.leaves.get(collider);
+        if (!leaf) return;
+
+        this._removeLeaf(leaf);
+        this.leaves.delete(collider);
+    }
+
+    /**
+     * Finds colliders whose AABB overlaps an area
+     * @param {Object} aabb - Query AABB
+     * @returns {Collider[]}
+     */
+    query(aabb) {
+        const result = [];
+        this._queryNodes(aabb, (leaf) => result.push(leaf.collider));
+        return result;
+    }
+
+    /**
+     * Finds colliders whose AABB is crossed by a ray segment
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} dirX - Direction X (normalized)
+     * @param {number} dirY - Direction Y (normalized)
+     * @param {number} maxDistance - Max distance
+     * @returns {Collider[]}
+     */
+    raycast(x, y, dirX, dirY, maxDistance) {
+        const result = [];
+        if (!this.root) return result;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!Broadphase.rayIntersects(x, y, dirX, dirY, maxDistance, node.aabb)) continue;
+
+            if (node.collider) {
+                result.push(node.collider);
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Finds all pairs of colliders with overlapping AABBs
+     * @returns {Array<Array<Collider>>}
+     */
+    getPairs() {
+        const pairs = [];
+
+        for (const leaf of this.leaves.values()) {
+            this._queryNodes(leaf.aabb, (other) => {
+                // Report each pair once
+                if (other.id > leaf.id) {
+                    pairs.push([leaf.collider, other.collider]);
+                }
+            });
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Removes all colliders
+     */
+    clear() {
+        this.root = null;
+        this.leaves.clear();
+    }
+
+    /**
+     * Visits every leaf overlapping an AABB
+     * @private
+     */
+    _queryNodes(aabb, callback) {
+        if (!this.root) return;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!Broadphase.overlaps(node.aabb, aabb)) continue;
+
+            if (node.collider) {
+                callback(node);
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+    }
+
+    /**
+     * Inserts a leaf, choosing the sibling that grows the tree's perimeter the least
+     * @private
+     */
+    _insertLeaf(leaf) {
+        if (!this.root) {
+            this.root = leaf;
+            leaf.parent = null;
+            return;
+        }
+
+        // Find the best sibling
+        let node = this.root;
+        while (!node.collider) {
+            const combined = this._union(node.aabb, leaf.aabb);
+            const combinedCost = 2 * this._perimeter(combined);
+            const inheritanceCost = 2 * (this._perimeter(combined) - this._perimeter(node.aabb));
+
+            const costLeft = this._descendCost(node.left, leaf.aabb) + inheritanceCost;
+            const costRight = this._descendCost(node.right, leaf.aabb) + inheritanceCost;
+
+            if (combinedCost < costLeft && combinedCost < costRight) break;
+            node = costLeft < costRight ? node.left : node.right;
+        }
+
+        // Create a new parent for the sibling and the leaf
+        const sibling = node;
+        const oldParent = sibling.parent;
+        const newParent = {
+            collider: null,
+            aabb: this._union(sibling.aabb, leaf.aabb),
+            parent: oldParent,
+            left: sibling,
+            right: leaf,
+            height: sibling.height + 1
+        };
+        sibling.parent = newParent;
+        leaf.parent = newParent;
+
+        if (oldParent) {
+            if (oldParent.left === sibling) {
+                oldParent.left = newParent;
+            } else {
+                oldParent.right = newParent;
+            }
+        } else {
+            this.root = newParent;
+        }
+
+        this._refit(newParent.parent);
+    }
+
+    /**
+     * Removes a leaf, collapsing its parent
+     * @private
+     */
+    _removeLeaf(leaf) {
+        if (leaf === this.root) {
+            this.root = null;
+            return;
+        }
+
+        const parent = leaf.parent;
+        const grandParent = parent.parent;
+        const sibling = parent.left === leaf ? parent.right : parent.left;
+
+        if (grandParent) {
+            if (grandParent.left === parent) {
+                grandParent.left = sibling;
+            } else {
+                grandParent.right = sibling;
+            }
+            sibling.parent = grandParent;
+            this._refit(grandParent);
+        } else {
+            this.root = sibling;
+            sibling.parent = null;
+        }
+
+        leaf.parent = null;
+    }
+
+    /**
+     * Walks up from a node, rebalancing and recomputing heights and AABBs
+     * @private
+     */
+    _refit(node) {
+        while (node) {
+            node = this._balance(node);
+            node.height = 1 + Math.max(node.left.height, node.right.height);
+            node.aabb = this._union(node.left.aabb, node.right.aabb);
+            node = node.parent;
+        }
+    }
+
+    /**
+     * Performs a tree rotation if a node is unbalanced
+     * @private
+     * @returns {Object} Node now occupying the original position
+     */
+    _balance(a) {
+        if (a.collider || a.height < 2) return a;
+
+        const b = a.left;
+        const c = a.right;
+        const balance = c.height - b.height;
+
+        if (balance > 1) return this._rotate(a, c, b);
+        if (balance < -1) return this._rotate(a, b, c);
+        return a;
+    }
+
+    /**
+     * Promotes the taller child of a node
+     * @private
+     */
+    _rotate(a, tall, short) {
+        const f = tall.left;
+        const g = tall.right;
+
+        // Swap a and tall
+        tall.left = a;
+        tall.parent = a.parent;
+        a.parent = tall;
+
+        if (tall.parent) {
+            if (tall.parent.left === a) {
+                tall.parent.left = tall;
+            } else {
+                tall.parent.right = tall;
+            }
+        } else {
+            this.root = tall;
+        }
+
+        // Keep the taller grandchild under tall, hand the other to a
+        const keep = f.height > g.height ? f : g;
+        const give = keep === f ? g : f;
+        tall.right = keep;
+        if (a.left === tall) {
+            a.left = give;
+        } else {
+            a.right = give;
+        }
+        give.parent = a;
+
+        a.aabb = this._union(a.left.aabb, a.right.aabb);
+        a.height = 1 + Math.max(a.left.height, a.right.height);
+        tall.aabb = this._union(a.aabb, keep.aabb);
+        tall.height = 1 + Math.max(a.height, keep.height);
+
+        return tall;
+    }
+
+    /**
+     * Cost of descending into a child when inserting an AABB
+     * @private
+     */
+    _descendCost(child, aabb) {
+        const combined = this._perimeter(this._union(aabb, child.aabb));
+        return child.collider ? combined : combined - this._perimeter(child.aabb);
+    }
+
+    /**
+     * @private
+     */
+    _fatten(aabb) {
+        return {
+            minX: aabb.minX - this.margin,
+            minY: aabb.minY - this.margin,
+            maxX: aabb.maxX + this.margin,
+            maxY: aabb.maxY + this.margin
+        };
+    }
+
+    /**
+     * @private
+     */
+    _contains(outer, inner) {
+        return outer.minX <= inner.minX && outer.minY <= inner.minY &&
+               outer.maxX >= inner.maxX && outer.maxY >= inner.maxY;
+    }
+
+    /**
+     * @private
+     */
+    _union(a, b) {
+        return {
+            minX: Math.min(a.minX, b.minX),
+            minY: Math.min(a.minY, b.minY),
+            maxX: Math.max(a.maxX, b.maxX),
+            maxY: Math.max(a.maxY, b.maxY)
+        };
+    }
+
+    /**
+     * @private
+     */
+    _perimeter(aabb) {
+        return 2 * ((aabb.maxX - aabb.minX) + (aabb.maxY - aabb.minY));
+    }
+}
@@ -0,0 +1,305 @@
+import { Component } from '../core/Component.js';
+import { Collider } from './Collider.js';
+import { RigidBody } from './RigidBody.js';
+import { Collision } from './Collision.js';
+
+/**
+ * CharacterController2D Component
+ * @class CharacterController2D
+ * @extends Component
+ * @description Kinematic character movement: collide-and-slide against colliders and solid tiles,
+ * walkable slopes, snapping to the ground and stepping up small ledges
+ */
+export class CharacterController2D extends Component {
+    /**
+     * Creates a new CharacterController2D
+     * @param {Object} config - Configuration
+     * @param {number} config.slopeLimit - Steepest walkable slope in radians (default: PI / 4)
+     * @param {number} config.stepHeight - Tallest ledge the character steps up onto, in px (default: 8)
+     * @param {number} config.snapDistance - How far a grounded character is pulled down to stay on the ground (default: 4)
+     * @param {number} config.skinWidth - Gap kept between the collider and surfaces (default: 0.5)
+     * @param {number} config.maxSlides - Surfaces slid along per move (default: 4)
+     */
+    constructor(config = {}) {
+        super();
+
+        this.slopeLimit = config.slopeLimit !== undefined ? config.slopeLimit : Math.PI / 4;
+        this.stepHeight = config.stepHeight !== undefined ? config.stepHeight : 8;
+        this.snapDistance = config.snapDistance !== undefined ? config.snapDistance : 4;
+        this.skinWidth = config.skinWidth !== undefined ? config.skinWidth : 0.5;
+        this.maxSlides = config.maxSlides || 4;
+
+        // Collision state, updated by every move
+        this.isGrounded = false;
+        this.groundNormal = null;
+        this.groundCollider = null; // null on tiles
+        this.isTouchingWall = false;
+        this.isTouchingCeiling = false;
+        this.hits = []; // Everything hit by the last move
+        this._groundPose = null; // Where groundCollider's object was after the last move
+
+        // References
+        this.collider = null;
+    }
+
+    /**
+     * Called when component starts
+     */
+    onStart() {
+        this.collider = this.gameObject.getComponent(Collider);
+        if (!this.collider) {
+            console.error('CharacterController2D requires a Collider component');
+        }
+
+        // The controller moves the object; a body only lets it push others and touch triggers
+        const rigidbody = this.gameObject.getComponent(RigidBody);
+        if (rigidbody) {
+            rigidbody.isKinematic = true;
+        }
+    }
+
+    /**
+     * Moves the character, sliding along whatever it hits. While grounded, horizontal movement
+     * follows the slope underneath, walls lower than stepHeight are stepped onto and the
+     * character is kept on the ground when it walks down slopes and steps. A character standing
+     * on a moving collider (e.g. a kinematic platform) is first carried by as much as it moved.
+     * @param {number} dx - Movement X
+     * @param {number} dy - Movement Y (positive is down, e.g. gravity)
+     * @returns {{x: number, y: number}} Distance actually moved
+     */
+    move(dx, dy) {
+        const obj = this.gameObject;
+        if (!this.collider || !this.scene?.physics) return { x: 0, y: 0 };
+
+        const startX = obj.x;
+        const startY = obj.y;
+        this._followGround();
+        const wasGrounded = this.isGrounded;
+        const groundNormal = this.groundNormal;
+
+        this.isGrounded = false;
+        this.groundNormal = null;
+        this.groundCollider = null;
+        this.isTouchingWall = false;
+        this.isTouchingCeiling = false;
+        this.hits = [];
+
+        this._depenetrate();
+        if (dx !== 0) {
+            if (wasGrounded && dy >= 0) {
+                // Walk along the ground rather than into or off it
+                this._slide(-groundNormal.y * dx, groundNormal.x * dx, true);
+            } else {
+                this._slide(dx, 0, false);
+            }
+        }
+        if (dy !== 0) {
+            this._slide(0, dy, false);
+        }
+
+        if (!this.isGrounded && dy >= 0) {
+            this._snapToGround(wasGrounded ? this.snapDistance : this.skinWidth);
+        }
+
+        const ground = this.groundCollider && this.groundCollider.gameObject;
+        this._groundPose = ground ? { x: ground.x, y: ground.y, rotation: ground.rotation || 0 } : null;
+
+        return { x: obj.x - startX, y: obj.y - startY };
+    }
+
+    /**
+     * Checks if a surface with this normal is gentle enough to stand on
+     * @param {{x: number, y: number}} normal - Surface normal
+     * @returns {boolean}
+     */
+    isWalkable(normal) {
+        return -normal.y >= Math.cos(this.slopeLimit) - 1e-6;
+    }
+
+    /**
+     * Moves by (dx, dy), sliding the rest of the move along each surface hit
+     * @private
+     * @param {number} dx - Movement X
+     * @param {number} dy - Movement Y
+     * @param {boolean} walking - Walking along the ground, so low walls can be stepped onto
+     */
+    _slide(dx, dy, walking) {
+        const physics = this.scene.physics;
+        const obj = this.gameObject;
+
+        for (let i = 0; i < this.maxSlides; i++) {
+            const length = Math.sqrt(dx * dx + dy * dy);
+            if (length < 1e-6) return;
+
+            // Cast a skin further than the move, so the gap to surfaces never closes
+            const dirX = dx / length;
+            const dirY = dy / length;
+            const reach = length + this.skinWidth;
+            const hit = physics.castCollider(this.collider, dirX * reach, dirY * reach);
+            if (!hit || hit.distance - this.skinWidth >= length) {
+                obj.x += dx;
+                obj.y += dy;
+                return;
+            }
+
+            const travel = Math.max(0, hit.distance - this.skinWidth);
+            obj.x += dirX * travel;
+            obj.y += dirY * travel;
+            this._recordHit(hit);
+
+            const remaining = length - travel;
+            const walkable = this.isWalkable(hit.normal);
+            if (walking && !walkable && this._stepUp(dirX * remaining, dirY * remaining)) return;
+
+            // Landing ends a fall instead of sliding down the slope
+            if (walkable && !walking && dirY > 0) return;
+
+            // Steep slopes block like walls instead of being climbed
+            let { x: nx, y: ny } = hit.normal;
+            if (!walkable && ny < 0 && Math.abs(nx) > 1e-6) {
+                nx = Math.sign(nx);
+                ny = 0;
+            }
+
+            dx = dirX * remaining;
+            dy = dirY * remaining;
+            const into = dx * nx + dy * ny;
+            if (into < 0) {
+                dx -= nx * into;
+                dy -= ny * into;
+            }
+        }
+    }
+
+    /**
+     * Moves the character with the collider it stood on after the last move, however that
+     * moved since (scripts, tweens, paths), swinging it around the collider's object if it turned
+     * @private
+     */
+    _followGround() {
+        if (!this._groundPose || !this.groundCollider) return;
+
+        const obj = this.gameObject;
+        const ground = this.groundCollider.gameObject;
+        const pose = this._groundPose;
+        const turn = (ground.rotation || 0) - pose.rotation;
+        let dx = ground.x - pose.x;
+        let dy = ground.y - pose.y;
+
+        if (turn !== 0) {
+            const rx = obj.x - pose.x;
+            const ry = obj.y - pose.y;
+            const cos = Math.cos(turn);
+            const sin = Math.sin(turn);
+            dx += rx * cos - ry * sin - rx;
+            dy += rx * sin + ry * cos - ry;
+        }
+
+        obj.x += dx;
+        obj.y += dy;
+    }
+
+    /**
+     * Pushes the character out of colliders that moved into it, e.g. a platform rising
+     * into its feet. One-way colliders are left alone, the character passes through them.
+     * @private
+     */
+    _depenetrate() {
+        const physics = this.scene.physics;
+        const obj = this.gameObject;
+        const aabb = this.collider.getAABB();
+        const others = physics.queryArea(aabb.minX, aabb.minY, aabb.maxX - aabb.minX, aabb.maxY - aabb.minY, {
+            ignoreTriggers: true,
+            filter: other => other.gameObject !== obj && !other.oneWay && physics.shouldCollide(this.collider, other)
+        });
+
+        for (const other of others) {
+            const manifold = Collision.collide(this.collider, other);
+            if (!manifold || manifold.depth <= 0) continue;
+
+            obj.x -= manifold.normal.x * manifold.depth;
+            obj.y -= manifold.normal.y * manifold.depth;
+        }
+    }
+
+    /**
+     * Tries to step onto a ledge: up by stepHeight, forward, then down onto walkable ground
+     * that is higher than where the character stood
+     * @private
+     * @param {number} dx - Forward movement X
+     * @param {number} dy - Forward movement Y
+     * @returns {boolean} Whether the character stepped up
+     */
+    _stepUp(dx, dy) {
+        const physics = this.scene.physics;
+        const obj = this.gameObject;
+        const startX = obj.x;
+        const startY = obj.y;
+
+        const up = physics.castCollider(this.collider, 0, -this.stepHeight);
+        const rise = up ? Math.max(0, up.distance - this.skinWidth) : this.stepHeight;
+        if (rise === 0) return false;
+        obj.y -= rise;
+
+        const forward = physics.castCollider(this.collider, dx, dy);
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const travel = forward ? Math.max(0, forward.distance - this.skinWidth) : length;
+        obj.x += dx / length * travel;
+        obj.y += dy / length * travel;
+
+        // Casting down no further than the rise only finds ground above where the character
+        // stood: ground at the same height lies a skin width beyond the cast
+        const down = physics.castCollider(this.collider, 0, rise);
+        if (!down || !this.isWalkable(down.normal) || travel === 0) {
+            obj.x = startX;
+            obj.y = startY;
+            return false;
+        }
+
+        obj.y += Math.max(0, down.distance - this.skinWidth);
+        this._recordHit(down);
+        return true;
+    }
+
+    /**
+     * Pulls the character down onto walkable ground within a distance
+     * @private
+     * @param {number} distance - Furthest to pull, beyond the skin width
+     */
+    _snapToGround(distance) {
+        const hit = this.scene.physics.castCollider(this.collider, 0, distance + this.skinWidth);
+        if (!hit || !this.isWalkable(hit.normal)) return;
+
+        this.gameObject.y += Math.max(0, hit.distance - this.skinWidth);
+        this._recordHit(hit);
+    }
+
+    /**
+     * Updates the collision state from a hit
+     * @private
+     * @param {Object} hit - Hit {collider, tilemap, tile, point, normal, distance}
+     */
+    _recordHit(hit) {
+        const { normal } = hit;
+        this.hits.push(hit);
+
+        if (this.isWalkable(normal)) {
+            this.isGrounded = true;
+
+            // The most level surface underneath is what the character stands on
+            if (!this.groundNormal || normal.y < this.groundNormal.y) {
+                this.groundNormal = normal;
+                this.groundCollider = hit.collider;
+            }
+        } else if (normal.y >= Math.cos(this.slopeLimit)) {
+            this.isTouchingCeiling = true;
+        } else {
+            this.isTouchingWall = true;
+        }
+    }
+}
+
+/**
+ * Fields saved by Serializer
+ */
+CharacterController2D.serializable = ['active', 'slopeLimit', 'stepHeight', 'snapDistance', 'skinWidth', 'maxSlides'];
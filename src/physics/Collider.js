@@ -1,5 +1,7 @@
 import { Component } from '../core/Component.js';
 
+let nextColliderId = 1;
+
 /**
  * Collider Component Base Class
  * @class Collider
@@ -9,35 +11,131 @@ import { Component } from '../core/Component.js';
 export class Collider extends Component {
     constructor() {
         super();
+        this.id = nextColliderId++;
         this.isTrigger = false;
+        this.layer = 'default'; // Collision layer name (see Physics.setLayerCollision)
+        this.material = null; // PhysicsMaterial (null = Physics.defaultMaterial)
+        this.effector = null; // Effector applied to bodies touching this collider (area effects on triggers)
         this.tag = '';
         this.offset = { x: 0, y: 0 };
+        this.oneWay = false; // Only solid from the side oneWayNormal faces (jump-through platforms)
+        this.oneWayNormal = { x: 0, y: -1 }; // Solid side of a one-way collider, turns with the game object
     }
 
     /**
-     * Gets the world position of the collider
+     * Gets the world direction the solid side of a one-way collider faces
+     * @returns {{x: number, y: number}}
+     */
+    getOneWayNormal() {
+        const rotation = this.getRotation();
+        const { x, y } = this.oneWayNormal;
+        const length = Math.sqrt(x * x + y * y) || 1;
+        if (rotation === 0) {
+            return { x: x / length, y: y / length };
+        }
+
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        return { x: (x * cos - y * sin) / length, y: (x * sin + y * cos) / length };
+    }
+
+    /**
+     * Gets the world position of the collider (the offset turns with the game object)
      * @returns {{x: number, y: number}}
      */
     getWorldPosition() {
+        const rotation = this.getRotation();
+        if (rotation === 0) {
+            return {
+                x: this.gameObject.x + this.offset.x,
+                y: this.gameObject.y + this.offset.y
+            };
+        }
+
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
         return {
-            x: this.gameObject.x + this.offset.x,
-            y: this.gameObject.y + this.offset.y
+            x: this.gameObject.x + this.offset.x * cos - this.offset.y * sin,
+            y: this.gameObject.y + this.offset.x * sin + this.offset.y * cos
         };
     }
 
+    /**
+     * Gets the rotation of the collider in radians
+     * @returns {number}
+     */
+    getRotation() {
+        return this.gameObject.rotation || 0;
+    }
+
+    /**
+     * Gets the collision shape in world space: a convex core (1 point, 2 points or a polygon)
+     * inflated by a radius. Circles are a point with a radius, capsules a segment with a radius.
+     * @returns {{vertices: {x: number, y: number}[], radius: number}}
+     */
+    getShape() {
+        return { vertices: [this.getWorldPosition()], radius: 0 };
+    }
+
+    /**
+     * Gets the axis-aligned bounding box used by the broadphase
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+     */
+    getAABB() {
+        const { vertices, radius } = this.getShape();
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        for (const v of vertices) {
+            if (v.x < minX) minX = v.x;
+            if (v.y < minY) minY = v.y;
+            if (v.x > maxX) maxX = v.x;
+            if (v.y > maxY) maxY = v.y;
+        }
+
+        return { minX: minX - radius, minY: minY - radius, maxX: maxX + radius, maxY: maxY + radius };
+    }
+
+    /**
+     * Gets area and rotational inertia at unit density, used to derive a RigidBody's moment of inertia
+     * @returns {{area: number, inertia: number, centroid: {x: number, y: number}}} Inertia is about the centroid; the centroid is relative to the collider center
+     */
+    getMassData() {
+        return { area: 0, inertia: 0, centroid: { x: 0, y: 0 } };
+    }
+
+    /**
+     * Transforms local points (relative to the collider center) to world space
+     * @protected
+     * @param {{x: number, y: number}[]} points - Local points
+     * @returns {{x: number, y: number}[]}
+     */
+    _toWorld(points) {
+        const pos = this.getWorldPosition();
+        const rotation = this.getRotation();
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        return points.map(p => ({
+            x: pos.x + p.x * cos - p.y * sin,
+            y: pos.y + p.x * sin + p.y * cos
+        }));
+    }
+
     /**
      * Called when collision starts
      * @param {Collider} other - Other collider
+     * @param {Object} contact - Contact info {collider, normal, depth, point}; the normal points away from the other collider
      */
-    onCollisionEnter(other) {
+    onCollisionEnter(other, contact) {
         // Override in subclass
     }
 
     /**
      * Called while collision is happening
      * @param {Collider} other - Other collider
+     * @param {Object} contact - Contact info {collider, normal, depth, point}; the normal points away from the other collider
      */
-    onCollisionStay(other) {
+    onCollisionStay(other, contact) {
         // Override in subclass
     }
 
@@ -50,11 +148,16 @@ export class Collider extends Component {
     }
 }
 
+/**
+ * Fields saved by Serializer
+ */
+Collider.serializable = ['active', 'isTrigger', 'layer', 'material', 'effector', 'tag', 'offset', 'oneWay', 'oneWayNormal'];
+
 /**
  * BoxCollider Component
  * @class BoxCollider
  * @extends Collider
- * @description Axis-aligned box collider
+ * @description Box collider, rotated with its game object
  */
 export class BoxCollider extends Collider {
     /**
@@ -71,10 +174,15 @@ export class BoxCollider extends Collider {
     }
 
     /**
-     * Gets the bounding box
+     * Gets the axis-aligned bounding box (encloses the box when rotated)
      * @returns {{x: number, y: number, width: number, height: number}}
      */
     getBounds() {
+        if (this.getRotation() !== 0) {
+            const aabb = super.getAABB();
+            return { x: aabb.minX, y: aabb.minY, width: aabb.maxX - aabb.minX, height: aabb.maxY - aabb.minY };
+        }
+
         const pos = this.getWorldPosition();
         return {
             x: pos.x - this.width / 2,
@@ -85,7 +193,57 @@ export class BoxCollider extends Collider {
     }
 
     /**
-     * Checks if this collider intersects with another box collider
+     * Gets the corners in world space
+     * @returns {{x: number, y: number}[]}
+     */
+    getVertices() {
+        const hw = this.width / 2;
+        const hh = this.height / 2;
+        return this._toWorld([
+            { x: -hw, y: -hh },
+            { x: hw, y: -hh },
+            { x: hw, y: hh },
+            { x: -hw, y: hh }
+        ]);
+    }
+
+    /**
+     * Gets the collision shape in world space
+     * @returns {{vertices: {x: number, y: number}[], radius: number}}
+     */
+    getShape() {
+        return { vertices: this.getVertices(), radius: 0 };
+    }
+
+    /**
+     * Gets area and rotational inertia at unit density
+     * @returns {{area: number, inertia: number, centroid: {x: number, y: number}}}
+     */
+    getMassData() {
+        const area = this.width * this.height;
+        return {
+            area,
+            inertia: area * (this.width * this.width + this.height * this.height) / 12,
+            centroid: { x: 0, y: 0 }
+        };
+    }
+
+    /**
+     * Gets the axis-aligned bounding box used by the broadphase
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+     */
+    getAABB() {
+        const bounds = this.getBounds();
+        return {
+            minX: bounds.x,
+            minY: bounds.y,
+            maxX: bounds.x + bounds.width,
+            maxY: bounds.y + bounds.height
+        };
+    }
+
+    /**
+     * Checks if this collider's bounds intersect another box collider's bounds
      * @param {BoxCollider} other - Other box collider
      * @returns {boolean}
      */
@@ -100,6 +258,11 @@ export class BoxCollider extends Collider {
     }
 }
 
+/**
+ * Fields saved by Serializer
+ */
+BoxCollider.serializable = [...Collider.serializable, 'width', 'height'];
+
 /**
  * CircleCollider Component
  * @class CircleCollider
@@ -118,6 +281,37 @@ export class CircleCollider extends Collider {
         this.offset = offset;
     }
 
+    /**
+     * Gets the collision shape in world space
+     * @returns {{vertices: {x: number, y: number}[], radius: number}}
+     */
+    getShape() {
+        return { vertices: [this.getWorldPosition()], radius: this.radius };
+    }
+
+    /**
+     * Gets area and rotational inertia at unit density
+     * @returns {{area: number, inertia: number, centroid: {x: number, y: number}}}
+     */
+    getMassData() {
+        const area = Math.PI * this.radius * this.radius;
+        return { area, inertia: area * this.radius * this.radius / 2, centroid: { x: 0, y: 0 } };
+    }
+
+    /**
+     * Gets the axis-aligned bounding box used by the broadphase
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+     */
+    getAABB() {
+        const pos = this.getWorldPosition();
+        return {
+            minX: pos.x - this.radius,
+            minY: pos.y - this.radius,
+            maxX: pos.x + this.radius,
+            maxY: pos.y + this.radius
+        };
+    }
+
     /**
      * Checks if this collider intersects with another circle collider
      * @param {CircleCollider} other - Other circle collider
@@ -154,3 +348,252 @@ export class CircleCollider extends Collider {
         return (dx * dx + dy * dy) < (this.radius * this.radius);
     }
 }
+
+/**
+ * Fields saved by Serializer
+ */
+CircleCollider.serializable = [...Collider.serializable, 'radius'];
+
+/**
+ * PolygonCollider Component
+ * @class PolygonCollider
+ * @extends Collider
+ * @description Convex polygon collider, rotated with its game object
+ */
+export class PolygonCollider extends Collider {
+    /**
+     * Creates a new PolygonCollider
+     * @param {{x: number, y: number}[]} points - Convex outline relative to the collider center, in any winding order
+     * @param {Object} offset - Offset from game object position
+     */
+    constructor(points, offset = { x: 0, y: 0 }) {
+        super();
+        this.offset = offset;
+        this.setPoints(points);
+    }
+
+    /**
+     * Replaces the outline. An invalid outline is reported and the previous one kept; a new
+     * collider falls back to the bounding box of the points given.
+     * @param {{x: number, y: number}[]} points - Convex outline relative to the collider center
+     */
+    setPoints(points) {
+        let error = null;
+        if (!points || points.length < 3) {
+            error = 'PolygonCollider needs at least 3 points';
+        } else if (!PolygonCollider.isConvex(points)) {
+            error = 'PolygonCollider points must form a convex polygon';
+        }
+
+        if (error) {
+            console.error(error);
+            if (!this.points) {
+                this.points = PolygonCollider._boundingBoxPoints(points || []);
+            }
+            return;
+        }
+
+        this.points = points.map(p => ({ x: p.x, y: p.y }));
+    }
+
+    /**
+     * Gets the outline in world space
+     * @returns {{x: number, y: number}[]}
+     */
+    getVertices() {
+        return this._toWorld(this.points);
+    }
+
+    /**
+     * Gets the collision shape in world space
+     * @returns {{vertices: {x: number, y: number}[], radius: number}}
+     */
+    getShape() {
+        return { vertices: this.getVertices(), radius: 0 };
+    }
+
+    /**
+     * Gets area and rotational inertia at unit density
+     * @returns {{area: number, inertia: number, centroid: {x: number, y: number}}}
+     */
+    getMassData() {
+        let area = 0;
+        let cx = 0, cy = 0;
+        let inertia = 0; // about the collider center
+
+        // Sum over the triangles fanning out from the collider center
+        for (let i = 0; i < this.points.length; i++) {
+            const a = this.points[i];
+            const b = this.points[(i + 1) % this.points.length];
+            const cross = a.x * b.y - a.y * b.x;
+
+            area += cross / 2;
+            cx += (a.x + b.x) * cross / 6;
+            cy += (a.y + b.y) * cross / 6;
+            inertia += cross * (a.x * a.x + a.x * b.x + b.x * b.x + a.y * a.y + a.y * b.y + b.y * b.y) / 12;
+        }
+
+        // Winding order only flips the signs
+        const sign = area < 0 ? -1 : 1;
+        area *= sign;
+        inertia *= sign;
+        const centroid = { x: cx * sign / area, y: cy * sign / area };
+
+        return {
+            area,
+            inertia: inertia - area * (centroid.x * centroid.x + centroid.y * centroid.y),
+            centroid
+        };
+    }
+
+    /**
+     * Creates the outline of a regular polygon
+     * @param {number} sides - Number of sides
+     * @param {number} radius - Distance from center to each corner
+     * @returns {{x: number, y: number}[]}
+     */
+    static regular(sides, radius) {
+        const points = [];
+        for (let i = 0; i < sides; i++) {
+            const angle = (i / sides) * Math.PI * 2 - Math.PI / 2;
+            points.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+        }
+        return points;
+    }
+
+    /**
+     * Checks whether points form a convex polygon
+     * @param {{x: number, y: number}[]} points - Outline
+     * @returns {boolean}
+     */
+    static isConvex(points) {
+        let sign = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const c = points[(i + 2) % points.length];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+
+            if (cross !== 0) {
+                if (sign !== 0 && Math.sign(cross) !== sign) return false;
+                sign = Math.sign(cross);
+            }
+        }
+        return sign !== 0;
+    }
+
+    /**
+     * Fallback outline: the bounding box of the points, at least 1x1
+     * @private
+     * @param {{x: number, y: number}[]} points - Invalid outline
+     * @returns {{x: number, y: number}[]}
+     */
+    static _boundingBoxPoints(points) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        let minX = xs.length ? Math.min(...xs) : -0.5;
+        let maxX = xs.length ? Math.max(...xs) : 0.5;
+        let minY = ys.length ? Math.min(...ys) : -0.5;
+        let maxY = ys.length ? Math.max(...ys) : 0.5;
+        if (maxX - minX < 1) {
+            minX = (minX + maxX) / 2 - 0.5;
+            maxX = minX + 1;
+        }
+        if (maxY - minY < 1) {
+            minY = (minY + maxY) / 2 - 0.5;
+            maxY = minY + 1;
+        }
+        return [
+            { x: minX, y: minY },
+            { x: maxX, y: minY },
+            { x: maxX, y: maxY },
+            { x: minX, y: maxY }
+        ];
+    }
+}
+
+/**
+ * Fields saved by Serializer
+ */
+PolygonCollider.serializable = [...Collider.serializable, 'points'];
+
+/**
+ * CapsuleCollider Component
+ * @class CapsuleCollider
+ * @extends Collider
+ * @description Capsule collider (a segment with rounded ends), rotated with its game object.
+ * Its round bottom slides over steps and tile seams, which makes it a good fit for characters.
+ */
+export class CapsuleCollider extends Collider {
+    /**
+     * Creates a new CapsuleCollider
+     * @param {number} width - Width (twice the cap radius)
+     * @param {number} height - Total height including both caps
+     * @param {Object} offset - Offset from game object position
+     * @param {string} direction - 'vertical' or 'horizontal' (default: 'vertical')
+     */
+    constructor(width, height, offset = { x: 0, y: 0 }, direction = 'vertical') {
+        super();
+        this.width = width;
+        this.height = height;
+        this.offset = offset;
+        this.direction = direction;
+    }
+
+    /**
+     * Gets the cap radius
+     * @returns {number}
+     */
+    get radius() {
+        return this.direction === 'horizontal' ? this.height / 2 : this.width / 2;
+    }
+
+    /**
+     * Gets the end points of the inner segment in world space (a single point when the capsule is round)
+     * @returns {{x: number, y: number}[]}
+     */
+    getSegment() {
+        const length = this.direction === 'horizontal' ? this.width : this.height;
+        const half = Math.max(0, length / 2 - this.radius);
+
+        if (half === 0) {
+            return [this.getWorldPosition()];
+        }
+        if (this.direction === 'horizontal') {
+            return this._toWorld([{ x: -half, y: 0 }, { x: half, y: 0 }]);
+        }
+        return this._toWorld([{ x: 0, y: -half }, { x: 0, y: half }]);
+    }
+
+    /**
+     * Gets the collision shape in world space
+     * @returns {{vertices: {x: number, y: number}[], radius: number}}
+     */
+    getShape() {
+        return { vertices: this.getSegment(), radius: this.radius };
+    }
+
+    /**
+     * Gets area and rotational inertia at unit density (the caps are treated as half circles
+     * centered on the segment ends)
+     * @returns {{area: number, inertia: number, centroid: {x: number, y: number}}}
+     */
+    getMassData() {
+        const r = this.radius;
+        const length = Math.max(0, (this.direction === 'horizontal' ? this.width : this.height) - 2 * r);
+
+        const boxArea = 2 * r * length;
+        const capsArea = Math.PI * r * r;
+        return {
+            area: boxArea + capsArea,
+            inertia: boxArea * (4 * r * r + length * length) / 12 +
+                capsArea * (r * r / 2 + length * length / 4),
+            centroid: { x: 0, y: 0 }
+        };
+    }
+}
+
+/**
+ * Fields saved by Serializer
+ */
+CapsuleCollider.serializable = [...Collider.serializable, 'width', 'height', 'direction'];
@@ -0,0 +1,580 @@
+import { BoxCollider, CircleCollider } from './Collider.js';
+
+// Projection slack (px) when collecting the supporting feature (vertex or edge) of a shape.
+// Faces this close to parallel touch along an edge and get two contact points.
+const FEATURE_TOLERANCE = 0.5;
+
+// Penetration (px) an axis must save over an earlier one to replace it. Keeps the reference
+// face of two almost parallel faces from flipping between steps.
+const AXIS_TOLERANCE = 0.1;
+
+/**
+ * Collision detection (narrowphase)
+ * @namespace Collision
+ * @description Exact shape tests producing contact manifolds.
+ * A manifold is {normal: {x, y}, depth, point: {x, y}, points: [{x, y, depth}]} where the normal
+ * points from the first collider to the second, point is the world-space contact point and points
+ * holds one contact point, or two when the shapes touch along an edge, each with its own penetration.
+ */
+export const Collision = {
+    /**
+     * Tests two colliders against each other
+     * @param {Collider} a - First collider
+     * @param {Collider} b - Second collider
+     * @returns {{normal: {x: number, y: number}, depth: number, point: {x: number, y: number}, points: Object[]}|null} Manifold or null when separated
+     */
+    collide(a, b) {
+        const alignedA = Collision.isAxisAligned(a);
+        const alignedB = Collision.isAxisAligned(b);
+
+        // Fast paths for unrotated boxes and circles
+        if (alignedA && alignedB) {
+            if (a instanceof BoxCollider && b instanceof BoxCollider) {
+                return Collision.boxBox(a, b);
+            }
+            if (a instanceof CircleCollider && b instanceof CircleCollider) {
+                return Collision.circleCircle(a, b);
+            }
+            if (a instanceof CircleCollider && b instanceof BoxCollider) {
+                return Collision.circleBox(a, b);
+            }
+            if (a instanceof BoxCollider && b instanceof CircleCollider) {
+                return Collision.flip(Collision.circleBox(b, a));
+            }
+        }
+
+        return Collision.shapes(a.getShape(), b.getShape());
+    },
+
+    /**
+     * Checks whether a collider can use the axis-aligned fast paths
+     * @param {Collider} collider - Collider
+     * @returns {boolean}
+     */
+    isAxisAligned(collider) {
+        return collider instanceof CircleCollider ||
+            (collider instanceof BoxCollider && collider.getRotation() === 0);
+    },
+
+    /**
+     * Separating axis test between two rounded convex shapes (see Collider.getShape).
+     * Candidate axes are the edge normals of both cores plus, when a shape is rounded,
+     * the directions between their vertices.
+     * @param {{vertices: Object[], radius: number}} shapeA - First shape
+     * @param {{vertices: Object[], radius: number}} shapeB - Second shape
+     * @returns {Object|null} Manifold with the normal from A to B, or null when separated
+     */
+    shapes(shapeA, shapeB) {
+        const axes = [...Collision._edgeNormals(shapeA.vertices), ...Collision._edgeNormals(shapeB.vertices)];
+
+        if (shapeA.radius > 0 || shapeB.radius > 0) {
+            for (const va of shapeA.vertices) {
+                for (const vb of shapeB.vertices) {
+                    const dx = vb.x - va.x;
+                    const dy = vb.y - va.y;
+                    const length = Math.sqrt(dx * dx + dy * dy);
+                    if (length > 0) axes.push({ x: dx / length, y: dy / length });
+                }
+            }
+        }
+
+        // Coincident points: pick an arbitrary but stable axis
+        if (axes.length === 0) {
+            axes.push({ x: 0, y: 1 });
+        }
+
+        let depth = Infinity;
+        let normal = null;
+
+        for (const axis of axes) {
+            const a = Collision._project(shapeA.vertices, axis);
+            const b = Collision._project(shapeB.vertices, axis);
+            const radii = shapeA.radius + shapeB.radius;
+
+            const forward = a.max - b.min + radii;  // overlap if B lies ahead of A along the axis
+            const backward = b.max - a.min + radii; // overlap if B lies behind A
+            if (forward <= 0 || backward <= 0) return null;
+
+            if (forward < depth - AXIS_TOLERANCE) {
+                depth = forward;
+                normal = axis;
+            }
+            if (backward < depth - AXIS_TOLERANCE) {
+                depth = backward;
+                normal = { x: -axis.x, y: -axis.y };
+            }
+        }
+
+        const points = Collision._contactPoints(shapeA, shapeB, normal);
+        const point = points.length === 1
+            ? points[0]
+            : { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+        return { normal, depth, point, points };
+    },
+
+    /**
+     * Box vs box manifold (separation along the axis of least penetration)
+     * @param {BoxCollider} a - First box
+     * @param {BoxCollider} b - Second box
+     * @returns {Object|null}
+     */
+    boxBox(a, b) {
+        const boundsA = a.getBounds();
+        const boundsB = b.getBounds();
+
+        const overlapX = Math.min(
+            boundsA.x + boundsA.width - boundsB.x,
+            boundsB.x + boundsB.width - boundsA.x
+        );
+        const overlapY = Math.min(
+            boundsA.y + boundsA.height - boundsB.y,
+            boundsB.y + boundsB.height - boundsA.y
+        );
+
+        if (overlapX <= 0 || overlapY <= 0) return null;
+
+        // Contact point at the center of the overlapping region
+        const left = Math.max(boundsA.x, boundsB.x);
+        const right = Math.min(boundsA.x + boundsA.width, boundsB.x + boundsB.width);
+        const top = Math.max(boundsA.y, boundsB.y);
+        const bottom = Math.min(boundsA.y + boundsA.height, boundsB.y + boundsB.height);
+        const point = { x: (left + right) / 2, y: (top + bottom) / 2 };
+
+        // Touching faces: a point at each end of the shared span
+        if (overlapX < overlapY) {
+            const direction = boundsA.x < boundsB.x ? 1 : -1;
+            const points = [{ x: point.x, y: top, depth: overlapX }, { x: point.x, y: bottom, depth: overlapX }];
+            return { normal: { x: direction, y: 0 }, depth: overlapX, point, points };
+        }
+
+        const direction = boundsA.y < boundsB.y ? 1 : -1;
+        const points = [{ x: left, y: point.y, depth: overlapY }, { x: right, y: point.y, depth: overlapY }];
+        return { normal: { x: 0, y: direction }, depth: overlapY, point, points };
+    },
+
+    /**
+     * Circle vs circle manifold
+     * @param {CircleCollider} a - First circle
+     * @param {CircleCollider} b - Second circle
+     * @returns {Object|null}
+     */
+    circleCircle(a, b) {
+        const posA = a.getWorldPosition();
+        const posB = b.getWorldPosition();
+
+        const dx = posB.x - posA.x;
+        const dy = posB.y - posA.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const radii = a.radius + b.radius;
+
+        if (distance >= radii) return null;
+
+        // Concentric circles: pick an arbitrary but stable axis
+        if (distance === 0) {
+            const point = { x: posA.x, y: posA.y };
+            return { normal: { x: 0, y: -1 }, depth: radii, point, points: [point] };
+        }
+
+        const normal = { x: dx / distance, y: dy / distance };
+        const depth = radii - distance;
+
+        // Midway between the two surfaces
+        const reach = a.radius - depth / 2;
+        const point = { x: posA.x + normal.x * reach, y: posA.y + normal.y * reach };
+        return { normal, depth, point, points: [point] };
+    },
+
+    /**
+     * Circle vs box manifold
+     * @param {CircleCollider} circle - Circle
+     * @param {BoxCollider} box - Box
+     * @returns {Object|null} Normal points from the circle to the box
+     */
+    circleBox(circle, box) {
+        const center = circle.getWorldPosition();
+        const rect = box.getBounds();
+
+        // Find closest point on rectangle to circle center
+        const closestX = Math.max(rect.x, Math.min(center.x, rect.x + rect.width));
+        const closestY = Math.max(rect.y, Math.min(center.y, rect.y + rect.height));
+
+        const dx = closestX - center.x;
+        const dy = closestY - center.y;
+        const distanceSq = dx * dx + dy * dy;
+
+        if (distanceSq > 0) {
+            if (distanceSq >= circle.radius * circle.radius) return null;
+
+            const distance = Math.sqrt(distanceSq);
+            const point = { x: closestX, y: closestY };
+            return {
+                normal: { x: dx / distance, y: dy / distance },
+                depth: circle.radius - distance,
+                point,
+                points: [point]
+            };
+        }
+
+        // Center inside the box: push out through the nearest face
+        const faces = [
+            { distance: center.x - rect.x, normal: { x: 1, y: 0 }, point: { x: rect.x, y: center.y } },
+            { distance: rect.x + rect.width - center.x, normal: { x: -1, y: 0 }, point: { x: rect.x + rect.width, y: center.y } },
+            { distance: center.y - rect.y, normal: { x: 0, y: 1 }, point: { x: center.x, y: rect.y } },
+            { distance: rect.y + rect.height - center.y, normal: { x: 0, y: -1 }, point: { x: center.x, y: rect.y + rect.height } }
+        ];
+        let nearest = faces[0];
+        for (const face of faces) {
+            if (face.distance < nearest.distance) nearest = face;
+        }
+
+        return { normal: nearest.normal, depth: circle.radius + nearest.distance, point: nearest.point, points: [nearest.point] };
+    },
+
+    /**
+     * Casts a ray against a collider
+     * @param {Collider} collider - Collider
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} dirX - Direction X
+     * @param {number} dirY - Direction Y
+     * @param {number} maxDistance - Max distance, in multiples of the direction vector
+     * @returns {{distance: number, point: {x: number, y: number}, normal: {x: number, y: number}}|null}
+     */
+    raycast(collider, x, y, dirX, dirY, maxDistance) {
+        return Collision.raycastShape(collider.getShape(), x, y, dirX, dirY, maxDistance);
+    },
+
+    /**
+     * Casts a ray against a rounded convex shape. A ray starting inside hits at distance 0.
+     * @param {{vertices: Object[], radius: number}} shape - Shape (see Collider.getShape)
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} dirX - Direction X
+     * @param {number} dirY - Direction Y
+     * @param {number} maxDistance - Max distance, in multiples of the direction vector
+     * @returns {Object|null} Hit {distance, point, normal} or null
+     */
+    raycastShape(shape, x, y, dirX, dirY, maxDistance) {
+        const { vertices, radius } = shape;
+
+        if (Collision.containsPoint(shape, x, y)) {
+            const length = Math.sqrt(dirX * dirX + dirY * dirY) || 1;
+            return { distance: 0, point: { x, y }, normal: { x: -dirX / length, y: -dirY / length } };
+        }
+
+        let best = null;
+        const consider = (t, nx, ny) => {
+            if (t >= 0 && t <= maxDistance && (!best || t < best.distance)) {
+                best = { distance: t, point: { x: x + dirX * t, y: y + dirY * t }, normal: { x: nx, y: ny } };
+            }
+        };
+
+        // Flat sides: each edge pushed out by the radius
+        for (const edge of Collision._edges(vertices)) {
+            const ax = edge.a.x + edge.normal.x * radius;
+            const ay = edge.a.y + edge.normal.y * radius;
+            const ex = edge.b.x - edge.a.x;
+            const ey = edge.b.y - edge.a.y;
+
+            // Only rays heading into the side can enter through it
+            const denom = dirX * edge.normal.x + dirY * edge.normal.y;
+            if (denom >= 0) continue;
+
+            const t = ((ax - x) * edge.normal.x + (ay - y) * edge.normal.y) / denom;
+            const px = x + dirX * t - ax;
+            const py = y + dirY * t - ay;
+            const along = (px * ex + py * ey) / (ex * ex + ey * ey);
+            if (along >= 0 && along <= 1) consider(t, edge.normal.x, edge.normal.y);
+        }
+
+        // Rounded corners
+        if (radius > 0) {
+            const a = dirX * dirX + dirY * dirY;
+            for (const v of vertices) {
+                const fx = x - v.x;
+                const fy = y - v.y;
+                const b = 2 * (fx * dirX + fy * dirY);
+                const c = fx * fx + fy * fy - radius * radius;
+                const discriminant = b * b - 4 * a * c;
+                if (discriminant < 0) continue;
+
+                const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+                const hx = x + dirX * t;
+                const hy = y + dirY * t;
+                consider(t, (hx - v.x) / radius, (hy - v.y) / radius);
+            }
+        }
+
+        return best;
+    },
+
+    /**
+     * Furthest point of a shape along a direction (the middle of the supporting edge when one faces it)
+     * @param {{vertices: Object[], radius: number}} shape - Shape
+     * @param {number} dirX - Direction X (normalized)
+     * @param {number} dirY - Direction Y (normalized)
+     * @returns {{x: number, y: number}}
+     */
+    support(shape, dirX, dirY) {
+        const feature = Collision._supportFeature(shape.vertices, { x: dirX, y: dirY });
+
+        let x = 0, y = 0;
+        for (const v of feature) {
+            x += v.x;
+            y += v.y;
+        }
+
+        return {
+            x: x / feature.length + dirX * shape.radius,
+            y: y / feature.length + dirY * shape.radius
+        };
+    },
+
+    /**
+     * Minkowski sum of two rounded convex shapes. Casting a ray against the sum of a target and a
+     * (point-symmetric or negated) moving shape is the same as sweeping the moving shape.
+     * @param {{vertices: Object[], radius: number}} shapeA - First shape
+     * @param {{vertices: Object[], radius: number}} shapeB - Second shape
+     * @returns {{vertices: Object[], radius: number}}
+     */
+    minkowskiSum(shapeA, shapeB) {
+        const points = [];
+        for (const a of shapeA.vertices) {
+            for (const b of shapeB.vertices) {
+                points.push({ x: a.x + b.x, y: a.y + b.y });
+            }
+        }
+        return { vertices: Collision.convexHull(points), radius: shapeA.radius + shapeB.radius };
+    },
+
+    /**
+     * Convex hull of a point set (monotone chain). Collinear and duplicate points are dropped,
+     * so the result may be a single point or a segment.
+     * @param {{x: number, y: number}[]} points - Points
+     * @returns {{x: number, y: number}[]}
+     */
+    convexHull(points) {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length < 3) {
+            return sorted.filter((p, i) => i === 0 || p.x !== sorted[i - 1].x || p.y !== sorted[i - 1].y);
+        }
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const lower = [];
+        for (const p of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+            lower.push(p);
+        }
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const p = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+            upper.push(p);
+        }
+
+        lower.pop();
+        upper.pop();
+        const hull = lower.concat(upper);
+        return hull.length > 0 ? hull : [sorted[0]];
+    },
+
+    /**
+     * Checks whether a point lies strictly inside a rounded convex shape (points on the surface are outside)
+     * @param {{vertices: Object[], radius: number}} shape - Shape
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @returns {boolean}
+     */
+    containsPoint(shape, x, y) {
+        const { vertices, radius } = shape;
+
+        // Inside the polygon core
+        if (vertices.length >= 3) {
+            let inside = true;
+            for (const edge of Collision._edges(vertices)) {
+                if ((x - edge.a.x) * edge.normal.x + (y - edge.a.y) * edge.normal.y >= 0) {
+                    inside = false;
+                    break;
+                }
+            }
+            if (inside) return true;
+        }
+
+        // Within the radius of the core outline
+        if (radius > 0) {
+            const count = vertices.length === 2 ? 1 : vertices.length;
+            for (let i = 0; i < count; i++) {
+                const a = vertices[i];
+                const b = vertices[(i + 1) % vertices.length];
+                const closest = Collision._closestOnSegment(a, b, x, y);
+                const dx = x - closest.x;
+                const dy = y - closest.y;
+                if (dx * dx + dy * dy < radius * radius) return true;
+            }
+        }
+
+        return false;
+    },
+
+    /**
+     * Reverses a manifold so it describes the pair in the opposite order
+     * @param {Object|null} manifold - Manifold
+     * @returns {Object|null}
+     */
+    flip(manifold) {
+        if (!manifold) return null;
+        return {
+            ...manifold,
+            normal: { x: -manifold.normal.x, y: -manifold.normal.y }
+        };
+    },
+
+    /**
+     * Unit normals of the core edges. Polygon normals point outward, a segment gets both sides.
+     * @private
+     */
+    _edgeNormals(vertices) {
+        return Collision._edges(vertices).map(edge => edge.normal);
+    },
+
+    /**
+     * Core edges with their outward unit normals
+     * @private
+     */
+    _edges(vertices) {
+        if (vertices.length < 2) return [];
+
+        if (vertices.length === 2) {
+            const [a, b] = vertices;
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const length = Math.sqrt(dx * dx + dy * dy);
+            if (length === 0) return [];
+
+            const normal = { x: -dy / length, y: dx / length };
+            return [
+                { a, b, normal },
+                { a: b, b: a, normal: { x: -normal.x, y: -normal.y } }
+            ];
+        }
+
+        // Centroid decides which side is outward, so either winding order works
+        let cx = 0, cy = 0;
+        for (const v of vertices) {
+            cx += v.x;
+            cy += v.y;
+        }
+        cx /= vertices.length;
+        cy /= vertices.length;
+
+        const edges = [];
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const length = Math.sqrt(dx * dx + dy * dy);
+            if (length === 0) continue;
+
+            let normal = { x: dy / length, y: -dx / length };
+            if ((a.x - cx) * normal.x + (a.y - cy) * normal.y < 0) {
+                normal = { x: -normal.x, y: -normal.y };
+            }
+            edges.push({ a, b, normal });
+        }
+        return edges;
+    },
+
+    /**
+     * Projects vertices onto an axis
+     * @private
+     */
+    _project(vertices, axis) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const v of vertices) {
+            const d = v.x * axis.x + v.y * axis.y;
+            if (d < min) min = d;
+            if (d > max) max = d;
+        }
+        return { min, max };
+    },
+
+    /**
+     * Vertices of a core within FEATURE_TOLERANCE of its extreme along an axis (a vertex or an edge)
+     * @private
+     */
+    _supportFeature(vertices, axis) {
+        const { max } = Collision._project(vertices, axis);
+        return vertices.filter(v => v.x * axis.x + v.y * axis.y >= max - FEATURE_TOLERANCE);
+    },
+
+    /**
+     * Contact points between the supporting features of two shapes, midway between the two
+     * surfaces along the normal. Features that overlap along the contact surface (edge on edge)
+     * give a point at each end of the overlap; otherwise a single point in its middle.
+     * @private
+     */
+    _contactPoints(shapeA, shapeB, normal) {
+        const tangent = { x: -normal.y, y: normal.x };
+        const featureA = Collision._supportFeature(shapeA.vertices, normal);
+        const featureB = Collision._supportFeature(shapeB.vertices, { x: -normal.x, y: -normal.y });
+
+        const spanA = Collision._project(featureA, tangent);
+        const spanB = Collision._project(featureB, tangent);
+        const low = Math.max(spanA.min, spanB.min);
+        const high = Math.min(spanA.max, spanB.max);
+
+        // Middle of the overlapping span (or of the gap between them at grazing corners)
+        const stops = high - low > FEATURE_TOLERANCE ? [low, high] : [(low + high) / 2];
+
+        return stops.map(along => {
+            const surfaceA = Collision._featureHeight(featureA, tangent, normal, along) + shapeA.radius;
+            const surfaceB = Collision._featureHeight(featureB, tangent, normal, along) - shapeB.radius;
+            const across = (surfaceA + surfaceB) / 2;
+            return {
+                x: tangent.x * along + normal.x * across,
+                y: tangent.y * along + normal.y * across,
+                depth: surfaceA - surfaceB
+            };
+        });
+    },
+
+    /**
+     * Position along the normal of a supporting feature at a tangent position
+     * (interpolated along an edge, constant for a vertex)
+     * @private
+     */
+    _featureHeight(feature, tangent, normal, along) {
+        let first = feature[0];
+        let last = feature[0];
+        for (const v of feature) {
+            const t = v.x * tangent.x + v.y * tangent.y;
+            if (t < first.x * tangent.x + first.y * tangent.y) first = v;
+            if (t > last.x * tangent.x + last.y * tangent.y) last = v;
+        }
+
+        const t0 = first.x * tangent.x + first.y * tangent.y;
+        const t1 = last.x * tangent.x + last.y * tangent.y;
+        const h0 = first.x * normal.x + first.y * normal.y;
+        const h1 = last.x * normal.x + last.y * normal.y;
+        if (t1 - t0 < 1e-9) return Math.max(h0, h1);
+
+        const f = Math.max(0, Math.min(1, (along - t0) / (t1 - t0)));
+        return h0 + (h1 - h0) * f;
+    },
+
+    /**
+     * Closest point on a segment
+     * @private
+     */
+    _closestOnSegment(a, b, x, y) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        if (lengthSq === 0) return { x: a.x, y: a.y };
+
+        const t = Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq));
+        return { x: a.x + dx * t, y: a.y + dy * t };
+    }
+};
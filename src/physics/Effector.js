@@ -0,0 +1,369 @@
+import { Collision } from './Collision.js';
+
+/**
+ * Effector Base Class
+ * @class Effector
+ * @description Effect applied to the bodies inside an area. Set it as the `effector` of a
+ * (usually trigger) collider; Physics applies it every fixed step to each dynamic body that
+ * touches the collider.
+ */
+export class Effector {
+    /**
+     * Creates a new Effector
+     * @param {Object} config - Configuration
+     * @param {string} config.forceMode - 'force' or 'acceleration' (same effect whatever the mass) (default: 'force')
+     */
+    constructor(config = {}) {
+        this.forceMode = config.forceMode || 'force';
+        this.active = true;
+    }
+
+    /**
+     * Applies the effect to a body inside the area
+     * @param {RigidBody} rigidBody - Body
+     * @param {Collider[]} colliders - The body's colliders touching the area
+     * @param {Collider} area - Collider the effector belongs to
+     * @param {Physics} physics - Physics system
+     */
+    apply(rigidBody, colliders, area, physics) {
+        // Override in subclass
+    }
+
+    /**
+     * Gets the gravity the area gives a body instead of the world gravity
+     * @param {RigidBody} rigidBody - Body
+     * @param {Collider} area - Collider the effector belongs to
+     * @returns {{x: number, y: number}|null} Gravity or null to leave it alone
+     */
+    getGravity(rigidBody, area) {
+        return null;
+    }
+
+    /**
+     * Applies a force, scaled by the body's mass in 'acceleration' mode
+     * @protected
+     */
+    _addForce(rigidBody, x, y) {
+        const scale = this.forceMode === 'acceleration' ? rigidBody.mass : 1;
+        if (x !== 0 || y !== 0) rigidBody.addForce(x * scale, y * scale);
+    }
+
+    /**
+     * Slows a body down; drag is how fast its speed decays, per second
+     * @protected
+     */
+    _addDrag(rigidBody, drag, angularDrag) {
+        // Bodies at rest are left alone, so drag alone never wakes them
+        if (drag > 0 && (rigidBody.velocityX !== 0 || rigidBody.velocityY !== 0)) {
+            rigidBody.addForce(-rigidBody.velocityX * drag * rigidBody.mass, -rigidBody.velocityY * drag * rigidBody.mass);
+        }
+        if (angularDrag > 0 && rigidBody.angularVelocity !== 0 && !rigidBody.fixedRotation) {
+            rigidBody.addTorque(-rigidBody.angularVelocity * angularDrag * rigidBody.getInertia());
+        }
+    }
+}
+
+/**
+ * AreaEffector
+ * @class AreaEffector
+ * @extends Effector
+ * @description Pushes bodies in one direction: wind, fans, water currents and conveyor belts
+ */
+export class AreaEffector extends Effector {
+    /**
+     * Creates a new AreaEffector
+     * @param {Object} config - Configuration
+     * @param {number} config.forceX - Force X (default: 0)
+     * @param {number} config.forceY - Force Y (default: 0)
+     * @param {boolean} config.local - Turn the force with the area's object (default: false)
+     * @param {number} config.drag - How fast speed decays inside the area, per second (default: 0)
+     * @param {number} config.angularDrag - How fast spin decays inside the area, per second (default: 0)
+     * @param {string} config.forceMode - 'force' or 'acceleration' (default: 'force')
+     */
+    constructor(config = {}) {
+        super(config);
+
+        this.forceX = config.forceX || 0;
+        this.forceY = config.forceY || 0;
+        this.local = config.local || false;
+        this.drag = config.drag || 0;
+        this.angularDrag = config.angularDrag || 0;
+    }
+
+    /**
+     * Applies the force and drag
+     * @param {RigidBody} rigidBody - Body
+     * @param {Collider[]} colliders - The body's colliders touching the area
+     * @param {Collider} area - Collider the effector belongs to
+     */
+    apply(rigidBody, colliders, area) {
+        let { forceX: x, forceY: y } = this;
+        if (this.local) {
+            const rotation = area.getRotation();
+            const cos = Math.cos(rotation);
+            const sin = Math.sin(rotation);
+            [x, y] = [x * cos - y * sin, x * sin + y * cos];
+        }
+
+        this._addForce(rigidBody, x, y);
+        this._addDrag(rigidBody, this.drag, this.angularDrag);
+    }
+}
+
+/**
+ * PointEffector
+ * @class PointEffector
+ * @extends Effector
+ * @description Pushes bodies away from the area's center, or pulls them in with a negative strength:
+ * explosions, magnets and black holes
+ */
+export class PointEffector extends Effector {
+    /**
+     * Creates a new PointEffector
+     * @param {Object} config - Configuration
+     * @param {number} config.strength - Force away from the center; negative attracts (default: 0)
+     * @param {string} config.falloff - 'constant', 'inverseLinear' (strength / distance) or 'inverseSquare' (strength / distance²) (default: 'constant')
+     * @param {number} config.drag - How fast speed decays inside the area, per second (default: 0)
+     * @param {number} config.angularDrag - How fast spin decays inside the area, per second (default: 0)
+     * @param {string} config.forceMode - 'force' or 'acceleration' (default: 'force')
+     */
+    constructor(config = {}) {
+        super(config);
+
+        this.strength = config.strength || 0;
+        this.falloff = config.falloff || 'constant';
+        this.drag = config.drag || 0;
+        this.angularDrag = config.angularDrag || 0;
+    }
+
+    /**
+     * Applies the radial force and drag
+     * @param {RigidBody} rigidBody - Body
+     * @param {Collider[]} colliders - The body's colliders touching the area
+     * @param {Collider} area - Collider the effector belongs to
+     */
+    apply(rigidBody, colliders, area) {
+        const center = area.getWorldPosition();
+        const dx = rigidBody.gameObject.x - center.x;
+        const dy = rigidBody.gameObject.y - center.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        // Distances below a pixel would blow the falloff up
+        if (distance > 1e-6) {
+            const force = this.strength * PointEffector.falloffScale(this.falloff, Math.max(1, distance));
+            this._addForce(rigidBody, dx / distance * force, dy / distance * force);
+        }
+        this._addDrag(rigidBody, this.drag, this.angularDrag);
+    }
+
+    /**
+     * Gets how much of the strength is left at a distance
+     * @param {string} falloff - Falloff mode
+     * @param {number} distance - Distance from the center
+     * @returns {number}
+     */
+    static falloffScale(falloff, distance) {
+        switch (falloff) {
+            case 'inverseLinear':
+                return 1 / distance;
+            case 'inverseSquare':
+                return 1 / (distance * distance);
+            default:
+                return 1;
+        }
+    }
+}
+
+/**
+ * GravityEffector
+ * @class GravityEffector
+ * @extends Effector
+ * @description Replaces the world gravity inside the area: zero-g rooms, flipped gravity,
+ * or gravity towards the area's center for small planets
+ */
+export class GravityEffector extends Effector {
+    /**
+     * Creates a new GravityEffector
+     * @param {Object} config - Configuration
+     * @param {number} config.gravityX - Gravity X (default: 0)
+     * @param {number} config.gravityY - Gravity Y (default: 0)
+     * @param {number} config.centerGravity - When not 0, gravity pulls towards the area's center this hard instead (default: 0)
+     * @param {number} config.priority - Where areas overlap, the highest priority wins (default: 0)
+     */
+    constructor(config = {}) {
+        super(config);
+
+        this.gravityX = config.gravityX || 0;
+        this.gravityY = config.gravityY || 0;
+        this.centerGravity = config.centerGravity || 0;
+        this.priority = config.priority || 0;
+    }
+
+    /**
+     * Gets the gravity for a body inside the area
+     * @param {RigidBody} rigidBody - Body
+     * @param {Collider} area - Collider the effector belongs to
+     * @returns {{x: number, y: number}}
+     */
+    getGravity(rigidBody, area) {
+        if (this.centerGravity === 0) {
+            return { x: this.gravityX, y: this.gravityY };
+        }
+
+        const center = area.getWorldPosition();
+        const dx = center.x - rigidBody.gameObject.x;
+        const dy = center.y - rigidBody.gameObject.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance < 1e-6) return { x: 0, y: 0 };
+
+        return { x: dx / distance * this.centerGravity, y: dy / distance * this.centerGravity };
+    }
+}
+
+/**
+ * BuoyancyEffector
+ * @class BuoyancyEffector
+ * @extends Effector
+ * @description Fluid the area is filled with up to a surface: bodies are pushed up by the weight of
+ * the fluid they displace, at the center of their submerged part so they turn upright, and slowed by drag
+ */
+export class BuoyancyEffector extends Effector {
+    /**
+     * Creates a new BuoyancyEffector
+     * @param {Object} config - Configuration
+     * @param {number} config.density - Fluid mass per square pixel. Bodies lighter per area float (default: 0.002;
+     * a 32×32 body with mass 1 has 0.001)
+     * @param {number} config.surfaceLevel - Depth of the surface below the top of the area, px (default: 0)
+     * @param {number} config.drag - How fast speed decays when fully submerged, per second (default: 1)
+     * @param {number} config.angularDrag - How fast spin decays when fully submerged, per second (default: 1)
+     * @param {number} config.flowX - Force X of the current on submerged bodies (default: 0)
+     * @param {number} config.flowY - Force Y of the current on submerged bodies (default: 0)
+     */
+    constructor(config = {}) {
+        super(config);
+
+        this.density = config.density !== undefined ? config.density : 0.002;
+        this.surfaceLevel = config.surfaceLevel || 0;
+        this.drag = config.drag !== undefined ? config.drag : 1;
+        this.angularDrag = config.angularDrag !== undefined ? config.angularDrag : 1;
+        this.flowX = config.flowX || 0;
+        this.flowY = config.flowY || 0;
+    }
+
+    /**
+     * Gets the world Y of the fluid surface
+     * @param {Collider} area - Collider the effector belongs to
+     * @returns {number}
+     */
+    getSurfaceY(area) {
+        return area.getAABB().minY + this.surfaceLevel;
+    }
+
+    /**
+     * Applies buoyancy, drag and flow in proportion to how deep each collider is submerged
+     * @param {RigidBody} rigidBody - Body
+     * @param {Collider[]} colliders - The body's colliders touching the area
+     * @param {Collider} area - Collider the effector belongs to
+     * @param {Physics} physics - Physics system
+     */
+    apply(rigidBody, colliders, area, physics) {
+        const bounds = area.getAABB();
+        const surfaceY = this.getSurfaceY(area);
+        const gravity = physics.getGravity(rigidBody);
+
+        let total = 0;
+        let submerged = 0;
+        for (const collider of colliders) {
+            const outline = BuoyancyEffector.outline(collider.getShape());
+            total += BuoyancyEffector.polygonArea(outline).area;
+
+            // Keep the part below the surface and inside the area
+            let wet = BuoyancyEffector.clip(outline, 0, 1, surfaceY);
+            wet = BuoyancyEffector.clip(wet, 1, 0, bounds.minX);
+            wet = BuoyancyEffector.clip(wet, -1, 0, -bounds.maxX);
+            wet = BuoyancyEffector.clip(wet, 0, -1, -bounds.maxY);
+
+            const { area: wetArea, centroid } = BuoyancyEffector.polygonArea(wet);
+            if (wetArea <= 0) continue;
+            submerged += wetArea;
+
+            // The displaced fluid weighs against gravity, pushing at the center of the submerged part
+            const lift = this.density * wetArea;
+            rigidBody.addForceAtPoint(-gravity.x * lift, -gravity.y * lift, centroid.x, centroid.y);
+        }
+
+        if (submerged === 0 || total === 0) return;
+        const fraction = Math.min(1, submerged / total);
+        this._addForce(rigidBody, this.flowX * fraction, this.flowY * fraction);
+        this._addDrag(rigidBody, this.drag * fraction, this.angularDrag * fraction);
+    }
+
+    /**
+     * Gets a polygon outline of a shape; rounded shapes are approximated
+     * @param {{vertices: {x: number, y: number}[], radius: number}} shape - World shape
+     * @returns {{x: number, y: number}[]}
+     */
+    static outline(shape) {
+        if (shape.radius === 0) return shape.vertices;
+
+        const points = [];
+        for (const v of shape.vertices) {
+            for (let i = 0; i < BuoyancyEffector.ROUND_SEGMENTS; i++) {
+                const angle = i / BuoyancyEffector.ROUND_SEGMENTS * Math.PI * 2;
+                points.push({ x: v.x + Math.cos(angle) * shape.radius, y: v.y + Math.sin(angle) * shape.radius });
+            }
+        }
+        return Collision.convexHull(points);
+    }
+
+    /**
+     * Cuts a convex polygon down to the side of a line where nx * x + ny * y >= offset
+     * @param {{x: number, y: number}[]} polygon - Polygon
+     * @param {number} nx - Line normal X
+     * @param {number} ny - Line normal Y
+     * @param {number} offset - Line offset along the normal
+     * @returns {{x: number, y: number}[]}
+     */
+    static clip(polygon, nx, ny, offset) {
+        const result = [];
+        for (let i = 0; i < polygon.length; i++) {
+            const p = polygon[i];
+            const q = polygon[(i + 1) % polygon.length];
+            const dp = p.x * nx + p.y * ny - offset;
+            const dq = q.x * nx + q.y * ny - offset;
+
+            if (dp >= 0) result.push(p);
+            if ((dp >= 0) !== (dq >= 0)) {
+                const t = dp / (dp - dq);
+                result.push({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Gets the area and centroid of a polygon
+     * @param {{x: number, y: number}[]} polygon - Polygon
+     * @returns {{area: number, centroid: {x: number, y: number}}}
+     */
+    static polygonArea(polygon) {
+        let area = 0;
+        let cx = 0, cy = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const p = polygon[i];
+            const q = polygon[(i + 1) % polygon.length];
+            const cross = p.x * q.y - q.x * p.y;
+            area += cross;
+            cx += (p.x + q.x) * cross;
+            cy += (p.y + q.y) * cross;
+        }
+
+        if (Math.abs(area) < 1e-9) return { area: 0, centroid: { x: 0, y: 0 } };
+        return { area: Math.abs(area) / 2, centroid: { x: cx / (3 * area), y: cy / (3 * area) } };
+    }
+}
+
+/**
+ * Segments per full circle when approximating rounded shapes
+ */
+BuoyancyEffector.ROUND_SEGMENTS = 16;
@@ -0,0 +1,582 @@
+/**
+ * Joint Base Class
+ * @class Joint
+ * @description Constraint between two rigid bodies, or between a body and a fixed world point.
+ * Joints are added with Physics.addJoint and solved every fixed step together with contacts.
+ */
+export class Joint {
+    /**
+     * Creates a new Joint
+     * @param {Object} config - Configuration
+     * @param {RigidBody} config.bodyA - First body
+     * @param {RigidBody} config.bodyB - Second body (default: null, anchored to the world)
+     * @param {Object} config.anchorA - Anchor {x, y} relative to bodyA (default: center)
+     * @param {Object} config.anchorB - Anchor {x, y} relative to bodyB, or a world point when there is no bodyB
+     * @param {boolean} config.collideConnected - Whether the two bodies still collide with each other (default: false)
+     */
+    constructor(config = {}) {
+        this.bodyA = config.bodyA || null;
+        this.bodyB = config.bodyB || null;
+        this.anchorA = config.anchorA || { x: 0, y: 0 };
+        this.anchorB = config.anchorB || { x: 0, y: 0 };
+        this.collideConnected = config.collideConnected || false;
+        this.active = true;
+
+        if (!this.bodyA) {
+            console.error('Joint requires bodyA');
+            return;
+        }
+
+        // A world anchor defaults to where anchor A is now, so nothing jumps
+        if (!this.bodyB && config.anchorB === undefined && this.bodyA.gameObject) {
+            this.anchorB = this.getWorldAnchorA();
+        }
+    }
+
+    /**
+     * Gets the anchor on bodyA in world space
+     * @returns {{x: number, y: number}}
+     */
+    getWorldAnchorA() {
+        return Joint.toWorld(this.bodyA, this.anchorA);
+    }
+
+    /**
+     * Gets the anchor on bodyB (or the world anchor) in world space
+     * @returns {{x: number, y: number}}
+     */
+    getWorldAnchorB() {
+        return this.bodyB ? Joint.toWorld(this.bodyB, this.anchorB) : { x: this.anchorB.x, y: this.anchorB.y };
+    }
+
+    /**
+     * Checks whether the joint takes part in the simulation
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.active && Joint.isBodyEnabled(this.bodyA) && (!this.bodyB || Joint.isBodyEnabled(this.bodyB));
+    }
+
+    /**
+     * Prepares the joint for a step
+     * @param {number} dt - Fixed delta time
+     */
+    prepare(dt) {
+        // Override in subclass
+    }
+
+    /**
+     * Applies velocity impulses (called once per solver iteration)
+     */
+    solveVelocity() {
+        // Override in subclass
+    }
+
+    /**
+     * Moves the bodies to satisfy the joint (called once per position iteration)
+     */
+    solvePosition() {
+        // Override in subclass
+    }
+
+    /**
+     * Gets the inverse masses and inverse moments of inertia of both bodies
+     * (0 for the world, kinematic bodies and bodies that cannot rotate)
+     * @protected
+     * @returns {{invMassA: number, invMassB: number, invInertiaA: number, invInertiaB: number}}
+     */
+    _inverseMasses() {
+        return {
+            invMassA: Joint.inverseMass(this.bodyA),
+            invMassB: Joint.inverseMass(this.bodyB),
+            invInertiaA: Joint.inverseInertia(this.bodyA),
+            invInertiaB: Joint.inverseInertia(this.bodyB)
+        };
+    }
+
+    /**
+     * Gets the lever arms from each body's position to its anchor (zero for the world)
+     * @protected
+     * @returns {{rA: {x: number, y: number}, rB: {x: number, y: number}}}
+     */
+    _arms() {
+        const a = this.getWorldAnchorA();
+        const rA = { x: a.x - this.bodyA.gameObject.x, y: a.y - this.bodyA.gameObject.y };
+        if (!this.bodyB) {
+            return { rA, rB: { x: 0, y: 0 } };
+        }
+
+        const b = this.getWorldAnchorB();
+        return { rA, rB: { x: b.x - this.bodyB.gameObject.x, y: b.y - this.bodyB.gameObject.y } };
+    }
+
+    /**
+     * Gets the velocity of anchor B relative to anchor A
+     * @protected
+     * @returns {{x: number, y: number}}
+     */
+    _relativeVelocity() {
+        const a = this.getWorldAnchorA();
+        const va = this.bodyA.getPointVelocity(a.x, a.y);
+        if (!this.bodyB) {
+            return { x: -va.x, y: -va.y };
+        }
+
+        const b = this.getWorldAnchorB();
+        const vb = this.bodyB.getPointVelocity(b.x, b.y);
+        return { x: vb.x - va.x, y: vb.y - va.y };
+    }
+
+    /**
+     * Inverse of the mass the anchors resist an impulse along a direction with
+     * @protected
+     * @param {number} nx - Direction X (normalized)
+     * @param {number} ny - Direction Y
+     * @returns {number}
+     */
+    _inverseMassAlong(nx, ny) {
+        const { invMassA, invMassB, invInertiaA, invInertiaB } = this._inverseMasses();
+        const { rA, rB } = this._arms();
+        const crossA = rA.x * ny - rA.y * nx;
+        const crossB = rB.x * ny - rB.y * nx;
+        return invMassA + invMassB + crossA * crossA * invInertiaA + crossB * crossB * invInertiaB;
+    }
+
+    /**
+     * Applies an impulse at anchor B and the opposite impulse at anchor A
+     * @protected
+     * @param {number} x - Impulse X
+     * @param {number} y - Impulse Y
+     */
+    _applyImpulse(x, y) {
+        const { invMassA, invMassB, invInertiaA, invInertiaB } = this._inverseMasses();
+        const { rA, rB } = this._arms();
+        if (invMassA > 0) {
+            this.bodyA.velocityX -= x * invMassA;
+            this.bodyA.velocityY -= y * invMassA;
+            this.bodyA.angularVelocity -= (rA.x * y - rA.y * x) * invInertiaA;
+        }
+        if (invMassB > 0) {
+            this.bodyB.velocityX += x * invMassB;
+            this.bodyB.velocityY += y * invMassB;
+            this.bodyB.angularVelocity += (rB.x * y - rB.y * x) * invInertiaB;
+        }
+    }
+
+    /**
+     * Moves anchor B by (x, y) relative to anchor A, shared between the bodies by their
+     * inverse mass and inertia
+     * @protected
+     * @param {number} x - Correction X
+     * @param {number} y - Correction Y
+     */
+    _applyCorrection(x, y) {
+        const length = Math.sqrt(x * x + y * y);
+        if (length === 0) return;
+
+        const nx = x / length;
+        const ny = y / length;
+        const inverseMass = this._inverseMassAlong(nx, ny);
+        if (inverseMass === 0) return;
+
+        const { invMassA, invMassB, invInertiaA, invInertiaB } = this._inverseMasses();
+        const { rA, rB } = this._arms();
+        const lambda = length / inverseMass;
+        if (invMassA > 0) {
+            this.bodyA.gameObject.x -= nx * lambda * invMassA;
+            this.bodyA.gameObject.y -= ny * lambda * invMassA;
+            this.bodyA.gameObject.rotation -= (rA.x * ny - rA.y * nx) * lambda * invInertiaA;
+        }
+        if (invMassB > 0) {
+            this.bodyB.gameObject.x += nx * lambda * invMassB;
+            this.bodyB.gameObject.y += ny * lambda * invMassB;
+            this.bodyB.gameObject.rotation += (rB.x * ny - rB.y * nx) * lambda * invInertiaB;
+        }
+    }
+
+    /**
+     * Transforms a body-local point to world space
+     * @param {RigidBody} body - Body
+     * @param {{x: number, y: number}} point - Local point
+     * @returns {{x: number, y: number}}
+     */
+    static toWorld(body, point) {
+        const obj = body.gameObject;
+        const cos = Math.cos(obj.rotation);
+        const sin = Math.sin(obj.rotation);
+        return {
+            x: obj.x + point.x * cos - point.y * sin,
+            y: obj.y + point.x * sin + point.y * cos
+        };
+    }
+
+    /**
+     * Transforms a world point to body-local space
+     * @param {RigidBody} body - Body
+     * @param {{x: number, y: number}} point - World point
+     * @returns {{x: number, y: number}}
+     */
+    static toLocal(body, point) {
+        const obj = body.gameObject;
+        const cos = Math.cos(obj.rotation);
+        const sin = Math.sin(obj.rotation);
+        const dx = point.x - obj.x;
+        const dy = point.y - obj.y;
+        return { x: dx * cos + dy * sin, y: -dx * sin + dy * cos };
+    }
+
+    /**
+     * Gets the inverse mass of a body (0 for no body or a kinematic body)
+     * @param {RigidBody|null} body - Body
+     * @returns {number}
+     */
+    static inverseMass(body) {
+        return body ? body.getInverseMass() : 0;
+    }
+
+    /**
+     * Gets the inverse moment of inertia of a body (0 for no body, a kinematic body or fixed rotation)
+     * @param {RigidBody|null} body - Body
+     * @returns {number}
+     */
+    static inverseInertia(body) {
+        return body ? body.getInverseInertia() : 0;
+    }
+
+    /**
+     * Checks whether a body is attached to an active game object
+     * @param {RigidBody} body - Body
+     * @returns {boolean}
+     */
+    static isBodyEnabled(body) {
+        return !!body && body.active && !!body.gameObject && body.gameObject.active;
+    }
+}
+
+/**
+ * Fields saved by Serializer
+ */
+Joint.serializable = ['bodyA', 'bodyB', 'anchorA', 'anchorB', 'collideConnected', 'active'];
+
+/**
+ * DistanceJoint
+ * @class DistanceJoint
+ * @extends Joint
+ * @description Keeps the anchors at a fixed distance, like a rigid rod
+ */
+export class DistanceJoint extends Joint {
+    /**
+     * Creates a new DistanceJoint
+     * @param {Object} config - Configuration (see Joint)
+     * @param {number} config.length - Distance to keep (default: the distance when first solved)
+     */
+    constructor(config = {}) {
+        super(config);
+        this.length = config.length !== undefined ? config.length : null;
+        this._normal = { x: 0, y: 0 };
+        this._impulse = 0;
+    }
+
+    /**
+     * Prepares the joint for a step
+     * @param {number} dt - Fixed delta time
+     */
+    prepare(dt) {
+        const { distance, normal } = this._measure();
+        if (this.length === null) {
+            this.length = distance;
+        }
+        this._normal = normal;
+        this._impulse = 0;
+    }
+
+    /**
+     * Removes relative velocity along the joint axis
+     */
+    solveVelocity() {
+        const inverseMass = this._inverseMassAlong(this._normal.x, this._normal.y);
+        if (inverseMass === 0) return;
+
+        const v = this._relativeVelocity();
+        let lambda = -(v.x * this._normal.x + v.y * this._normal.y) / inverseMass;
+        lambda = this._clampImpulse(lambda);
+        this._applyImpulse(this._normal.x * lambda, this._normal.y * lambda);
+    }
+
+    /**
+     * Moves the anchors back to the joint length
+     */
+    solvePosition() {
+        const { distance, normal } = this._measure();
+        const error = this._positionError(distance);
+        if (error !== 0) {
+            this._applyCorrection(-normal.x * error, -normal.y * error);
+        }
+    }
+
+    /**
+     * Limits the accumulated impulse (rigid joints accept any)
+     * @protected
+     * @param {number} lambda - Impulse for this iteration
+     * @returns {number} Impulse to apply
+     */
+    _clampImpulse(lambda) {
+        this._impulse += lambda;
+        return lambda;
+    }
+
+    /**
+     * Length error to correct
+     * @protected
+     * @param {number} distance - Current distance
+     * @returns {number}
+     */
+    _positionError(distance) {
+        return distance - this.length;
+    }
+
+    /**
+     * Measures the anchor distance and the direction from anchor A to anchor B
+     * @protected
+     * @returns {{distance: number, normal: {x: number, y: number}}}
+     */
+    _measure() {
+        const a = this.getWorldAnchorA();
+        const b = this.getWorldAnchorB();
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        // Coincident anchors: pick an arbitrary but stable axis
+        if (distance === 0) {
+            return { distance, normal: { x: 0, y: 1 } };
+        }
+        return { distance, normal: { x: dx / distance, y: dy / distance } };
+    }
+}
+
+/**
+ * Fields saved by Serializer
+ */
+DistanceJoint.serializable = [...Joint.serializable, 'length'];
+
+/**
+ * RopeJoint
+ * @class RopeJoint
+ * @extends DistanceJoint
+ * @description Limits the anchors to a maximum distance; slack rope exerts no force
+ */
+export class RopeJoint extends DistanceJoint {
+    /**
+     * Creates a new RopeJoint
+     * @param {Object} config - Configuration (see Joint)
+     * @param {number} config.maxLength - Maximum distance (default: the distance when first solved)
+     */
+    constructor(config = {}) {
+        super({ ...config, length: config.maxLength });
+    }
+
+    /**
+     * Gets the maximum distance
+     * @returns {number|null}
+     */
+    get maxLength() {
+        return this.length;
+    }
+
+    set maxLength(value) {
+        this.length = value;
+    }
+
+    /**
+     * A rope only pulls: the accumulated impulse may not push the anchors apart
+     * @protected
+     */
+    _clampImpulse(lambda) {
+        const taut = this._measure().distance >= this.length;
+        const previous = this._impulse;
+        this._impulse = taut ? Math.min(previous + lambda, 0) : 0;
+        return this._impulse - previous;
+    }
+
+    /**
+     * Only a stretched rope is corrected
+     * @protected
+     */
+    _positionError(distance) {
+        return Math.max(0, distance - this.length);
+    }
+}
+
+/**
+ * SpringJoint
+ * @class SpringJoint
+ * @extends Joint
+ * @description Damped spring pulling the anchors towards a rest length
+ */
+export class SpringJoint extends Joint {
+    /**
+     * Creates a new SpringJoint
+     * @param {Object} config - Configuration (see Joint)
+     * @param {number} config.length - Rest length (default: the distance when first solved)
+     * @param {number} config.stiffness - Spring force per pixel of stretch (default: 100)
+     * @param {number} config.damping - Damping force per px/s of relative speed (default: 5)
+     */
+    constructor(config = {}) {
+        super(config);
+        this.length = config.length !== undefined ? config.length : null;
+        this.stiffness = config.stiffness !== undefined ? config.stiffness : 100;
+        this.damping = config.damping !== undefined ? config.damping : 5;
+    }
+
+    /**
+     * Applies the spring force for this step
+     * @param {number} dt - Fixed delta time
+     */
+    prepare(dt) {
+        const a = this.getWorldAnchorA();
+        const b = this.getWorldAnchorB();
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (this.length === null) {
+            this.length = distance;
+        }
+        if (distance === 0) return;
+
+        const nx = dx / distance;
+        const ny = dy / distance;
+        const v = this._relativeVelocity();
+        const speed = v.x * nx + v.y * ny;
+
+        // Positive force pulls the anchors together
+        const force = this.stiffness * (distance - this.length) + this.damping * speed;
+        this._applyImpulse(-nx * force * dt, -ny * force * dt);
+    }
+}
+
+/**
+ * Fields saved by Serializer
+ */
+SpringJoint.serializable = [...Joint.serializable, 'length', 'stiffness', 'damping'];
+
+/**
+ * RevoluteJoint
+ * @class RevoluteJoint
+ * @extends Joint
+ * @description Pins the two anchors together so the bodies can only swing around the shared point
+ */
+export class RevoluteJoint extends Joint {
+    /**
+     * Creates a new RevoluteJoint
+     * @param {Object} config - Configuration (see Joint)
+     */
+    constructor(config = {}) {
+        super(config);
+    }
+
+    /**
+     * Removes relative velocity at the pin
+     */
+    solveVelocity() {
+        const { invMassA, invMassB, invInertiaA, invInertiaB } = this._inverseMasses();
+        const { rA, rB } = this._arms();
+        const invMassSum = invMassA + invMassB;
+
+        // Mass matrix of the pin: how its velocity responds to an impulse in x and y
+        const k11 = invMassSum + rA.y * rA.y * invInertiaA + rB.y * rB.y * invInertiaB;
+        const k12 = -rA.x * rA.y * invInertiaA - rB.x * rB.y * invInertiaB;
+        const k22 = invMassSum + rA.x * rA.x * invInertiaA + rB.x * rB.x * invInertiaB;
+        const det = k11 * k22 - k12 * k12;
+        if (det === 0) return;
+
+        const v = this._relativeVelocity();
+        this._applyImpulse(-(k22 * v.x - k12 * v.y) / det, -(k11 * v.y - k12 * v.x) / det);
+    }
+
+    /**
+     * Moves the anchors back together
+     */
+    solvePosition() {
+        const a = this.getWorldAnchorA();
+        const b = this.getWorldAnchorB();
+        this._applyCorrection(a.x - b.x, a.y - b.y);
+    }
+}
+
+/**
+ * WeldJoint
+ * @class WeldJoint
+ * @extends RevoluteJoint
+ * @description Glues two bodies together at the anchors, keeping their relative angle
+ */
+export class WeldJoint extends RevoluteJoint {
+    /**
+     * Creates a new WeldJoint
+     * @param {Object} config - Configuration (see Joint)
+     * @param {number} config.referenceAngle - Relative angle to keep (default: the angle when created)
+     */
+    constructor(config = {}) {
+        super(config);
+
+        // Weld where the bodies are now unless told otherwise
+        if (config.anchorA === undefined && this.bodyB && this.bodyA?.gameObject && this.bodyB.gameObject) {
+            this.anchorA = Joint.toLocal(this.bodyA, this.getWorldAnchorB());
+        }
+
+        this.referenceAngle = config.referenceAngle !== undefined
+            ? config.referenceAngle
+            : this._relativeAngle();
+    }
+
+    /**
+     * Removes relative velocity at the pin and relative spin
+     */
+    solveVelocity() {
+        super.solveVelocity();
+
+        const { invInertiaA, invInertiaB } = this._inverseMasses();
+        const invInertiaSum = invInertiaA + invInertiaB;
+        if (invInertiaSum === 0) return;
+
+        const spin = (this.bodyB ? this.bodyB.angularVelocity : 0) - this.bodyA.angularVelocity;
+        const impulse = -spin / invInertiaSum;
+        this.bodyA.angularVelocity -= impulse * invInertiaA;
+        if (this.bodyB) {
+            this.bodyB.angularVelocity += impulse * invInertiaB;
+        }
+    }
+
+    /**
+     * Pins the anchors and turns the bodies back to the reference angle, shared by inverse inertia
+     */
+    solvePosition() {
+        super.solvePosition();
+
+        const { invInertiaA, invInertiaB } = this._inverseMasses();
+        const invInertiaSum = invInertiaA + invInertiaB;
+        if (invInertiaSum === 0) return;
+
+        const error = this._relativeAngle() - this.referenceAngle;
+        this.bodyA.gameObject.rotation += error * invInertiaA / invInertiaSum;
+        if (this.bodyB) {
+            this.bodyB.gameObject.rotation -= error * invInertiaB / invInertiaSum;
+        }
+    }
+
+    /**
+     * Current angle of bodyB relative to bodyA (or the world)
+     * @private
+     */
+    _relativeAngle() {
+        const angleA = this.bodyA && this.bodyA.gameObject ? this.bodyA.gameObject.rotation : 0;
+        const angleB = this.bodyB && this.bodyB.gameObject ? this.bodyB.gameObject.rotation : 0;
+        return angleB - angleA;
+    }
+}
+
+/**
+ * Fields saved by Serializer
+ */
+WeldJoint.serializable = [...Joint.serializable, 'referenceAngle'];
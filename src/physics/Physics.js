@@ -1,3 +1,8 @@
+import { Broadphase, SpatialHashBroadphase, AABBTreeBroadphase } from './Broadphase.js';
+import { Collision } from './Collision.js';
+import { Collider } from './Collider.js';
+import { PhysicsMaterial } from './PhysicsMaterial.js';
+
 /**
  * Physics System
  * @class Physics
@@ -7,12 +12,197 @@ export class Physics {
     /**
      * Creates a new Physics system
      * @param {Scene} scene - Scene to manage physics for
+     * @param {Object} config - Configuration
+     * @param {Broadphase} config.broadphase - Broadphase for moving colliders (default: SpatialHashBroadphase)
+     * @param {Broadphase} config.staticBroadphase - Broadphase for colliders without a RigidBody (default: AABBTreeBroadphase)
+     * @param {number} config.solverIterations - Velocity solver iterations per step (default: 8)
+     * @param {number} config.positionIterations - Position correction passes over contacts per step (default: 4)
+     * @param {number} config.contactSlop - Overlap left in place so resting contacts persist between steps (default: 0.1)
+     * @param {number} config.restitutionThreshold - Impact speed below which contacts do not bounce (default: 50)
+     * @param {PhysicsMaterial} config.defaultMaterial - Material for colliders without one (default: frictionless, no bounce)
+     * @param {number} config.jointPositionIterations - Position correction passes over joints per step (default: 4)
+     * @param {number} config.continuousSkin - Depth a continuous body may sink into a collider it hits, so the contact solver sees the contact (default: 0.5)
+     * @param {boolean} config.allowSleep - Let resting bodies fall asleep (default: true)
+     * @param {number} config.sleepTime - Seconds an island must stay slow before it sleeps (default: 0.5)
+     * @param {number} config.sleepVelocity - Speed below which a body counts as resting (default: 5)
+     * @param {number} config.sleepAngularVelocity - Spin below which a body counts as resting (default: 0.05)
      */
-    constructor(scene) {
+    constructor(scene, config = {}) {
         this.scene = scene;
         this.gravity = 980; // pixels per second squared
         this.colliders = [];
-        this.collisionMatrix = new Map();
+
+        // Contact solver
+        this.solverIterations = config.solverIterations || 8;
+        this.positionIterations = config.positionIterations || 4;
+        this.contactSlop = config.contactSlop !== undefined ? config.contactSlop : 0.1; // px
+        this.restitutionThreshold = config.restitutionThreshold !== undefined ? config.restitutionThreshold : 50; // px/s
+        this.defaultMaterial = config.defaultMaterial || new PhysicsMaterial({ staticFriction: 0, dynamicFriction: 0 });
+
+        // Deterministic mode (Engine sets this): pairs are solved in collider id order, so identical runs give bit-identical results
+        this.deterministic = config.deterministic || false;
+
+        // Continuous collision
+        this.continuousSkin = config.continuousSkin !== undefined ? config.continuousSkin : 0.5; // px a swept body may sink into what it hits
+        this.tilemaps = [];
+        this.tilemapColliders = [];
+        this._tileContacts = [];
+
+        // Moving platforms
+        this._supports = new Map(); // RigidBody -> {collider, x, y, rotation}: what it stood on after the last step
+
+        // Area effectors
+        this._areaGravity = new Map(); // RigidBody -> collider of the gravity area it is in
+
+        // One-way colliders
+        this._dropping = new Map(); // RigidBody -> seconds it still falls through one-way colliders
+
+        // Joints
+        this.joints = [];
+        this.jointPositionIterations = config.jointPositionIterations || 4;
+        this._connected = new Map(); // RigidBody -> Map(RigidBody -> joint count) for bodies that ignore each other
+
+        // Sleeping
+        this.allowSleep = config.allowSleep !== false;
+        this.sleepTime = config.sleepTime !== undefined ? config.sleepTime : 0.5; // seconds
+        this.sleepVelocity = config.sleepVelocity !== undefined ? config.sleepVelocity : 5; // px/s
+        this.sleepAngularVelocity = config.sleepAngularVelocity !== undefined ? config.sleepAngularVelocity : 0.05; // rad/s
+
+        // Touching pairs from the last step, keyed by collider ids
+        this.contacts = new Map();
+
+        // Collision layers: index = bit, masks hold the layers each layer collides with
+        this.layers = ['default'];
+        this.layerMasks = [0xFFFFFFFF];
+
+        // Static colliders live in their own structure so they are only touched when they move
+        this.broadphase = config.broadphase || new SpatialHashBroadphase();
+        this.staticBroadphase = config.staticBroadphase || new AABBTreeBroadphase();
+        this._proxies = new Map();
+    }
+
+    /**
+     * Replaces the broadphase used for moving colliders
+     * @param {Broadphase} broadphase - New broadphase
+     */
+    setBroadphase(broadphase) {
+        this.broadphase.clear();
+        for (const [collider, proxy] of this._proxies) {
+            if (!proxy.isStatic) {
+                broadphase.insert(collider, proxy.aabb);
+            }
+        }
+        this.broadphase = broadphase;
+    }
+
+    /**
+     * Adds a named collision layer (collides with every layer by default)
+     * @param {string} name - Layer name
+     * @returns {number} Layer index, or -1 if all 32 layers are in use
+     */
+    addLayer(name) {
+        const existing = this.layers.indexOf(name);
+        if (existing !== -1) return existing;
+
+        if (this.layers.length >= 32) {
+            console.error(`Cannot add layer "${name}": 32 layers maximum`);
+            return -1;
+        }
+
+        const index = this.layers.length;
+        this.layers.push(name);
+        this.layerMasks.push(0xFFFFFFFF);
+        return index;
+    }
+
+    /**
+     * Enables or disables collisions between two layers
+     * @param {string} layerA - First layer
+     * @param {string} layerB - Second layer
+     * @param {boolean} collides - Whether the layers collide (default: true)
+     */
+    setLayerCollision(layerA, layerB, collides = true) {
+        const a = this.addLayer(layerA);
+        const b = this.addLayer(layerB);
+        if (a === -1 || b === -1) return;
+
+        if (collides) {
+            this.layerMasks[a] |= (1 << b);
+            this.layerMasks[b] |= (1 << a);
+        } else {
+            this.layerMasks[a] &= ~(1 << b);
+            this.layerMasks[b] &= ~(1 << a);
+        }
+    }
+
+    /**
+     * Checks if two layers collide
+     * @param {string} layerA - First layer
+     * @param {string} layerB - Second layer
+     * @returns {boolean}
+     */
+    canLayersCollide(layerA, layerB) {
+        const a = this.layers.indexOf(layerA);
+        const b = this.layers.indexOf(layerB);
+
+        // Unknown layers behave like fresh layers and collide with everything
+        if (a === -1 || b === -1) return true;
+        return (this.layerMasks[a] & (1 << b)) !== 0;
+    }
+
+    /**
+     * Builds a bitmask from layer names, for use as a query filter
+     * @param {...string} names - Layer names
+     * @returns {number}
+     */
+    getLayerMask(...names) {
+        let mask = 0;
+        for (const name of names) {
+            const index = this.layers.indexOf(name);
+            if (index !== -1) {
+                mask |= (1 << index);
+            }
+        }
+        return mask;
+    }
+
+    /**
+     * Checks if two colliders may interact according to the layer matrix and their joints
+     * @param {Collider} a - First collider
+     * @param {Collider} b - Second collider
+     * @returns {boolean}
+     */
+    shouldCollide(a, b) {
+        return this.canLayersCollide(a.layer, b.layer) && !this._areConnected(a, b);
+    }
+
+    /**
+     * Checks if the bodies of two colliders share a joint that disables their collision
+     * @private
+     */
+    _areConnected(a, b) {
+        if (this._connected.size === 0) return false;
+
+        const rbA = a.gameObject.getComponent(RigidBody);
+        const rbB = b.gameObject.getComponent(RigidBody);
+        const connected = rbA && rbB && this._connected.get(rbA);
+        return !!connected && connected.has(rbB);
+    }
+
+    /**
+     * Checks if a collider passes a query layer filter
+     * @private
+     * @param {Collider} collider - Collider
+     * @param {string[]|number} layers - Layer names or bitmask (undefined = all layers)
+     * @returns {boolean}
+     */
+    _matchesLayers(collider, layers) {
+        if (layers === undefined || layers === null) return true;
+
+        const mask = typeof layers === 'number' ? layers : this.getLayerMask(...layers);
+        const index = this.layers.indexOf(collider.layer);
+        if (index === -1) return false;
+        return (mask & (1 << index)) !== 0;
     }
 
     /**
@@ -20,7 +210,21 @@ export class Physics {
      * @param {Collider} collider - Collider to register
      */
     addCollider(collider) {
-        this.colliders.push(collider);
+        if (!this.colliders.includes(collider)) {
+            // Kept in id order, which does not change as other colliders come and go
+            let index = this.colliders.length;
+            while (index > 0 && this.colliders[index - 1].id > collider.id) {
+                index--;
+            }
+            this.colliders.splice(index, 0, collider);
+            this.addLayer(collider.layer);
+
+            // Into the broadphase right away, so bodies sweeping before the next step see it
+            const aabb = collider.getAABB();
+            const isStatic = !collider.gameObject.getComponent(RigidBody);
+            this._getBroadphase(isStatic).insert(collider, aabb);
+            this._proxies.set(collider, { aabb, isStatic });
+        }
     }
 
     /**
@@ -32,186 +236,1581 @@ export class Physics {
         if (index !== -1) {
             this.colliders.splice(index, 1);
         }
+
+        const proxy = this._proxies.get(collider);
+        if (proxy) {
+            this._getBroadphase(proxy.isStatic).remove(collider);
+            this._proxies.delete(collider);
+        }
+
+        for (const [rigidBody, support] of this._supports) {
+            if (support.collider === collider || rigidBody.gameObject === collider.gameObject) {
+                this._supports.delete(rigidBody);
+            }
+        }
+
+        // Drop ongoing contacts so the removed collider never receives callbacks again
+        for (const [key, { a, b, passing }] of this.contacts) {
+            if (a !== collider && b !== collider) continue;
+
+            this.contacts.delete(key);
+            const other = a === collider ? b : a;
+            this._wake(other);
+            if (!passing && other.onCollisionExit) other.onCollisionExit(collider);
+        }
     }
 
     /**
-     * Performs collision detection
+     * Registers a tilemap whose solid tiles stop continuous bodies
+     * @param {Tilemap} tilemap - Tilemap
      */
-    detectCollisions() {
-        const newCollisions = new Map();
+    addTilemap(tilemap) {
+        if (!this.tilemaps.includes(tilemap)) {
+            this.tilemaps.push(tilemap);
+        }
+    }
 
-        for (let i = 0; i < this.colliders.length; i++) {
-            for (let j = i + 1; j < this.colliders.length; j++) {
-                const a = this.colliders[i];
-                const b = this.colliders[j];
+    /**
+     * Unregisters a tilemap
+     * @param {Tilemap} tilemap - Tilemap
+     */
+    removeTilemap(tilemap) {
+        const index = this.tilemaps.indexOf(tilemap);
+        if (index > -1) {
+            this.tilemaps.splice(index, 1);
+        }
+    }
 
-                if (!a.active || !b.active) continue;
+    /**
+     * Registers the colliders of a TilemapCollider. Its tilemap then collides through them
+     * instead of as solid tiles.
+     * @param {TilemapCollider} tilemapCollider - TilemapCollider
+     */
+    addTilemapCollider(tilemapCollider) {
+        if (this.tilemapColliders.includes(tilemapCollider)) return;
 
-                let isColliding = false;
+        this.tilemapColliders.push(tilemapCollider);
+        for (const part of tilemapCollider.getParts()) {
+            this.addCollider(part);
+        }
+    }
 
-                // Check collision based on collider types
-                if (a.constructor.name === 'BoxCollider' && b.constructor.name === 'BoxCollider') {
-                    isColliding = a.intersects(b);
-                } else if (a.constructor.name === 'CircleCollider' && b.constructor.name === 'CircleCollider') {
-                    isColliding = a.intersects(b);
-                } else if (a.constructor.name === 'CircleCollider' && b.constructor.name === 'BoxCollider') {
-                    isColliding = a.intersectsBox(b);
-                } else if (a.constructor.name === 'BoxCollider' && b.constructor.name === 'CircleCollider') {
-                    isColliding = b.intersectsBox(a);
-                }
+    /**
+     * Unregisters the colliders of a TilemapCollider
+     * @param {TilemapCollider} tilemapCollider - TilemapCollider
+     */
+    removeTilemapCollider(tilemapCollider) {
+        const index = this.tilemapColliders.indexOf(tilemapCollider);
+        if (index === -1) return;
 
-                const key = `${a.gameObject.name || i}-${b.gameObject.name || j}`;
-
-                if (isColliding) {
-                    newCollisions.set(key, { a, b });
-
-                    if (this.collisionMatrix.has(key)) {
-                        // Collision stay
-                        if (a.onCollisionStay) a.onCollisionStay(b);
-                        if (b.onCollisionStay) b.onCollisionStay(a);
-                    } else {
-                        // Collision enter
-                        if (a.onCollisionEnter) a.onCollisionEnter(b);
-                        if (b.onCollisionEnter) b.onCollisionEnter(a);
-                    }
-
-                    // Resolve collision if not trigger
-                    if (!a.isTrigger && !b.isTrigger) {
-                        this.resolveCollision(a, b);
-                    }
-                }
-            }
+        this.tilemapColliders.splice(index, 1);
+        for (const part of tilemapCollider.parts) {
+            this.removeCollider(part);
         }
+    }
 
-        // Check for collision exits
-        for (const [key, { a, b }] of this.collisionMatrix) {
-            if (!newCollisions.has(key)) {
-                if (a.onCollisionExit) a.onCollisionExit(b);
-                if (b.onCollisionExit) b.onCollisionExit(a);
-            }
+    /**
+     * Adds a joint to the simulation
+     * @param {Joint} joint - Joint
+     * @returns {Joint} The joint
+     */
+    addJoint(joint) {
+        if (this.joints.includes(joint)) return joint;
+
+        this.joints.push(joint);
+        this._wakeBodies(joint);
+        if (!joint.collideConnected && joint.bodyA && joint.bodyB) {
+            this._connect(joint.bodyA, joint.bodyB, 1);
+            this._connect(joint.bodyB, joint.bodyA, 1);
+        }
+        return joint;
+    }
+
+    /**
+     * Removes a joint from the simulation
+     * @param {Joint} joint - Joint
+     */
+    removeJoint(joint) {
+        const index = this.joints.indexOf(joint);
+        if (index === -1) return;
+
+        this.joints.splice(index, 1);
+        this._wakeBodies(joint);
+        if (!joint.collideConnected && joint.bodyA && joint.bodyB) {
+            this._connect(joint.bodyA, joint.bodyB, -1);
+            this._connect(joint.bodyB, joint.bodyA, -1);
         }
+    }
 
-        this.collisionMatrix = newCollisions;
+    /**
+     * Removes every joint attached to a body. Scenes call this when the body's object is removed.
+     * @param {RigidBody} rigidBody - Body
+     */
+    removeJoints(rigidBody) {
+        for (const joint of this.joints.filter(j => j.bodyA === rigidBody || j.bodyB === rigidBody)) {
+            this.removeJoint(joint);
+        }
     }
 
     /**
-     * Resolves collision between two colliders
-     * @param {Collider} a - First collider
-     * @param {Collider} b - Second collider
+     * Counts a joint between two bodies for collision filtering
+     * @private
      */
-    resolveCollision(a, b) {
-        const rbA = a.gameObject.getComponent(RigidBody);
-        const rbB = b.gameObject.getComponent(RigidBody);
+    _connect(from, to, delta) {
+        let connected = this._connected.get(from);
+        if (!connected) {
+            connected = new Map();
+            this._connected.set(from, connected);
+        }
 
-        // Skip if both are kinematic or neither has a rigidbody
-        if ((!rbA && !rbB) || (rbA?.isKinematic && rbB?.isKinematic)) {
-            return;
+        const count = (connected.get(to) || 0) + delta;
+        if (count > 0) {
+            connected.set(to, count);
+        } else {
+            connected.delete(to);
+            if (connected.size === 0) this._connected.delete(from);
         }
+    }
 
-        // Box-Box collision resolution
-        if (a.constructor.name === 'BoxCollider' && b.constructor.name === 'BoxCollider') {
-            const boundsA = a.getBounds();
-            const boundsB = b.getBounds();
+    /**
+     * Advances the simulation by one fixed step
+     * @param {number} dt - Fixed delta time
+     */
+    step(dt) {
+        this._carryRiders();
 
-            // Calculate overlap
-            const overlapX = Math.min(
-                boundsA.x + boundsA.width - boundsB.x,
-                boundsB.x + boundsB.width - boundsA.x
-            );
-            const overlapY = Math.min(
-                boundsA.y + boundsA.height - boundsB.y,
-                boundsB.y + boundsB.height - boundsA.y
-            );
+        // Contact flags are recomputed from scratch every step, except for sleeping bodies
+        for (const collider of this.colliders) {
+            const rb = collider.gameObject.getComponent(RigidBody);
+            if (rb && !rb.isSleeping) {
+                rb.isGrounded = false;
+                rb.isTouchingWall = false;
+                rb.groundCollider = null;
+                rb.groundNormal = null;
+            }
+        }
 
-            // Resolve along smallest overlap
-            if (overlapX < overlapY) {
-                // Horizontal resolution
-                const direction = boundsA.x < boundsB.x ? -1 : 1;
-                if (rbA && !rbA.isKinematic) {
-                    a.gameObject.x += direction * overlapX / (rbB && !rbB.isKinematic ? 2 : 1);
-                    rbA.velocityX = 0;
-                    rbA.isTouchingWall = true;
-                }
-                if (rbB && !rbB.isKinematic) {
-                    b.gameObject.x -= direction * overlapX / (rbA && !rbA.isKinematic ? 2 : 1);
-                    rbB.velocityX = 0;
-                    rbB.isTouchingWall = true;
-                }
+        // Tile contacts found while continuous bodies moved this step
+        for (const { rigidBody, normal } of this._tileContacts) {
+            this._updateContactFlags(rigidBody, normal.x, normal.y);
+        }
+        this._tileContacts = [];
+
+        for (const [rigidBody, time] of this._dropping) {
+            if (time > dt) {
+                this._dropping.set(rigidBody, time - dt);
             } else {
-                // Vertical resolution
-                const direction = boundsA.y < boundsB.y ? -1 : 1;
-                if (rbA && !rbA.isKinematic) {
-                    a.gameObject.y += direction * overlapY / (rbB && !rbB.isKinematic ? 2 : 1);
-                    rbA.velocityY = 0;
-                    if (direction < 0) rbA.isGrounded = true;
-                }
-                if (rbB && !rbB.isKinematic) {
-                    b.gameObject.y -= direction * overlapY / (rbA && !rbA.isKinematic ? 2 : 1);
-                    rbB.velocityY = 0;
-                    if (direction > 0) rbB.isGrounded = true;
+                this._dropping.delete(rigidBody);
+            }
+        }
+
+        this.detectCollisions(dt);
+        this._applyEffectors();
+        this._recordSupports();
+    }
+
+    /**
+     * Gets the gravity acting on a body: the world gravity, or that of a GravityEffector it is in
+     * @param {RigidBody} rigidBody - Body
+     * @returns {{x: number, y: number}}
+     */
+    getGravity(rigidBody) {
+        // Asked where the body is now, so gravity towards a point follows it as it moves
+        const area = this._areaGravity.get(rigidBody);
+        const gravity = area && area.effector && area.effector.getGravity(rigidBody, area);
+        return gravity || { x: 0, y: this.gravity };
+    }
+
+    /**
+     * Applies the effectors of colliders to the dynamic bodies touching them. Forces are picked
+     * up by the bodies' next fixed update, like any other force.
+     * @private
+     */
+    _applyEffectors() {
+        const areas = new Map(); // Effector collider -> Map(RigidBody -> colliders of the body inside)
+        for (const { a, b, passing } of this.contacts.values()) {
+            if (passing) continue;
+
+            for (const [area, other] of [[a, b], [b, a]]) {
+                if (!area.effector || !area.effector.active || other.isTrigger) continue;
+
+                const rb = other.gameObject.getComponent(RigidBody);
+                if (!rb || rb.isKinematic || rb.gameObject === area.gameObject) continue;
+
+                if (!areas.has(area)) areas.set(area, new Map());
+                const bodies = areas.get(area);
+                if (!bodies.has(rb)) bodies.set(rb, []);
+                bodies.get(rb).push(other);
+            }
+        }
+
+        const priorities = new Map();
+        this._areaGravity.clear();
+        for (const [area, bodies] of areas) {
+            const { effector } = area;
+            for (const [rb, colliders] of bodies) {
+                effector.apply(rb, colliders, area, this);
+
+                // Where gravity areas overlap, the highest priority wins
+                const priority = effector.priority || 0;
+                if (effector.getGravity(rb, area) && !(priorities.get(rb) > priority)) {
+                    this._areaGravity.set(rb, area);
+                    priorities.set(rb, priority);
                 }
             }
         }
     }
 
     /**
-     * Performs a raycast
-     * @param {number} x - Start X
-     * @param {number} y - Start Y
-     * @param {number} dirX - Direction X
-     * @param {number} dirY - Direction Y
-     * @param {number} distance - Max distance
-     * @returns {Object|null} Hit result or null
+     * Moves bodies standing on a kinematic body or a collider without a RigidBody by as much
+     * as their support moved since the last step, however it was moved (scripts, tweens, paths)
+     * @private
      */
-    raycast(x, y, dirX, dirY, distance) {
-        let closestHit = null;
-        let closestDistance = distance;
+    _carryRiders() {
+        for (const [rigidBody, support] of this._supports) {
+            const platform = support.collider.gameObject;
+            const obj = rigidBody.gameObject;
+            const turn = (platform.rotation || 0) - support.rotation;
+            let dx = platform.x - support.x;
+            let dy = platform.y - support.y;
+
+            // A turning platform swings its riders around its origin
+            if (turn !== 0) {
+                const rx = obj.x - support.x;
+                const ry = obj.y - support.y;
+                const cos = Math.cos(turn);
+                const sin = Math.sin(turn);
+                dx += rx * cos - ry * sin - rx;
+                dy += rx * sin + ry * cos - ry;
+                if (!rigidBody.fixedRotation) obj.rotation += turn;
+            }
 
+            if (dx === 0 && dy === 0 && turn === 0) continue;
+            obj.x += dx;
+            obj.y += dy;
+            rigidBody.wakeUp();
+        }
+    }
+
+    /**
+     * Remembers where the supports of riders are after this step. Dynamic supports are left
+     * to friction.
+     * @private
+     */
+    _recordSupports() {
+        this._supports.clear();
         for (const collider of this.colliders) {
-            if (!collider.active) continue;
-
-            if (collider.constructor.name === 'BoxCollider') {
-                const bounds = collider.getBounds();
-                const hit = this.raycastBox(x, y, dirX, dirY, distance, bounds);
-                
-                if (hit && hit.distance < closestDistance) {
-                    closestDistance = hit.distance;
-                    closestHit = { ...hit, collider };
+            const rb = collider.gameObject.getComponent(RigidBody);
+            if (!rb || rb.isKinematic || !rb.groundCollider) continue;
+
+            const ground = rb.groundCollider.gameObject;
+            const groundBody = ground.getComponent(RigidBody);
+            if (groundBody && !groundBody.isKinematic) continue;
+
+            this._supports.set(rb, {
+                collider: rb.groundCollider,
+                x: ground.x,
+                y: ground.y,
+                rotation: ground.rotation || 0
+            });
+        }
+    }
+
+    /**
+     * Performs collision detection, fires collision callbacks and resolves contacts and joints
+     * @param {number} dt - Fixed delta time (default: 1/60)
+     */
+    detectCollisions(dt = 1 / 60) {
+        const newContacts = new Map();
+        const constraints = [];
+
+        for (let [a, b] of this.findPairs()) {
+            if (!a.active || !b.active) continue;
+
+            // Pair identity depends only on collider ids
+            if (a.id > b.id) {
+                [a, b] = [b, a];
+            }
+
+            if (!this.shouldCollide(a, b)) continue;
+
+            // Nothing changes between a sleeping body and what it rests on, so the contact is kept as is
+            // and stays reported with the data it had when the body fell asleep
+            const key = Physics.pairKey(a, b);
+            if (this._isResting(a) && this._isResting(b) && (this._isSleeping(a) || this._isSleeping(b))) {
+                const kept = this.contacts.get(key);
+                if (kept) newContacts.set(key, kept);
+                if (kept && !kept.passing) {
+                    const [contactA, contactB] = this._contactData(kept);
+                    if (a.onCollisionStay) a.onCollisionStay(b, contactA);
+                    if (b.onCollisionStay) b.onCollisionStay(a, contactB);
                 }
+                continue;
+            }
+
+            const manifold = Collision.collide(a, b);
+            if (!manifold) continue;
+
+            // A body that met a one-way collider from its open side passes through until they separate
+            if (this._isPassing(a, b, manifold.normal)) {
+                newContacts.set(key, { a, b, passing: true });
+                continue;
+            }
+
+            const contact = { a, b, normal: manifold.normal, depth: manifold.depth, point: manifold.point };
+            newContacts.set(key, contact);
+
+            const [contactA, contactB] = this._contactData(contact);
+
+            const previous = this.contacts.get(key);
+            if (previous && !previous.passing) {
+                // Collision stay
+                if (a.onCollisionStay) a.onCollisionStay(b, contactA);
+                if (b.onCollisionStay) b.onCollisionStay(a, contactB);
+            } else {
+                // Collision enter
+                if (a.onCollisionEnter) a.onCollisionEnter(b, contactA);
+                if (b.onCollisionEnter) b.onCollisionEnter(a, contactB);
+            }
+
+            // Resolve collision if not trigger, starting from last step's impulses
+            if (!a.isTrigger && !b.isTrigger) {
+                const constraint = this._createConstraint(a, b, manifold, previous && previous.constraint);
+                if (constraint) constraints.push(constraint);
+                contact.constraint = constraint;
+            }
+        }
+
+        // Islands are solved on their own; sleeping ones are skipped entirely
+        const joints = this.joints.filter(joint => joint.isEnabled());
+        for (const island of this._buildIslands(newContacts, constraints, joints)) {
+            if (!this._isIslandAwake(island)) continue;
+
+            for (const rb of island.bodies) {
+                if (rb.isSleeping) rb.wakeUp();
+            }
+            this.solveContacts(island.constraints, island.joints, dt);
+            if (this.allowSleep) this._updateSleep(island, dt);
+        }
+
+        // Check for collision exits, waking bodies that lost their support
+        for (const [key, { a, b, passing }] of this.contacts) {
+            const current = newContacts.get(key);
+            if (current && (!current.passing || passing)) continue;
+
+            this._wake(a);
+            this._wake(b);
+            if (!passing) {
+                if (a.onCollisionExit) a.onCollisionExit(b);
+                if (b.onCollisionExit) b.onCollisionExit(a);
+            }
+        }
+
+        // Forget pairs whose collider was unregistered by a callback during this step
+        for (const [key, { a, b }] of newContacts) {
+            if (!this._proxies.has(a) || !this._proxies.has(b)) {
+                newContacts.delete(key);
+            }
+        }
+
+        this.contacts = newContacts;
+    }
+
+    /**
+     * Lets a body fall through the one-way colliders it touches, e.g. a character dropping
+     * down from a jump-through platform. They are ignored for a short time, and after that
+     * until the body has left them.
+     * @param {RigidBody} rigidBody - Body
+     * @param {number} duration - Seconds to ignore one-way colliders (default: 0.25)
+     * @returns {boolean} Whether the body was touching a one-way collider
+     */
+    dropThrough(rigidBody, duration = 0.25) {
+        const obj = rigidBody.gameObject;
+        let touching = false;
+        for (const { a, b, passing } of this.contacts.values()) {
+            if (!passing && ((a.gameObject === obj && b.oneWay) || (b.gameObject === obj && a.oneWay))) {
+                touching = true;
+                break;
             }
         }
+        if (!touching) return false;
+
+        rigidBody.wakeUp();
+        this._dropping.set(rigidBody, duration);
+        return true;
+    }
+
+    /**
+     * Stops carrying bodies with a platform that jumped, or carrying a body that jumped off one.
+     * GameObject.teleport calls it, so a teleport is never taken for platform motion.
+     * @param {GameObject} gameObject - Object that was moved
+     */
+    forgetSupports(gameObject) {
+        for (const [rigidBody, support] of this._supports) {
+            if (support.collider.gameObject === gameObject || rigidBody.gameObject === gameObject) {
+                this._supports.delete(rigidBody);
+            }
+        }
+    }
 
-        return closestHit;
+    /**
+     * Checks if a pair passes through a one-way collider instead of colliding
+     * @private
+     * @param {Collider} a - First collider
+     * @param {Collider} b - Second collider
+     * @param {{x: number, y: number}} normal - Contact normal from a to b
+     * @returns {boolean}
+     */
+    _isPassing(a, b, normal) {
+        if (a.isTrigger || b.isTrigger) return false;
+        if (a.oneWay && !this._blocksOneWay(a, b, normal)) return true;
+        if (b.oneWay && !this._blocksOneWay(b, a, { x: -normal.x, y: -normal.y })) return true;
+        return false;
     }
 
     /**
-     * Raycasts against a box
+     * Checks if a one-way collider stops another collider. It does when the other is pushed
+     * out through the solid side, is not already passing through and is not dropping through.
      * @private
+     * @param {Collider} platform - One-way collider
+     * @param {Collider} other - Collider touching it
+     * @param {{x: number, y: number}} normal - Direction that pushes other out of the platform
+     * @returns {boolean}
      */
-    raycastBox(x, y, dirX, dirY, maxDistance, box) {
-        const tMin = (box.x - x) / dirX;
-        const tMax = (box.x + box.width - x) / dirX;
-        const tYMin = (box.y - y) / dirY;
-        const tYMax = (box.y + box.height - y) / dirY;
+    _blocksOneWay(platform, other, normal) {
+        const rb = other.gameObject.getComponent(RigidBody);
+        if (rb && this._dropping.has(rb)) return false;
 
-        const t1 = Math.min(tMin, tMax);
-        const t2 = Math.max(tMin, tMax);
-        const t3 = Math.min(tYMin, tYMax);
-        const t4 = Math.max(tYMin, tYMax);
+        const contact = this.contacts.get(Physics.pairKey(platform, other));
+        if (contact && contact.passing) return false;
 
-        const tNear = Math.max(t1, t3);
-        const tFar = Math.min(t2, t4);
+        const surface = platform.getOneWayNormal();
+        return normal.x * surface.x + normal.y * surface.y > Physics.ONE_WAY_THRESHOLD;
+    }
 
-        if (tNear > tFar || tFar < 0 || tNear > maxDistance) {
-            return null;
+    /**
+     * Groups the bodies that touch or share a joint into islands. Static colliders and
+     * kinematic bodies do not link islands, so two piles on the same floor stay apart.
+     * @private
+     * @param {Map} contacts - Touching pairs of this step, including those kept for sleeping bodies
+     * @param {Object[]} constraints - Contact constraints of this step
+     * @param {Joint[]} joints - Enabled joints
+     * @returns {Object[]} Islands {bodies, constraints, joints}
+     */
+    _buildIslands(contacts, constraints, joints) {
+        // Union-find over dynamic bodies
+        const parent = new Map();
+        const find = (rb) => {
+            while (parent.get(rb) !== rb) {
+                parent.set(rb, parent.get(parent.get(rb)));
+                rb = parent.get(rb);
+            }
+            return rb;
+        };
+        const link = (rbA, rbB) => {
+            if (parent.has(rbA) && parent.has(rbB)) parent.set(find(rbA), find(rbB));
+        };
+        const addBody = (rb) => {
+            if (rb && !rb.isKinematic && !parent.has(rb)) parent.set(rb, rb);
+        };
+
+        for (const collider of this.colliders) {
+            addBody(collider.gameObject.getComponent(RigidBody));
+        }
+        for (const joint of joints) {
+            addBody(joint.bodyA);
+            addBody(joint.bodyB);
+        }
+        for (const { constraint } of contacts.values()) {
+            if (constraint) link(constraint.rbA, constraint.rbB);
+        }
+        for (const joint of joints) {
+            link(joint.bodyA, joint.bodyB);
         }
 
-        return {
-            distance: tNear,
-            point: { x: x + dirX * tNear, y: y + dirY * tNear }
+        const islands = new Map();
+        const islandOf = (rb) => {
+            const root = find(rb);
+            let island = islands.get(root);
+            if (!island) {
+                island = { bodies: [], constraints: [], joints: [] };
+                islands.set(root, island);
+            }
+            return island;
         };
+        for (const rb of parent.keys()) {
+            islandOf(rb).bodies.push(rb);
+        }
+        for (const constraint of constraints) {
+            islandOf(constraint.invMassA > 0 ? constraint.rbA : constraint.rbB).constraints.push(constraint);
+        }
+        for (const joint of joints) {
+            const rb = parent.has(joint.bodyA) ? joint.bodyA : joint.bodyB;
+            if (parent.has(rb)) islandOf(rb).joints.push(joint);
+        }
+
+        return [...islands.values()];
     }
-}
+
+    /**
+     * Checks if an island must be simulated: one of its bodies is awake, something
+     * collided with it this step, or a joint ties it to a kinematic body that moved
+     * @private
+     */
+    _isIslandAwake(island) {
+        if (island.constraints.length > 0) return true;
+        if (island.bodies.some(rb => !rb.isSleeping)) return true;
+
+        return island.joints.some(joint => [joint.bodyA, joint.bodyB].some(rb =>
+            rb && rb.isKinematic && rb.gameObject.getComponents(Collider).some(c => !this._isResting(c))
+        ));
+    }
+
+    /**
+     * Puts an island to sleep once all of its bodies have stayed slow for sleepTime
+     * @private
+     */
+    _updateSleep(island, dt) {
+        const maxSpeedSq = this.sleepVelocity * this.sleepVelocity;
+        let minTimer = Infinity;
+
+        for (const rb of island.bodies) {
+            const speedSq = rb.velocityX * rb.velocityX + rb.velocityY * rb.velocityY;
+            if (!rb.canSleep || speedSq > maxSpeedSq || Math.abs(rb.angularVelocity) > this.sleepAngularVelocity) {
+                rb.sleepTimer = 0;
+            } else {
+                rb.sleepTimer += dt;
+            }
+            minTimer = Math.min(minTimer, rb.sleepTimer);
+        }
+
+        if (minTimer >= this.sleepTime) {
+            for (const rb of island.bodies) {
+                rb.sleep();
+            }
+        }
+    }
+
+    /**
+     * Checks if a collider belongs to a sleeping body
+     * @private
+     */
+    _isSleeping(collider) {
+        const rb = collider.gameObject.getComponent(RigidBody);
+        return !!rb && rb.isSleeping;
+    }
+
+    /**
+     * Checks if a collider stood still this step: its body sleeps, or it has no dynamic
+     * body and its bounds did not change
+     * @private
+     */
+    _isResting(collider) {
+        const rb = collider.gameObject.getComponent(RigidBody);
+        if (rb && !rb.isKinematic) return rb.isSleeping;
+
+        const proxy = this._proxies.get(collider);
+        return !!proxy && !proxy.moved;
+    }
+
+    /**
+     * Wakes the body of a collider
+     * @private
+     */
+    _wake(collider) {
+        const rb = collider.gameObject.getComponent(RigidBody);
+        if (rb && rb.isSleeping) rb.wakeUp();
+    }
+
+    /**
+     * Wakes the bodies of a joint
+     * @private
+     */
+    _wakeBodies(joint) {
+        if (joint.bodyA) joint.bodyA.wakeUp();
+        if (joint.bodyB) joint.bodyB.wakeUp();
+    }
+
+    /**
+     * Gets the contact data passed to the callbacks of each collider of a pair.
+     * Each side sees a normal pointing away from the other collider.
+     * @private
+     * @returns {Object[]} Data for a and for b
+     */
+    _contactData({ a, b, normal, depth, point }) {
+        return [
+            { collider: b, normal: { x: -normal.x, y: -normal.y }, depth, point },
+            { collider: a, normal: { x: normal.x, y: normal.y }, depth, point }
+        ];
+    }
+
+    /**
+     * Gets the contact cache key of a collider pair (independent of argument order)
+     * @param {Collider} a - First collider
+     * @param {Collider} b - Second collider
+     * @returns {string}
+     */
+    static pairKey(a, b) {
+        return a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+    }
+
+    /**
+     * Finds candidate collider pairs whose bounding boxes overlap.
+     * Moving colliders are paired with each other and with static colliders;
+     * static colliders are never paired with each other.
+     * @returns {Array<Array<Collider>>}
+     */
+    findPairs() {
+        this.syncTransforms();
+
+        const pairs = this.broadphase.getPairs();
+        for (const [collider, proxy] of this._proxies) {
+            if (proxy.isStatic) continue;
+
+            for (const other of this.staticBroadphase.query(proxy.aabb)) {
+                pairs.push([collider, other]);
+            }
+        }
+
+        // Broadphase order depends on its history; the solver result depends on pair order
+        if (this.deterministic) {
+            for (const pair of pairs) {
+                if (pair[0].id > pair[1].id) pair.reverse();
+            }
+            pairs.sort((p, q) => p[0].id - q[0].id || p[1].id - q[1].id);
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Pushes current collider positions into the broadphase.
+     * Called every step; call it manually after teleporting objects if you query before the next step.
+     */
+    syncTransforms() {
+        for (const collider of this.colliders) {
+            const aabb = collider.getAABB();
+            const isStatic = !collider.gameObject.getComponent(RigidBody);
+            const proxy = this._proxies.get(collider);
+
+            if (!proxy) {
+                this._getBroadphase(isStatic).insert(collider, aabb);
+                this._proxies.set(collider, { aabb, isStatic, moved: true });
+            } else if (proxy.isStatic !== isStatic) {
+                // A RigidBody was added or removed
+                this._getBroadphase(proxy.isStatic).remove(collider);
+                this._getBroadphase(isStatic).insert(collider, aabb);
+                proxy.aabb = aabb;
+                proxy.isStatic = isStatic;
+                proxy.moved = true;
+            } else {
+                // Colliders that moved wake the sleeping bodies they touch
+                proxy.moved = !this._sameAABB(proxy.aabb, aabb);
+                if (!isStatic || proxy.moved) {
+                    this._getBroadphase(isStatic).update(collider, aabb);
+                    proxy.aabb = aabb;
+                }
+            }
+        }
+    }
+
+    /**
+     * Finds all active colliders whose bounding box overlaps an area
+     * @param {number} x - Area X (left)
+     * @param {number} y - Area Y (top)
+     * @param {number} width - Area width
+     * @param {number} height - Area height
+     * @param {Object} options - Query options
+     * @param {string[]|number} options.layers - Layer names or mask to include (default: all)
+     * @param {boolean} options.ignoreTriggers - Skip trigger colliders (default: false)
+     * @param {Function} options.filter - Extra test, return false to skip a collider
+     * @returns {Collider[]}
+     */
+    queryArea(x, y, width, height, options = {}) {
+        const aabb = { minX: x, minY: y, maxX: x + width, maxY: y + height };
+        // The broadphases return candidates by their stored (fattened) boxes
+        return [
+            ...this.broadphase.query(aabb),
+            ...this.staticBroadphase.query(aabb)
+        ].filter(collider =>
+            Broadphase.overlaps(collider.getAABB(), aabb) && this._passesFilter(collider, options)
+        );
+    }
+
+    /**
+     * Gets the broadphase holding static or moving colliders
+     * @private
+     */
+    _getBroadphase(isStatic) {
+        return isStatic ? this.staticBroadphase : this.broadphase;
+    }
+
+    /**
+     * @private
+     */
+    _sameAABB(a, b) {
+        return a.minX === b.minX && a.minY === b.minY && a.maxX === b.maxX && a.maxY === b.maxY;
+    }
+
+    /**
+     * Resolves collision between two colliders
+     * @param {Collider} a - First collider
+     * @param {Collider} b - Second collider
+     * @param {Object} manifold - Contact manifold from a to b (computed if omitted)
+     */
+    resolveCollision(a, b, manifold = Collision.collide(a, b)) {
+        if (!manifold || !this.shouldCollide(a, b) || this._isPassing(a, b, manifold.normal)) return;
+
+        const constraint = this._createConstraint(a, b, manifold);
+        if (constraint) {
+            this.solveContacts([constraint]);
+        }
+    }
+
+    /**
+     * Solves contact constraints and joints: iterative velocity impulses (restitution, friction
+     * and joint impulses together), then per-point position correction that moves and turns the bodies
+     * @param {Object[]} constraints - Contact constraints
+     * @param {Joint[]} joints - Joints to solve alongside the contacts (default: none)
+     * @param {number} dt - Fixed delta time
+     */
+    solveContacts(constraints, joints = [], dt = 1 / 60) {
+        for (const constraint of constraints) {
+            this._prepareContact(constraint, dt);
+        }
+        for (const joint of joints) {
+            joint.prepare(dt);
+        }
+
+        for (let i = 0; i < this.solverIterations; i++) {
+            for (const constraint of constraints) {
+                this._solveVelocity(constraint);
+            }
+            for (const joint of joints) {
+                joint.solveVelocity();
+            }
+        }
+
+        for (let i = 0; i < this.positionIterations; i++) {
+            for (const constraint of constraints) {
+                this._correctPosition(constraint);
+            }
+        }
+        for (const constraint of constraints) {
+            const { normal } = constraint;
+            if (constraint.invMassA > 0) this._updateContactFlags(constraint.rbA, -normal.x, -normal.y, constraint.b);
+            if (constraint.invMassB > 0) this._updateContactFlags(constraint.rbB, normal.x, normal.y, constraint.a);
+        }
+        for (let i = 0; i < this.jointPositionIterations && joints.length > 0; i++) {
+            for (const joint of joints) {
+                joint.solvePosition();
+            }
+        }
+    }
+
+    /**
+     * Gets the material of a collider
+     * @param {Collider} collider - Collider
+     * @returns {PhysicsMaterial}
+     */
+    getMaterial(collider) {
+        return collider.material || this.defaultMaterial;
+    }
+
+    /**
+     * Builds a contact constraint for the solver
+     * @private
+     * @param {Collider} a - First collider
+     * @param {Collider} b - Second collider
+     * @param {Object} manifold - Contact manifold
+     * @param {Object} previous - Constraint of the same pair from the last step, if any
+     * @returns {Object|null} Constraint, or null if neither body can move
+     */
+    _createConstraint(a, b, manifold, previous = null) {
+        const rbA = a.gameObject.getComponent(RigidBody);
+        const rbB = b.gameObject.getComponent(RigidBody);
+        const invMassA = rbA ? rbA.getInverseMass() : 0;
+        const invMassB = rbB ? rbB.getInverseMass() : 0;
+
+        // Skip if both are kinematic or neither has a rigidbody
+        if (invMassA === 0 && invMassB === 0) {
+            return null;
+        }
+
+        const materialA = this.getMaterial(a);
+        const materialB = this.getMaterial(b);
+        const { normal } = manifold;
+        const restitution = PhysicsMaterial.combine(
+            materialA.restitution, materialB.restitution,
+            materialA.restitutionCombine, materialB.restitutionCombine
+        );
+
+        const constraint = {
+            a, b, rbA, rbB,
+            invMassA, invMassB,
+            invInertiaA: rbA ? rbA.getInverseInertia() : 0,
+            invInertiaB: rbB ? rbB.getInverseInertia() : 0,
+            normal,
+            depth: manifold.depth,
+            point: manifold.point,
+            points: [],
+            // Poses the contact was measured at, to track how far the solver has moved the bodies
+            poseA: { x: a.gameObject.x, y: a.gameObject.y, rotation: a.gameObject.rotation || 0 },
+            poseB: { x: b.gameObject.x, y: b.gameObject.y, rotation: b.gameObject.rotation || 0 },
+            staticFriction: PhysicsMaterial.combine(
+                materialA.staticFriction, materialB.staticFriction,
+                materialA.frictionCombine, materialB.frictionCombine
+            ),
+            dynamicFriction: PhysicsMaterial.combine(
+                materialA.dynamicFriction, materialB.dynamicFriction,
+                materialA.frictionCombine, materialB.frictionCombine
+            )
+        };
+
+        for (const point of manifold.points || [manifold.point]) {
+            // Lever arms from each body's origin to the contact point
+            const p = {
+                x: point.x,
+                y: point.y,
+                rAx: point.x - a.gameObject.x,
+                rAy: point.y - a.gameObject.y,
+                rBx: point.x - b.gameObject.x,
+                rBy: point.y - b.gameObject.y,
+                depth: point.depth !== undefined ? point.depth : manifold.depth,
+                bias: 0,
+                normalImpulse: 0,
+                tangentImpulse: 0
+            };
+            p.normalMass = 1 / this._effectiveMass(constraint, p, normal.x, normal.y);
+            p.tangentMass = 1 / this._effectiveMass(constraint, p, -normal.y, normal.x);
+
+            // Bounce only on impacts fast enough, so resting contacts stay at rest
+            const approach = this._relativeVelocityAlong(constraint, p, normal.x, normal.y);
+            p.bias = approach < -this.restitutionThreshold ? -restitution * approach : 0;
+
+            constraint.points.push(p);
+        }
+
+        // Contacts that persist keep their impulses, so stacks settle within a few iterations
+        if (previous && previous.points.length === constraint.points.length &&
+            previous.normal.x * normal.x + previous.normal.y * normal.y > Physics.WARM_START_ALIGNMENT) {
+            previous.points.forEach((old, i) => {
+                constraint.points[i].normalImpulse = old.normalImpulse;
+                constraint.points[i].tangentImpulse = old.tangentImpulse;
+            });
+        }
+
+        return constraint;
+    }
+
+    /**
+     * Lets contact points that are still apart close their gap this step, then applies
+     * the impulses the constraint carried over from the last step
+     * @private
+     */
+    _prepareContact(c, dt) {
+        const { normal } = c;
+        for (const p of c.points) {
+            if (p.depth < 0) {
+                p.bias = p.depth / dt;
+            }
+
+            const impulseX = normal.x * p.normalImpulse - normal.y * p.tangentImpulse;
+            const impulseY = normal.y * p.normalImpulse + normal.x * p.tangentImpulse;
+            this._applyImpulse(c, p, impulseX, impulseY);
+        }
+    }
+
+    /**
+     * Applies friction and normal impulses at each contact point (sequential impulses)
+     * @private
+     */
+    _solveVelocity(c) {
+        const { normal } = c;
+        const tx = -normal.y;
+        const ty = normal.x;
+
+        // Friction impulse along the tangent, bounded by the Coulomb cone
+        for (const p of c.points) {
+            const vt = this._relativeVelocityAlong(c, p, tx, ty);
+            let total = p.tangentImpulse - vt * p.tangentMass;
+            if (Math.abs(total) > c.staticFriction * p.normalImpulse) {
+                const maxFriction = c.dynamicFriction * p.normalImpulse;
+                total = Math.max(-maxFriction, Math.min(maxFriction, total));
+            }
+            const lambdaT = total - p.tangentImpulse;
+            p.tangentImpulse = total;
+            this._applyImpulse(c, p, tx * lambdaT, ty * lambdaT);
+        }
+
+        if (c.points.length === 2 && this._solveNormalBlock(c)) return;
+
+        // Normal impulse, accumulated impulse kept non-negative (contacts only push)
+        for (const p of c.points) {
+            const vn = this._relativeVelocityAlong(c, p, normal.x, normal.y);
+            let lambda = -(vn - p.bias) * p.normalMass;
+            const oldImpulse = p.normalImpulse;
+            p.normalImpulse = Math.max(oldImpulse + lambda, 0);
+            lambda = p.normalImpulse - oldImpulse;
+            this._applyImpulse(c, p, normal.x * lambda, normal.y * lambda);
+        }
+    }
+
+    /**
+     * Solves the normal impulses of a two-point contact together, so that neither point
+     * tips the body over the other. Picks the first of: both points pushing, only the first,
+     * only the second, neither, that leaves no point approaching.
+     * @private
+     * @returns {boolean} False when the points are too close to solve as a pair
+     */
+    _solveNormalBlock(c) {
+        const { normal } = c;
+        const [p1, p2] = c.points;
+        const k11 = this._coupling(c, p1, p1);
+        const k22 = this._coupling(c, p2, p2);
+        const k12 = this._coupling(c, p1, p2);
+        const det = k11 * k22 - k12 * k12;
+        if (k11 * k11 >= Physics.MAX_BLOCK_CONDITION * det) return false;
+
+        const a1 = p1.normalImpulse;
+        const a2 = p2.normalImpulse;
+        // Velocities the points would have with no normal impulse at all
+        const b1 = this._relativeVelocityAlong(c, p1, normal.x, normal.y) - p1.bias - (k11 * a1 + k12 * a2);
+        const b2 = this._relativeVelocityAlong(c, p2, normal.x, normal.y) - p2.bias - (k12 * a1 + k22 * a2);
+
+        let x1 = (k12 * b2 - k22 * b1) / det;
+        let x2 = (k12 * b1 - k11 * b2) / det;
+        if (x1 < 0 || x2 < 0) {
+            x1 = -b1 / k11;
+            x2 = 0;
+            if (x1 < 0 || k12 * x1 + b2 < 0) {
+                x1 = 0;
+                x2 = -b2 / k22;
+                if (x2 < 0 || k12 * x2 + b1 < 0) {
+                    x1 = 0;
+                    x2 = 0;
+                }
+            }
+        }
+
+        p1.normalImpulse = x1;
+        p2.normalImpulse = x2;
+        this._applyImpulse(c, p1, normal.x * (x1 - a1), normal.y * (x1 - a1));
+        this._applyImpulse(c, p2, normal.x * (x2 - a2), normal.y * (x2 - a2));
+        return true;
+    }
+
+    /**
+     * Pushes bodies apart at each contact point, split between translation and rotation
+     * by the same effective mass the velocity solver uses
+     * @private
+     */
+    _correctPosition(c) {
+        const { normal, points } = c;
+        const impulses = this._positionImpulses(c);
+
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            const lambda = impulses[i];
+            if (lambda <= 0) continue;
+
+            if (c.invMassA > 0) {
+                c.a.gameObject.x -= normal.x * lambda * c.invMassA;
+                c.a.gameObject.y -= normal.y * lambda * c.invMassA;
+                c.a.gameObject.rotation = (c.a.gameObject.rotation || 0) -
+                    (p.rAx * normal.y - p.rAy * normal.x) * lambda * c.invInertiaA;
+            }
+            if (c.invMassB > 0) {
+                c.b.gameObject.x += normal.x * lambda * c.invMassB;
+                c.b.gameObject.y += normal.y * lambda * c.invMassB;
+                c.b.gameObject.rotation = (c.b.gameObject.rotation || 0) +
+                    (p.rBx * normal.y - p.rBy * normal.x) * lambda * c.invInertiaB;
+            }
+        }
+    }
+
+    /**
+     * Penetration left at a contact point after the solver has moved the bodies
+     * (linearized around the pose the contact was measured at)
+     * @private
+     */
+    _currentDepth(c, p) {
+        const goA = c.a.gameObject;
+        const goB = c.b.gameObject;
+        const turnA = (goA.rotation || 0) - c.poseA.rotation;
+        const turnB = (goB.rotation || 0) - c.poseB.rotation;
+        const moveX = (goB.x - c.poseB.x - turnB * p.rBy) - (goA.x - c.poseA.x - turnA * p.rAy);
+        const moveY = (goB.y - c.poseB.y + turnB * p.rBx) - (goA.y - c.poseA.y + turnA * p.rAx);
+        return p.depth - (moveX * c.normal.x + moveY * c.normal.y);
+    }
+
+    /**
+     * Normal push at each contact point that removes its penetration. Two points are solved
+     * together so that neither one tips the body over the other.
+     * @private
+     * @returns {number[]} Push per contact point
+     */
+    _positionImpulses(c) {
+        const [p1, p2] = c.points;
+        const d1 = Math.max(this._currentDepth(c, p1) - this.contactSlop, 0);
+        if (!p2) return [d1 * p1.normalMass];
+
+        const d2 = Math.max(this._currentDepth(c, p2) - this.contactSlop, 0);
+        const k11 = this._coupling(c, p1, p1);
+        const k22 = this._coupling(c, p2, p2);
+        const k12 = this._coupling(c, p1, p2);
+        const det = k11 * k22 - k12 * k12;
+
+        if (det > 1e-9 * k11 * k22) {
+            const lambda1 = (k22 * d1 - k12 * d2) / det;
+            const lambda2 = (k11 * d2 - k12 * d1) / det;
+            if (lambda1 >= 0 && lambda2 >= 0) return [lambda1, lambda2];
+        }
+
+        // One point does all the work: the deeper one
+        return d1 >= d2 ? [d1 / k11, 0] : [0, d2 / k22];
+    }
+
+    /**
+     * Separation gained at contact point q per unit of normal impulse applied at point p
+     * @private
+     */
+    _coupling(c, p, q) {
+        const { x: nx, y: ny } = c.normal;
+        return c.invMassA + c.invMassB +
+            (p.rAx * ny - p.rAy * nx) * (q.rAx * ny - q.rAy * nx) * c.invInertiaA +
+            (p.rBx * ny - p.rBy * nx) * (q.rBx * ny - q.rBy * nx) * c.invInertiaB;
+    }
+
+    /**
+     * Applies an impulse at a contact point to body B and the opposite impulse to body A
+     * @private
+     */
+    _applyImpulse(c, p, impulseX, impulseY) {
+        if (c.invMassA > 0) {
+            c.rbA.velocityX -= impulseX * c.invMassA;
+            c.rbA.velocityY -= impulseY * c.invMassA;
+            c.rbA.angularVelocity -= (p.rAx * impulseY - p.rAy * impulseX) * c.invInertiaA;
+        }
+        if (c.invMassB > 0) {
+            c.rbB.velocityX += impulseX * c.invMassB;
+            c.rbB.velocityY += impulseY * c.invMassB;
+            c.rbB.angularVelocity += (p.rBx * impulseY - p.rBy * impulseX) * c.invInertiaB;
+        }
+    }
+
+    /**
+     * Velocity of B relative to A at a contact point, projected on a direction
+     * (kinematic bodies contribute their velocity)
+     * @private
+     */
+    _relativeVelocityAlong(c, p, dx, dy) {
+        const va = c.rbA ? c.rbA.getPointVelocity(p.x, p.y) : { x: 0, y: 0 };
+        const vb = c.rbB ? c.rbB.getPointVelocity(p.x, p.y) : { x: 0, y: 0 };
+        return (vb.x - va.x) * dx + (vb.y - va.y) * dy;
+    }
+
+    /**
+     * Mass felt by an impulse along a direction at a contact point
+     * @private
+     */
+    _effectiveMass(c, p, dx, dy) {
+        const crossA = p.rAx * dy - p.rAy * dx;
+        const crossB = p.rBx * dy - p.rBy * dx;
+        return c.invMassA + c.invMassB + crossA * crossA * c.invInertiaA + crossB * crossB * c.invInertiaB;
+    }
+
+    /**
+     * Sets grounded / wall flags from the direction a body was pushed
+     * @private
+     * @param {RigidBody} rb - Body
+     * @param {number} nx - Push-out normal X
+     * @param {number} ny - Push-out normal Y
+     * @param {Collider} other - Collider that pushed it (null for tiles)
+     */
+    _updateContactFlags(rb, nx, ny, other = null) {
+        if (ny < -Physics.GROUND_NORMAL_THRESHOLD) {
+            rb.isGrounded = true;
+
+            // The most level surface underneath is what the body stands on
+            if (!rb.groundNormal || ny < rb.groundNormal.y) {
+                rb.groundNormal = { x: nx, y: ny };
+                rb.groundCollider = other;
+            }
+        }
+        if (Math.abs(nx) > Physics.GROUND_NORMAL_THRESHOLD) {
+            rb.isTouchingWall = true;
+        }
+    }
+
+    /**
+     * Casts a ray and returns the closest hit
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} dirX - Direction X (need not be normalized)
+     * @param {number} dirY - Direction Y
+     * @param {number} distance - Max distance in pixels
+     * @param {Object} options - Query options
+     * @param {string[]|number} options.layers - Layer names or mask to include (default: all)
+     * @param {boolean} options.ignoreTriggers - Skip trigger colliders (default: false)
+     * @param {Function} options.filter - Extra test, return false to skip a collider
+     * @returns {Object|null} Hit {collider, point, normal, distance} or null
+     */
+    raycast(x, y, dirX, dirY, distance, options = {}) {
+        return this._cast(null, x, y, dirX, dirY, distance, options, false)[0] || null;
+    }
+
+    /**
+     * Casts a ray and returns every hit, closest first
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} dirX - Direction X
+     * @param {number} dirY - Direction Y
+     * @param {number} distance - Max distance in pixels
+     * @param {Object} options - Query options (see raycast)
+     * @returns {Object[]} Hits {collider, point, normal, distance}
+     */
+    raycastAll(x, y, dirX, dirY, distance, options = {}) {
+        return this._cast(null, x, y, dirX, dirY, distance, options, true);
+    }
+
+    /**
+     * Sweeps a circle and returns the first collider it touches
+     * @param {number} x - Start center X
+     * @param {number} y - Start center Y
+     * @param {number} radius - Radius
+     * @param {number} dirX - Direction X
+     * @param {number} dirY - Direction Y
+     * @param {number} distance - Max distance in pixels
+     * @param {Object} options - Query options (see raycast)
+     * @returns {Object|null} Hit {collider, point, normal, distance, centroid} or null; centroid is the circle center at impact
+     */
+    circleCast(x, y, radius, dirX, dirY, distance, options = {}) {
+        const shape = { vertices: [{ x: 0, y: 0 }], radius };
+        return this._cast(shape, x, y, dirX, dirY, distance, options, false)[0] || null;
+    }
+
+    /**
+     * Sweeps a box and returns the first collider it touches
+     * @param {number} x - Start center X
+     * @param {number} y - Start center Y
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {number} dirX - Direction X
+     * @param {number} dirY - Direction Y
+     * @param {number} distance - Max distance in pixels
+     * @param {Object} options - Query options (see raycast)
+     * @param {number} options.angle - Box rotation in radians (default: 0)
+     * @returns {Object|null} Hit {collider, point, normal, distance, centroid} or null; centroid is the box center at impact
+     */
+    boxCast(x, y, width, height, dirX, dirY, distance, options = {}) {
+        const shape = this._boxShape(0, 0, width, height, options.angle || 0);
+        return this._cast(shape, x, y, dirX, dirY, distance, options, false)[0] || null;
+    }
+
+    /**
+     * Finds colliders containing a point
+     * @param {number} x - X
+     * @param {number} y - Y
+     * @param {Object} options - Query options (see raycast)
+     * @returns {Collider[]}
+     */
+    overlapPoint(x, y, options = {}) {
+        return this.queryArea(x, y, 0, 0, options)
+            .filter(collider => Collision.containsPoint(collider.getShape(), x, y));
+    }
+
+    /**
+     * Finds colliders overlapping a circle
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} radius - Radius
+     * @param {Object} options - Query options (see raycast)
+     * @returns {Collider[]}
+     */
+    overlapCircle(x, y, radius, options = {}) {
+        return this._overlapShape({ vertices: [{ x, y }], radius }, options);
+    }
+
+    /**
+     * Finds colliders overlapping a box
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {Object} options - Query options (see raycast)
+     * @param {number} options.angle - Box rotation in radians (default: 0)
+     * @returns {Collider[]}
+     */
+    overlapBox(x, y, width, height, options = {}) {
+        return this._overlapShape(this._boxShape(x, y, width, height, options.angle || 0), options);
+    }
+
+    /**
+     * Finds the first thing a body's colliders would hit when moved by (dx, dy):
+     * colliders it can collide with and solid tiles of registered tilemaps
+     * @param {RigidBody} rigidBody - Body to sweep
+     * @param {number} dx - Movement X
+     * @param {number} dy - Movement Y
+     * @returns {Object|null} Hit {collider, tilemap, tile, point, normal, distance} or null; collider is null for tiles
+     */
+    sweep(rigidBody, dx, dy) {
+        let closest = null;
+        for (const collider of rigidBody.gameObject.getComponents(Collider)) {
+            if (!collider.active || collider.isTrigger) continue;
+
+            const hit = this.castCollider(collider, dx, dy);
+            if (hit && (!closest || hit.distance < closest.distance)) {
+                closest = hit;
+            }
+        }
+
+        return closest;
+    }
+
+    /**
+     * Finds the first thing a collider would hit when moved by (dx, dy): colliders it can
+     * collide with (other than those of its own object) and solid tiles of registered tilemaps.
+     * One-way colliders only block a collider coming from their solid side, never one that
+     * already overlaps them.
+     * @param {Collider} collider - Collider to sweep
+     * @param {number} dx - Movement X
+     * @param {number} dy - Movement Y
+     * @returns {Object|null} Hit {collider, tilemap, tile, point, normal, distance} or null; collider is null for tiles
+     */
+    castCollider(collider, dx, dy) {
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length === 0) return null;
+
+        const dirX = dx / length;
+        const dirY = dy / length;
+        const obj = collider.gameObject;
+        const shape = collider.getShape();
+        const center = collider.getWorldPosition();
+        const local = {
+            vertices: shape.vertices.map(v => ({ x: v.x - center.x, y: v.y - center.y })),
+            radius: shape.radius
+        };
+
+        const filter = other => other.gameObject !== obj && !other.isTrigger && this.shouldCollide(collider, other);
+        const colliderHits = this._cast(local, center.x, center.y, dirX, dirY, length, { filter }, true)
+            .map(hit => ({ ...hit, tilemap: null, tile: null, target: hit.collider.getShape() }));
+        const tileHits = this._castTiles(local, center.x, center.y, dirX, dirY, length);
+
+        for (const hit of [...colliderHits, ...tileHits].sort((a, b) => a.distance - b.distance)) {
+            if (!this._isBlocking(shape, hit, dirX, dirY)) continue;
+            if (hit.collider && hit.collider.oneWay &&
+                (hit.distance === 0 || !this._blocksOneWay(hit.collider, collider, hit.normal))) continue;
+
+            const { target, ...result } = hit;
+            return result;
+        }
+
+        return null;
+    }
+
+    /**
+     * Moves a continuous body by (dx, dy) without passing through anything it sweeps into.
+     * Against colliders it stops just inside the surface and leaves the response to the contact
+     * solver; tiles have no solver, so against tiles it stops at the surface and slides along it.
+     * @param {RigidBody} rigidBody - Body to move
+     * @param {number} dx - Movement X
+     * @param {number} dy - Movement Y
+     */
+    moveContinuous(rigidBody, dx, dy) {
+        const obj = rigidBody.gameObject;
+
+        for (let i = 0; i < Physics.MAX_SLIDES; i++) {
+            const hit = this.sweep(rigidBody, dx, dy);
+            if (!hit) break;
+
+            const length = Math.sqrt(dx * dx + dy * dy);
+            const dirX = dx / length;
+            const dirY = dy / length;
+
+            if (hit.collider) {
+                const travel = Math.min(length, hit.distance + this.continuousSkin);
+                obj.x += dirX * travel;
+                obj.y += dirY * travel;
+                return;
+            }
+
+            obj.x += dirX * hit.distance;
+            obj.y += dirY * hit.distance;
+
+            // Drop the velocity into the tile and keep the rest of the move along its surface
+            const { normal } = hit;
+            const vn = rigidBody.velocityX * normal.x + rigidBody.velocityY * normal.y;
+            if (vn < 0) {
+                rigidBody.velocityX -= vn * normal.x;
+                rigidBody.velocityY -= vn * normal.y;
+            }
+            this._tileContacts.push({ rigidBody, normal });
+
+            const remaining = length - hit.distance;
+            const into = (dirX * normal.x + dirY * normal.y) * remaining;
+            dx = dirX * remaining - normal.x * into;
+            dy = dirY * remaining - normal.y * into;
+        }
+
+        obj.x += dx;
+        obj.y += dy;
+    }
+
+    /**
+     * Sweeps a shape (centered on the origin) against solid tiles of registered tilemaps
+     * @private
+     * @returns {Object[]} Hits sorted by distance
+     */
+    _castTiles(shape, x, y, dirX, dirY, distance) {
+        const hits = [];
+        if (this.tilemaps.length === 0) return hits;
+
+        const area = this._sweptArea(shape, x, y, dirX, dirY, distance);
+        const reflected = this._reflect(shape);
+
+        for (const tilemap of this.tilemaps) {
+            if (!tilemap.active || !tilemap.gameObject?.active) continue;
+            if (this.tilemapColliders.some(tc => tc.getTilemap() === tilemap)) continue; // Collides through its colliders
+
+            // Tiles move and turn with the tilemap's game object, as they are drawn
+            const { x: originX, y: originY } = tilemap.gameObject;
+            const rotation = tilemap.gameObject.rotation || 0;
+            const cos = Math.cos(rotation);
+            const sin = Math.sin(rotation);
+            const local = this._tilemapArea(area, originX, originY, cos, sin);
+
+            for (const tile of tilemap.getTilesInArea(local.x, local.y, local.width, local.height)) {
+                const cx = tile.worldX + tile.width / 2;
+                const cy = tile.worldY + tile.height / 2;
+                const target = this._boxShape(
+                    originX + cx * cos - cy * sin, originY + cx * sin + cy * cos, tile.width, tile.height, rotation
+                );
+                const hit = Collision.raycastShape(Collision.minkowskiSum(target, reflected), x, y, dirX, dirY, distance);
+                if (!hit || this._isInternalTileEdge(tilemap, tile, hit.normal)) continue;
+
+                hits.push({
+                    collider: null,
+                    tilemap,
+                    tile,
+                    target,
+                    point: this._castContactPoint(shape, hit),
+                    normal: hit.normal,
+                    distance: hit.distance
+                });
+            }
+        }
+
+        return hits.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Whether a swept hit actually blocks the move. Shapes that already overlap at the start
+     * (resting contacts) only block motion that goes deeper; the normal is then the contact normal.
+     * @private
+     */
+    _isBlocking(shape, hit, dirX, dirY) {
+        if (hit.distance > 0) return true;
+
+        const manifold = Collision.shapes(shape, hit.target);
+        if (!manifold) return true;
+        if (dirX * manifold.normal.x + dirY * manifold.normal.y <= 0) return false;
+
+        hit.normal = { x: -manifold.normal.x, y: -manifold.normal.y };
+        return true;
+    }
+
+    /**
+     * Whether a tile face is shared with a neighbouring solid tile, so bodies sliding along a
+     * row or column of tiles do not catch on the seams
+     * @private
+     */
+    _isInternalTileEdge(tilemap, tile, normal) {
+        // Neighbours are looked up in tilemap space
+        const rotation = tilemap.gameObject.rotation || 0;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const localX = normal.x * cos + normal.y * sin;
+        const localY = normal.y * cos - normal.x * sin;
+
+        const stepX = Math.abs(localX) > 1e-6 ? Math.sign(localX) : 0;
+        const stepY = Math.abs(localY) > 1e-6 ? Math.sign(localY) : 0;
+        return (stepX !== 0 && tilemap.isTileSolid(tile.x + stepX, tile.y)) ||
+            (stepY !== 0 && tilemap.isTileSolid(tile.x, tile.y + stepY));
+    }
+
+    /**
+     * Bounds in tilemap space of a world-space area
+     * @private
+     */
+    _tilemapArea(area, originX, originY, cos, sin) {
+        const corners = [
+            [area.x, area.y], [area.x + area.width, area.y],
+            [area.x, area.y + area.height], [area.x + area.width, area.y + area.height]
+        ];
+        const xs = corners.map(([x, y]) => (x - originX) * cos + (y - originY) * sin);
+        const ys = corners.map(([x, y]) => (y - originY) * cos - (x - originX) * sin);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+    }
+
+    /**
+     * Checks a collider against query options
+     * @private
+     */
+    _passesFilter(collider, options) {
+        return collider.active &&
+            !(options.ignoreTriggers && collider.isTrigger) &&
+            this._matchesLayers(collider, options.layers) &&
+            (!options.filter || options.filter(collider));
+    }
+
+    /**
+     * Area covered by a shape (centered on the origin) moving from (x, y) along a direction
+     * @private
+     */
+    _sweptArea(shape, x, y, dirX, dirY, distance) {
+        const { vertices, radius } = shape;
+        const xs = vertices.map(v => v.x);
+        const ys = vertices.map(v => v.y);
+        const endX = x + dirX * distance;
+        const endY = y + dirY * distance;
+        const minX = Math.min(x, endX) + Math.min(...xs) - radius;
+        const minY = Math.min(y, endY) + Math.min(...ys) - radius;
+        const maxX = Math.max(x, endX) + Math.max(...xs) + radius;
+        const maxY = Math.max(y, endY) + Math.max(...ys) + radius;
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Point-reflects a shape through the origin
+     * @private
+     */
+    _reflect(shape) {
+        return { vertices: shape.vertices.map(v => ({ x: -v.x, y: -v.y })), radius: shape.radius };
+    }
+
+    /**
+     * Finds colliders overlapping a world-space shape
+     * @private
+     */
+    _overlapShape(shape, options) {
+        const { vertices, radius } = shape;
+        const xs = vertices.map(v => v.x);
+        const ys = vertices.map(v => v.y);
+        const minX = Math.min(...xs) - radius;
+        const minY = Math.min(...ys) - radius;
+
+        return this.queryArea(minX, minY, Math.max(...xs) + radius - minX, Math.max(...ys) + radius - minY, options)
+            .filter(collider => Collision.shapes(shape, collider.getShape()) !== null);
+    }
+
+    /**
+     * Builds a box shape
+     * @private
+     */
+    _boxShape(x, y, width, height, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const hw = width / 2;
+        const hh = height / 2;
+
+        return {
+            vertices: [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]].map(([px, py]) => ({
+                x: x + px * cos - py * sin,
+                y: y + px * sin + py * cos
+            })),
+            radius: 0
+        };
+    }
+
+    /**
+     * Sweeps a shape (or a ray when shape is null) by casting a ray against the Minkowski sum
+     * of each candidate and the reflected shape
+     * @private
+     * @param {Object|null} shape - Cast shape centered on the origin
+     * @returns {Object[]} Hits sorted by distance (only the closest unless all is set)
+     */
+    _cast(shape, x, y, dirX, dirY, distance, options, all) {
+        const length = Math.sqrt(dirX * dirX + dirY * dirY);
+        if (length === 0) return [];
+        dirX /= length;
+        dirY /= length;
+
+        let candidates;
+        if (shape) {
+            const area = this._sweptArea(shape, x, y, dirX, dirY, distance);
+            candidates = this.queryArea(area.x, area.y, area.width, area.height, options);
+        } else {
+            candidates = [
+                ...this.broadphase.raycast(x, y, dirX, dirY, distance),
+                ...this.staticBroadphase.raycast(x, y, dirX, dirY, distance)
+            ].filter(collider => this._passesFilter(collider, options));
+        }
+
+        const reflected = shape && this._reflect(shape);
+        let hits = [];
+        for (const collider of candidates) {
+            const target = collider.getShape();
+            const hit = Collision.raycastShape(
+                shape ? Collision.minkowskiSum(target, reflected) : target,
+                x, y, dirX, dirY, distance
+            );
+            if (!hit) continue;
+
+            if (!all && hits.length > 0) {
+                if (hit.distance >= hits[0].distance) continue;
+                hits = [];
+            }
+
+            if (shape) {
+                hits.push({ collider, point: this._castContactPoint(shape, hit), normal: hit.normal, distance: hit.distance, centroid: hit.point });
+            } else {
+                hits.push({ collider, point: hit.point, normal: hit.normal, distance: hit.distance });
+            }
+        }
+
+        return hits.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Point where a swept shape touches the surface it hit
+     * @private
+     */
+    _castContactPoint(shape, hit) {
+        const offset = Collision.support(shape, -hit.normal.x, -hit.normal.y);
+        return { x: hit.point.x + offset.x, y: hit.point.y + offset.y };
+    }
+}
+
+/**
+ * Minimum |normal| component for a contact to count as ground (y) or wall (x), about 45 degrees
+ */
+Physics.GROUND_NORMAL_THRESHOLD = 0.7;
+
+/**
+ * Minimum alignment between a contact normal and the surface normal of a one-way collider
+ * for the contact to hold, about 45 degrees
+ */
+Physics.ONE_WAY_THRESHOLD = 0.7;
+
+/**
+ * Maximum number of surfaces a continuous body slides along in one move
+ */
+Physics.MAX_SLIDES = 3;
+
+/**
+ * Minimum dot product between last step's and this step's contact normal for a contact
+ * to reuse its impulses
+ */
+Physics.WARM_START_ALIGNMENT = 0.95;
+
+/**
+ * Largest condition number of a two-point contact's mass matrix that is solved as a block;
+ * points closer than that are solved one at a time
+ */
+Physics.MAX_BLOCK_CONDITION = 1000;
 
 // Import RigidBody for collision resolution
 import { RigidBody } from './RigidBody.js';
@@ -0,0 +1,78 @@
+/**
+ * PhysicsMaterial Class
+ * @class PhysicsMaterial
+ * @description Surface properties used by the contact solver (bounciness and friction)
+ */
+export class PhysicsMaterial {
+    /**
+     * Creates a new PhysicsMaterial
+     * @param {Object} config - Configuration
+     * @param {number} config.restitution - Bounciness, 0 = no bounce, 1 = perfectly elastic (default: 0)
+     * @param {number} config.staticFriction - Friction coefficient when at rest (default: 0.6)
+     * @param {number} config.dynamicFriction - Friction coefficient when sliding (default: 0.4)
+     * @param {string} config.frictionCombine - 'average', 'min', 'multiply' or 'max' (default: 'average')
+     * @param {string} config.restitutionCombine - 'average', 'min', 'multiply' or 'max' (default: 'average')
+     */
+    constructor(config = {}) {
+        this.restitution = config.restitution !== undefined ? config.restitution : 0;
+        this.staticFriction = config.staticFriction !== undefined ? config.staticFriction : 0.6;
+        this.dynamicFriction = config.dynamicFriction !== undefined ? config.dynamicFriction : 0.4;
+        this.frictionCombine = config.frictionCombine || 'average';
+        this.restitutionCombine = config.restitutionCombine || 'average';
+    }
+
+    /**
+     * Combines two material values. When the materials use different modes,
+     * the higher priority mode wins: max > multiply > min > average.
+     * @param {number} a - First value
+     * @param {number} b - Second value
+     * @param {string} modeA - Combine mode of the first material
+     * @param {string} modeB - Combine mode of the second material
+     * @returns {number}
+     */
+    static combine(a, b, modeA, modeB) {
+        const priority = PhysicsMaterial.COMBINE_PRIORITY;
+        const mode = priority.indexOf(modeA) >= priority.indexOf(modeB) ? modeA : modeB;
+
+        switch (mode) {
+            case 'min':
+                return Math.min(a, b);
+            case 'max':
+                return Math.max(a, b);
+            case 'multiply':
+                return a * b;
+            default:
+                return (a + b) / 2;
+        }
+    }
+}
+
+/**
+ * Combine modes from lowest to highest priority
+ */
+PhysicsMaterial.COMBINE_PRIORITY = ['average', 'min', 'multiply', 'max'];
+
+/**
+ * Preset materials
+ */
+PhysicsMaterial.Bouncy = new PhysicsMaterial({
+    restitution: 0.9,
+    staticFriction: 0.2,
+    dynamicFriction: 0.1,
+    restitutionCombine: 'max'
+});
+
+PhysicsMaterial.Ice = new PhysicsMaterial({
+    restitution: 0,
+    staticFriction: 0.02,
+    dynamicFriction: 0.01,
+    frictionCombine: 'min'
+});
+
+PhysicsMaterial.Sticky = new PhysicsMaterial({
+    restitution: 0,
+    staticFriction: 1.2,
+    dynamicFriction: 1,
+    frictionCombine: 'max',
+    restitutionCombine: 'min'
+});
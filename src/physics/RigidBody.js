@@ -1,4 +1,5 @@
 import { Component } from '../core/Component.js';
+import { Collider } from './Collider.js';
 
 /**
  * RigidBody Component
@@ -25,6 +26,10 @@ export class RigidBody extends Component {
         // Forces
         this.forceX = 0;
         this.forceY = 0;
+
+        // Rotation
+        this.angularVelocity = 0; // radians per second
+        this.torque = 0;
         
         // Physics properties
         this.mass = config.mass || 1;
@@ -32,14 +37,25 @@ export class RigidBody extends Component {
         this.gravityScale = config.gravityScale !== undefined ? config.gravityScale : 1;
         this.useGravity = config.useGravity !== false;
         this.isKinematic = config.isKinematic || false;
+        this.continuous = config.continuous || false; // Sweep motion to stop fast bodies tunnelling
+        this.angularDrag = config.angularDrag !== undefined ? config.angularDrag : 0.05;
+        this.fixedRotation = config.fixedRotation || false;
+        this.inertia = config.inertia || null; // Moment of inertia (null = derived from the colliders)
         
         // Constraints
         this.maxVelocityX = config.maxVelocityX || Infinity;
         this.maxVelocityY = config.maxVelocityY || Infinity;
         
+        // Sleeping
+        this.canSleep = config.canSleep !== false;
+        this.isSleeping = false;
+        this.sleepTimer = 0; // Seconds spent below the sleep thresholds
+
         // Collision
         this.isGrounded = false;
         this.isTouchingWall = false;
+        this.groundCollider = null; // Collider the body stands on (null in the air or on tiles)
+        this.groundNormal = null; // Normal of the surface it stands on
         
         // Platformer properties
         this.canDoubleJump = false;
@@ -52,6 +68,7 @@ export class RigidBody extends Component {
      * @param {number} y - Force Y
      */
     addForce(x, y) {
+        this.wakeUp();
         this.forceX += x;
         this.forceY += y;
     }
@@ -62,20 +79,158 @@ export class RigidBody extends Component {
      * @param {number} y - Impulse Y
      */
     addImpulse(x, y) {
+        this.wakeUp();
         this.velocityX += x / this.mass;
         this.velocityY += y / this.mass;
     }
 
+    /**
+     * Applies a torque (positive turns clockwise on screen)
+     * @param {number} torque - Torque
+     */
+    addTorque(torque) {
+        this.wakeUp();
+        this.torque += torque;
+    }
+
+    /**
+     * Applies a force at a world point, producing torque when off-centre
+     * @param {number} x - Force X
+     * @param {number} y - Force Y
+     * @param {number} pointX - World point X
+     * @param {number} pointY - World point Y
+     */
+    addForceAtPoint(x, y, pointX, pointY) {
+        this.addForce(x, y);
+        this.addTorque((pointX - this.gameObject.x) * y - (pointY - this.gameObject.y) * x);
+    }
+
+    /**
+     * Applies an impulse at a world point, changing both velocity and angular velocity
+     * @param {number} x - Impulse X
+     * @param {number} y - Impulse Y
+     * @param {number} pointX - World point X
+     * @param {number} pointY - World point Y
+     */
+    addImpulseAtPoint(x, y, pointX, pointY) {
+        this.addImpulse(x, y);
+        this.angularVelocity += ((pointX - this.gameObject.x) * y - (pointY - this.gameObject.y) * x) *
+            this.getInverseInertia();
+    }
+
+    /**
+     * Gets the moment of inertia: the configured value, or one derived from the mass spread
+     * over the area of the object's non-trigger colliders
+     * @returns {number}
+     */
+    getInertia() {
+        if (this.inertia) return this.inertia;
+
+        let area = 0;
+        let inertia = 0;
+        for (const collider of this.gameObject.getComponents(Collider)) {
+            if (collider.isTrigger) continue;
+
+            const data = collider.getMassData();
+            const cx = collider.offset.x + data.centroid.x;
+            const cy = collider.offset.y + data.centroid.y;
+            area += data.area;
+            inertia += data.inertia + data.area * (cx * cx + cy * cy);
+        }
+
+        // No shape to spread the mass over: treat it like a unit disc
+        if (area === 0) return this.mass;
+        return inertia * this.mass / area;
+    }
+
+    /**
+     * Gets the inverse mass used by the solver (0 when kinematic)
+     * @returns {number}
+     */
+    getInverseMass() {
+        return this.isKinematic ? 0 : 1 / this.mass;
+    }
+
+    /**
+     * Gets the inverse moment of inertia used by the solver (0 when kinematic or rotation is fixed)
+     * @returns {number}
+     */
+    getInverseInertia() {
+        return this.isKinematic || this.fixedRotation ? 0 : 1 / this.getInertia();
+    }
+
+    /**
+     * Gets the velocity of a world point moving with the body
+     * @param {number} pointX - World point X
+     * @param {number} pointY - World point Y
+     * @returns {{x: number, y: number}}
+     */
+    getPointVelocity(pointX, pointY) {
+        return {
+            x: this.velocityX - this.angularVelocity * (pointY - this.gameObject.y),
+            y: this.velocityY + this.angularVelocity * (pointX - this.gameObject.x)
+        };
+    }
+
     /**
      * Sets velocity
      * @param {number} x - Velocity X
      * @param {number} y - Velocity Y
      */
     setVelocity(x, y) {
+        this.wakeUp();
         this.velocityX = x;
         this.velocityY = y;
     }
 
+    /**
+     * Wakes the body so it is simulated again
+     */
+    wakeUp() {
+        this.isSleeping = false;
+        this.sleepTimer = 0;
+    }
+
+    /**
+     * Puts the body to sleep: it stops and is skipped by the simulation until something wakes it
+     */
+    sleep() {
+        this.isSleeping = true;
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.angularVelocity = 0;
+    }
+
+    /**
+     * Called when a pool spawns the object: starts at rest, awake, with no forces left over
+     */
+    onSpawn() {
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.angularVelocity = 0;
+        this.forceX = 0;
+        this.forceY = 0;
+        this.accelerationX = 0;
+        this.accelerationY = 0;
+        this.torque = 0;
+        this.isGrounded = false;
+        this.isTouchingWall = false;
+        this.groundCollider = null;
+        this.groundNormal = null;
+        this.wakeUp();
+    }
+
+    /**
+     * Adds the body's motion to a checksum
+     * @param {Checksum} checksum - Checksum
+     */
+    writeChecksum(checksum) {
+        checksum.addNumber(this.velocityX)
+            .addNumber(this.velocityY)
+            .addNumber(this.angularVelocity)
+            .addBoolean(this.isSleeping);
+    }
+
     /**
      * Fixed update for physics
      * @param {number} dt - Fixed delta time
@@ -83,11 +238,19 @@ export class RigidBody extends Component {
     fixedUpdate(dt) {
         if (this.isKinematic) return;
 
+        // A sleeping body stays put until a force, an impulse or a velocity set directly wakes it
+        if (this.isSleeping) {
+            if (this.velocityX === 0 && this.velocityY === 0 && this.angularVelocity === 0) return;
+            this.wakeUp();
+        }
+
         const physics = this.scene?.physics;
         
         // Apply gravity
         if (this.useGravity && physics) {
-            this.accelerationY += physics.gravity * this.gravityScale;
+            const gravity = physics.getGravity(this);
+            this.accelerationX += gravity.x * this.gravityScale;
+            this.accelerationY += gravity.y * this.gravityScale;
         }
         
         // Apply forces
@@ -107,13 +270,36 @@ export class RigidBody extends Component {
         this.velocityY = Math.max(-this.maxVelocityY, Math.min(this.maxVelocityY, this.velocityY));
         
         // Update position
-        this.gameObject.x += this.velocityX * dt;
-        this.gameObject.y += this.velocityY * dt;
+        if (this.continuous && physics) {
+            physics.moveContinuous(this, this.velocityX * dt, this.velocityY * dt);
+        } else {
+            this.gameObject.x += this.velocityX * dt;
+            this.gameObject.y += this.velocityY * dt;
+        }
         
+        // Rotation
+        if (this.fixedRotation) {
+            this.angularVelocity = 0;
+        } else {
+            this.angularVelocity += this.torque / this.getInertia() * dt;
+            this.angularVelocity *= (1 - this.angularDrag);
+            this.gameObject.rotation += this.angularVelocity * dt;
+        }
+
         // Reset forces and acceleration
         this.forceX = 0;
         this.forceY = 0;
         this.accelerationX = 0;
         this.accelerationY = 0;
+        this.torque = 0;
     }
 }
+
+/**
+ * Fields saved by Serializer
+ */
+RigidBody.serializable = [
+    'active', 'velocityX', 'velocityY', 'angularVelocity', 'mass', 'drag', 'gravityScale', 'useGravity',
+    'isKinematic', 'continuous', 'angularDrag', 'fixedRotation', 'inertia', 'maxVelocityX', 'maxVelocityY',
+    'canSleep', 'isSleeping', 'sleepTimer', 'canDoubleJump', 'hasDoubleJumped'
+];
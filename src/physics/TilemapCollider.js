@@ -0,0 +1,237 @@
+import { Component } from '../core/Component.js';
+import { BoxCollider, PolygonCollider } from './Collider.js';
+import { Tilemap } from '../tilemap/Tilemap.js';
+
+/**
+ * TilemapCollider Component
+ * @class TilemapCollider
+ * @extends Component
+ * @description Collides the collision layer of a Tilemap. Runs of solid tiles are merged into
+ * as few rectangles as possible; slope, one-way and custom tiles get their own shapes.
+ */
+export class TilemapCollider extends Component {
+    /**
+     * Creates a new TilemapCollider
+     * @param {Object} config - Configuration
+     * @param {Tilemap} config.tilemap - Tilemap to collide (default: the Tilemap on the same object)
+     * @param {Object} config.tileShapes - Shape per tile index: 'solid', 'oneWay', 'slopeUp' (rising to the right),
+     * 'slopeDown' (falling to the right), 'none' or a convex outline of {x, y} in tile pixels from its top-left
+     * corner (default: every tile is 'solid')
+     * @param {string} config.layer - Collision layer of the tiles (default: 'default')
+     * @param {PhysicsMaterial} config.material - Surface material of the tiles (default: null, uses Physics.defaultMaterial)
+     */
+    constructor(config = {}) {
+        super();
+
+        this.tilemap = config.tilemap || null;
+        this.tileShapes = config.tileShapes || {};
+        this.layer = config.layer || 'default';
+        this.material = config.material || null;
+
+        this.parts = []; // Colliders the tiles were merged into
+        this._version = -1; // Tilemap version the parts were built from
+    }
+
+    /**
+     * Gets the colliders the tiles are merged into, building them if the tilemap changed
+     * @returns {Collider[]}
+     */
+    getParts() {
+        const tilemap = this.getTilemap();
+        if (tilemap && tilemap.version !== this._version) {
+            this.parts = this._buildParts(tilemap);
+            this._version = tilemap.version;
+        }
+        return this.parts;
+    }
+
+    /**
+     * Gets the tilemap this collider follows
+     * @returns {Tilemap|null}
+     */
+    getTilemap() {
+        if (!this.tilemap && this.gameObject) {
+            this.tilemap = this.gameObject.getComponent(Tilemap);
+        }
+        return this.tilemap;
+    }
+
+    /**
+     * Rebuilds the colliders from the tiles. Runs by itself after Tilemap.setTile; call it
+     * after changing the tile data directly or changing tileShapes.
+     */
+    rebuild() {
+        const physics = this.scene?.physics;
+        const registered = physics && physics.tilemapColliders.includes(this);
+        if (registered) physics.removeTilemapCollider(this);
+
+        this._version = -1;
+        this.getParts();
+
+        if (registered) physics.addTilemapCollider(this);
+    }
+
+    /**
+     * Fixed update for physics
+     * @param {number} dt - Fixed delta time
+     */
+    fixedUpdate(dt) {
+        const tilemap = this.getTilemap();
+        if (tilemap && tilemap.version !== this._version) {
+            this.rebuild();
+        }
+    }
+
+    /**
+     * Called when a body starts touching one of the tile colliders
+     * @param {Collider} other - Other collider
+     * @param {Object} contact - Contact info {collider, normal, depth, point}; collider is the tile part
+     */
+    onCollisionEnter(other, contact) {
+        // Override in subclass
+    }
+
+    /**
+     * Called while a body touches one of the tile colliders
+     * @param {Collider} other - Other collider
+     * @param {Object} contact - Contact info {collider, normal, depth, point}
+     */
+    onCollisionStay(other, contact) {
+        // Override in subclass
+    }
+
+    /**
+     * Called when a body stops touching one of the tile colliders
+     * @param {Collider} other - Other collider
+     */
+    onCollisionExit(other) {
+        // Override in subclass
+    }
+
+    /**
+     * Gets the shape of a tile, or null if it does not collide
+     * @private
+     */
+    _getTileShape(tilemap, x, y) {
+        if (!tilemap.isTileSolid(x, y)) return null;
+
+        const shape = this.tileShapes[tilemap.getTile(tilemap.collisionLayer, x, y)] || 'solid';
+        return shape === 'none' ? null : shape;
+    }
+
+    /**
+     * Merges solid and one-way tiles into rectangles (runs along each row, then runs with the
+     * same extent in the rows below) and gives every other tile its own polygon
+     * @private
+     * @param {Tilemap} tilemap - Tilemap
+     * @returns {Collider[]}
+     */
+    _buildParts(tilemap) {
+        const rows = tilemap.layers[tilemap.collisionLayer] || [];
+        const parts = [];
+        let open = new Map(); // 'x0:x1:shape' -> rectangle still growing downwards
+
+        for (let y = 0; y <= rows.length; y++) {
+            const row = rows[y] || [];
+            const next = new Map();
+
+            for (let x = 0; x < row.length; x++) {
+                const shape = this._getTileShape(tilemap, x, y);
+                if (!shape) continue;
+
+                if (shape !== 'solid' && shape !== 'oneWay') {
+                    parts.push(this._createPolygon(tilemap, x, y, shape));
+                    continue;
+                }
+
+                // Extend the run along the row
+                let end = x;
+                while (end + 1 < row.length && this._getTileShape(tilemap, end + 1, y) === shape) {
+                    end++;
+                }
+
+                const key = `${x}:${end}:${shape}`;
+                const rect = open.get(key) || { x, y, width: end - x + 1, height: 0, shape };
+                rect.height++;
+                open.delete(key);
+                next.set(key, rect);
+                x = end;
+            }
+
+            // Rectangles that did not continue into this row are finished
+            for (const rect of open.values()) {
+                parts.push(this._createBox(tilemap, rect));
+            }
+            open = next;
+        }
+
+        for (const part of parts) {
+            this._setUpPart(part);
+        }
+        return parts;
+    }
+
+    /**
+     * Creates the box of a merged rectangle of tiles
+     * @private
+     */
+    _createBox(tilemap, rect) {
+        const { tileWidth, tileHeight } = tilemap;
+        const box = new BoxCollider(rect.width * tileWidth, rect.height * tileHeight, {
+            x: tilemap.offsetX + (rect.x + rect.width / 2) * tileWidth,
+            y: tilemap.offsetY + (rect.y + rect.height / 2) * tileHeight
+        });
+        box.oneWay = rect.shape === 'oneWay';
+        box.tiles = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+        return box;
+    }
+
+    /**
+     * Creates the polygon of a slope or custom tile
+     * @private
+     */
+    _createPolygon(tilemap, x, y, shape) {
+        const { tileWidth: w, tileHeight: h } = tilemap;
+        let outline = shape;
+        if (shape === 'slopeUp') {
+            outline = [{ x: 0, y: h }, { x: w, y: h }, { x: w, y: 0 }];
+        } else if (shape === 'slopeDown') {
+            outline = [{ x: 0, y: 0 }, { x: 0, y: h }, { x: w, y: h }];
+        }
+
+        // Outlines are given from the tile corner, colliders want them around their center
+        const polygon = new PolygonCollider(
+            outline.map(p => ({ x: p.x - w / 2, y: p.y - h / 2 })),
+            { x: tilemap.offsetX + (x + 0.5) * w, y: tilemap.offsetY + (y + 0.5) * h }
+        );
+        polygon.tiles = { x, y, width: 1, height: 1 };
+        return polygon;
+    }
+
+    /**
+     * Attaches a part to this object and forwards its collision callbacks
+     * @private
+     */
+    _setUpPart(part) {
+        part.gameObject = this.gameObject;
+        part.layer = this.layer;
+        part.material = this.material;
+        part.tilemapCollider = this;
+
+        // A part is on while both it and this component are, so either can switch it off
+        let active = true;
+        Object.defineProperty(part, 'active', {
+            get: () => active && this.active,
+            set: (value) => { active = value; }
+        });
+
+        part.onCollisionEnter = (other, contact) => this.onCollisionEnter(other, contact);
+        part.onCollisionStay = (other, contact) => this.onCollisionStay(other, contact);
+        part.onCollisionExit = (other) => this.onCollisionExit(other);
+    }
+}
+
+/**
+ * Fields saved by Serializer
+ */
+TilemapCollider.serializable = ['active', 'tilemap', 'tileShapes', 'layer', 'material'];
@@ -30,6 +30,9 @@ export class PlatformerController extends Component {
         // Double jump
         this.canDoubleJump = config.canDoubleJump || false;
         this.hasDoubleJumped = false;
+
+        // One-way platforms
+        this.canDropThrough = config.canDropThrough !== false; // Down + jump drops through one-way platforms
         
         // State
         this.coyoteTimer = 0;
@@ -49,6 +52,8 @@ export class PlatformerController extends Component {
         this.rigidbody = this.gameObject.getComponent(RigidBody);
         if (!this.rigidbody) {
             console.error('PlatformerController requires a RigidBody component');
+        } else {
+            this.rigidbody.fixedRotation = true; // Characters stay upright
         }
         
         this.input = this.engine?.currentScene?.input;
@@ -98,6 +103,11 @@ export class PlatformerController extends Component {
             this.rigidbody.velocityY = Math.min(this.rigidbody.velocityY, this.wallSlideSpeed);
         }
 
+        // Drop through one-way platforms instead of jumping
+        if (this.canDropThrough && jumpPressed && this.isDownHeld() && this.rigidbody.isGrounded && this.dropThrough()) {
+            this.jumpBufferTimer = 0;
+        }
+
         // Jump logic
         if (this.jumpBufferTimer > 0) {
             if (this.coyoteTimer > 0) {
@@ -142,6 +152,23 @@ export class PlatformerController extends Component {
         return input;
     }
 
+    /**
+     * Checks if down is held
+     * @returns {boolean}
+     */
+    isDownHeld() {
+        return this.input.isKeyDown('KeyS') || this.input.isKeyDown('ArrowDown');
+    }
+
+    /**
+     * Drops through the one-way platforms the character stands on
+     * @returns {boolean} Whether there was a one-way platform to drop through
+     */
+    dropThrough() {
+        const physics = this.scene?.physics;
+        return !!physics && physics.dropThrough(this.rigidbody);
+    }
+
     /**
      * Performs a jump
      */
@@ -173,3 +200,11 @@ export class PlatformerController extends Component {
 
 // Import SpriteRenderer for type checking
 import { SpriteRenderer } from '../rendering/SpriteRenderer.js';
+
+/**
+ * Fields saved by Serializer
+ */
+PlatformerController.serializable = [
+    'active', 'moveSpeed', 'jumpForce', 'airControl', 'maxFallSpeed', 'coyoteTime', 'jumpBufferTime',
+    'canWallJump', 'wallJumpForce', 'wallSlideSpeed', 'canDoubleJump', 'canDropThrough'
+];
@@ -45,6 +45,7 @@ export class TopDownController extends Component {
             this.rigidbody = this.gameObject.getComponent(RigidBody);
             if (this.rigidbody) {
                 this.rigidbody.useGravity = false;
+                this.rigidbody.fixedRotation = true; // Characters stay upright
             }
         }
         
@@ -165,3 +166,11 @@ export class TopDownController extends Component {
         }
     }
 }
+
+/**
+ * Fields saved by Serializer
+ */
+TopDownController.serializable = [
+    'active', 'moveSpeed', 'acceleration', 'friction', 'rotateToMovement', 'fourDirectional', 'useRigidbody',
+    'canDash', 'dashSpeed', 'dashDuration', 'dashCooldown'
+];
@@ -1,3 +1,8 @@
+import { Random } from '../utils/Random.js';
+
+// Used by cameras outside an engine
+const fallbackRandom = new Random();
+
 /**
  * Camera Class
  * @class Camera
@@ -31,6 +36,10 @@ export class Camera {
         this.shakeIntensity = 0;
         this.shakeDuration = 0;
         this.shakeDecay = 0;
+        this.shakeX = 0; // Current shake offset, picked in update
+        this.shakeY = 0;
+        this.random = null; // Random for shake offsets (null: the engine's effectsRandom)
+        this.scene = null; // Scene using the camera, set by Scene
     }
 
     /**
@@ -72,8 +81,11 @@ export class Camera {
     update(dt) {
         // Follow target
         if (this.target) {
-            const targetX = this.target.x + this.followOffset.x - this.width / (2 * this.zoom);
-            const targetY = this.target.y + this.followOffset.y - this.height / (2 * this.zoom);
+            // Follow where the target is drawn, so interpolated targets do not judder against the view
+            const alpha = this.target.scene?.alpha ?? 1;
+            const position = this.target.getInterpolatedTransform ? this.target.getInterpolatedTransform(alpha) : this.target;
+            const targetX = position.x + this.followOffset.x - this.width / (2 * this.zoom);
+            const targetY = position.y + this.followOffset.y - this.height / (2 * this.zoom);
             
             this.x += (targetX - this.x) * this.followSpeed;
             this.y += (targetY - this.y) * this.followSpeed;
@@ -99,6 +111,24 @@ export class Camera {
                 this.shakeIntensity = 0;
             }
         }
+
+        // Shake offsets change per update rather than per render, so they follow the simulation
+        this.shakeX = 0;
+        this.shakeY = 0;
+        if (this.shakeIntensity > 0) {
+            const random = this._getRandom();
+            this.shakeX = (random.next() - 0.5) * this.shakeIntensity;
+            this.shakeY = (random.next() - 0.5) * this.shakeIntensity;
+        }
+    }
+
+    /**
+     * Gets the random number source for shakes: its own random, else the engine's effectsRandom
+     * @private
+     * @returns {Random}
+     */
+    _getRandom() {
+        return this.random || this.scene?.engine?.effectsRandom || fallbackRandom;
     }
 
     /**
@@ -115,15 +145,8 @@ export class Camera {
         // Apply rotation
         ctx.rotate(this.rotation);
         
-        // Apply shake
-        let shakeX = 0, shakeY = 0;
-        if (this.shakeIntensity > 0) {
-            shakeX = (Math.random() - 0.5) * this.shakeIntensity;
-            shakeY = (Math.random() - 0.5) * this.shakeIntensity;
-        }
-        
-        // Apply camera position
-        ctx.translate(-this.x + shakeX, -this.y + shakeY);
+        // Apply camera position and shake
+        ctx.translate(-this.x + this.shakeX, -this.y + this.shakeY);
     }
 
     /**
@@ -150,3 +173,10 @@ export class Camera {
         return { x, y };
     }
 }
+
+/**
+ * Fields saved by Serializer
+ */
+Camera.serializable = [
+    'x', 'y', 'width', 'height', 'zoom', 'rotation', 'bounds', 'target', 'followSpeed', 'followOffset'
+];
@@ -98,3 +98,11 @@ export class SpriteRenderer extends Component {
         ctx.restore();
     }
 }
+
+/**
+ * Fields saved by Serializer
+ */
+SpriteRenderer.serializable = [
+    'active', 'image', 'width', 'height', 'color', 'alpha', 'offset',
+    'sourceX', 'sourceY', 'sourceWidth', 'sourceHeight', 'flipX', 'flipY'
+];
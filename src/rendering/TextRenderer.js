@@ -50,3 +50,11 @@ export class TextRenderer extends Component {
         ctx.restore();
     }
 }
+
+/**
+ * Fields saved by Serializer
+ */
+TextRenderer.serializable = [
+    'active', 'text', 'font', 'color', 'align', 'baseline', 'alpha',
+    'stroke', 'strokeColor', 'strokeWidth', 'offset'
+];
@@ -0,0 +1,231 @@
+import { Tween } from '../animation/Tween.js';
+
+/**
+ * Transition Class
+ * @class Transition
+ * @description Screen effect played by Engine.transitionTo. It covers the old scene ('out'),
+ * stays fully covered while the new scene loads ('loading') and then reveals it ('in').
+ * Subclasses draw the cover in draw().
+ */
+export class Transition {
+    /**
+     * Creates a new Transition
+     * @param {Object} config - Configuration
+     * @param {number} config.duration - Seconds to cover, and again to reveal (default: 0.5)
+     * @param {string} config.color - Cover color (default: '#000000')
+     * @param {Function} config.easing - Easing function (default: Tween.Easing.QuadInOut)
+     * @param {Function} config.loadingScreen - Draws over the cover while the new scene loads, (ctx, width, height, elapsed)
+     */
+    constructor(config = {}) {
+        this.duration = config.duration !== undefined ? config.duration : 0.5;
+        this.color = config.color || '#000000';
+        this.easing = config.easing || Tween.Easing.QuadInOut;
+        this.loadingScreen = config.loadingScreen || null;
+
+        // Playback state, set by the engine
+        this.phase = null; // 'out', 'loading', 'in' or null when not playing
+        this.elapsed = 0; // Seconds into the current phase
+        this.from = null;
+        this.to = null;
+    }
+
+    /**
+     * Starts playing from one scene to another
+     * @param {Scene|null} from - Scene being left
+     * @param {Scene} to - Scene being entered
+     */
+    begin(from, to) {
+        this.from = from;
+        this.to = to;
+        this.phase = 'out';
+        this.elapsed = 0;
+    }
+
+    /**
+     * Gets how much of the screen is covered, from 0 (none) to 1 (all)
+     * @returns {number}
+     */
+    getCoverage() {
+        if (this.phase === 'loading') return 1;
+        if (!this.phase) return 0;
+
+        const t = this.duration > 0 ? Math.min(this.elapsed / this.duration, 1) : 1;
+        return this.phase === 'out' ? this.easing(t) : 1 - this.easing(t);
+    }
+
+    /**
+     * Renders the transition over the scene
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     */
+    render(ctx, width, height) {
+        ctx.save();
+        ctx.fillStyle = this.color;
+        this.draw(ctx, width, height, this.getCoverage());
+        ctx.restore();
+
+        if (this.phase === 'loading' && this.loadingScreen) {
+            ctx.save();
+            this.loadingScreen(ctx, width, height, this.elapsed);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Draws the cover; fillStyle is already set to the color
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @param {number} coverage - How much to cover, 0 to 1
+     */
+    draw(ctx, width, height, coverage) {
+        // Override in subclass
+    }
+
+    /**
+     * Creates a built-in transition by name
+     * @param {string} name - 'fade', 'slide', 'wipe' or 'iris'
+     * @param {Object} config - Configuration of the transition
+     * @returns {Transition|null}
+     */
+    static create(name, config = {}) {
+        const type = Transition.types[name];
+        if (!type) {
+            console.error(`Transition "${name}" not found`);
+            return null;
+        }
+        return new type(config);
+    }
+}
+
+/**
+ * FadeTransition
+ * @class FadeTransition
+ * @extends Transition
+ * @description Fades to the color and back
+ */
+export class FadeTransition extends Transition {
+    draw(ctx, width, height, coverage) {
+        ctx.globalAlpha = coverage;
+        ctx.fillRect(0, 0, width, height);
+    }
+}
+
+/**
+ * SlideTransition
+ * @class SlideTransition
+ * @extends Transition
+ * @description A panel slides across the screen: in from one side to cover, out the other to reveal
+ */
+export class SlideTransition extends Transition {
+    /**
+     * Creates a new SlideTransition
+     * @param {Object} config - Configuration (see Transition)
+     * @param {string} config.direction - Direction the panel moves: 'left', 'right', 'up' or 'down' (default: 'left')
+     */
+    constructor(config = {}) {
+        super(config);
+        this.direction = config.direction || 'left';
+    }
+
+    draw(ctx, width, height, coverage) {
+        const dir = directionVector(this.direction);
+
+        // The panel arrives from behind its direction and leaves ahead of it
+        const offset = (this.phase === 'in' ? 1 : -1) * (1 - coverage);
+        ctx.fillRect(dir.x * offset * width, dir.y * offset * height, width, height);
+    }
+}
+
+/**
+ * WipeTransition
+ * @class WipeTransition
+ * @extends Transition
+ * @description An edge sweeps across the screen, covering behind it, then sweeps on to reveal
+ */
+export class WipeTransition extends Transition {
+    /**
+     * Creates a new WipeTransition
+     * @param {Object} config - Configuration (see Transition)
+     * @param {string} config.direction - Direction the edge moves: 'left', 'right', 'up' or 'down' (default: 'right')
+     */
+    constructor(config = {}) {
+        super(config);
+        this.direction = config.direction || 'right';
+    }
+
+    draw(ctx, width, height, coverage) {
+        const dir = directionVector(this.direction);
+
+        // Covering grows from the trailing side; revealing starts there too
+        const fromStart = (dir.x + dir.y > 0) === (this.phase !== 'in');
+        if (dir.x !== 0) {
+            const size = coverage * width;
+            ctx.fillRect(fromStart ? 0 : width - size, 0, size, height);
+        } else {
+            const size = coverage * height;
+            ctx.fillRect(0, fromStart ? 0 : height - size, width, size);
+        }
+    }
+}
+
+/**
+ * IrisTransition
+ * @class IrisTransition
+ * @extends Transition
+ * @description A circle closes in on a point, then opens from it
+ */
+export class IrisTransition extends Transition {
+    /**
+     * Creates a new IrisTransition
+     * @param {Object} config - Configuration (see Transition)
+     * @param {number} config.x - Screen X of the center (default: middle of the screen)
+     * @param {number} config.y - Screen Y of the center (default: middle of the screen)
+     */
+    constructor(config = {}) {
+        super(config);
+        this.x = config.x !== undefined ? config.x : null;
+        this.y = config.y !== undefined ? config.y : null;
+    }
+
+    draw(ctx, width, height, coverage) {
+        const cx = this.x !== null ? this.x : width / 2;
+        const cy = this.y !== null ? this.y : height / 2;
+
+        // Fully open, the circle reaches the farthest corner
+        const maxRadius = Math.sqrt(
+            Math.max(cx, width - cx) ** 2 + Math.max(cy, height - cy) ** 2
+        );
+        const radius = (1 - coverage) * maxRadius;
+
+        ctx.beginPath();
+        ctx.rect(0, 0, width, height);
+        ctx.moveTo(cx + radius, cy);
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fill('evenodd');
+    }
+}
+
+/**
+ * Built-in transitions by name, for Transition.create and Engine.transitionTo
+ */
+Transition.types = {
+    fade: FadeTransition,
+    slide: SlideTransition,
+    wipe: WipeTransition,
+    iris: IrisTransition
+};
+
+/**
+ * Unit vector of a direction name
+ * @private
+ */
+function directionVector(direction) {
+    switch (direction) {
+        case 'right': return { x: 1, y: 0 };
+        case 'up': return { x: 0, y: -1 };
+        case 'down': return { x: 0, y: 1 };
+        default: return { x: -1, y: 0 };
+    }
+}
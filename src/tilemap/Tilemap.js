@@ -26,11 +26,13 @@ export class Tilemap extends Component {
         this.layers = config.layers || [[]];
         
         // Collision layer
-        this.collisionLayer = config.collisionLayer || null;
+        this.collisionLayer = config.collisionLayer !== undefined ? config.collisionLayer : null;
         
         // Offset for rendering
         this.offsetX = config.offsetX || 0;
         this.offsetY = config.offsetY || 0;
+
+        this.version = 0; // Bumped by setTile, so colliders know to rebuild
     }
 
     /**
@@ -48,6 +50,7 @@ export class Tilemap extends Component {
             this.layers[layer][y] = [];
         }
         this.layers[layer][y][x] = tileIndex;
+        this.version++;
     }
 
     /**
@@ -97,7 +100,7 @@ export class Tilemap extends Component {
      * @returns {boolean}
      */
     isTileSolid(x, y) {
-        if (!this.collisionLayer) return false;
+        if (this.collisionLayer === null) return false;
         
         const tile = this.getTile(this.collisionLayer, x, y);
         return tile > 0;
@@ -172,3 +175,11 @@ export class Tilemap extends Component {
         }
     }
 }
+
+/**
+ * Fields saved by Serializer
+ */
+Tilemap.serializable = [
+    'active', 'tileWidth', 'tileHeight', 'mapWidth', 'mapHeight', 'tileset', 'tilesetColumns',
+    'layers', 'collisionLayer', 'offsetX', 'offsetY'
+];
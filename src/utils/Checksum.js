@@ -0,0 +1,69 @@
+// Scratch views for reading the exact bits of a float
+const floatView = new Float64Array(1);
+const wordView = new Uint32Array(floatView.buffer);
+
+/**
+ * Checksum Class
+ * @class Checksum
+ * @description 32-bit FNV-1a hash over exact values. Two states hash the same only if every
+ * number in them is bit-identical, which makes it suitable for checking replays and lockstep peers.
+ */
+export class Checksum {
+    constructor() {
+        this.value = 0x811C9DC5;
+    }
+
+    /**
+     * Adds a number, bit for bit
+     * @param {number} n - Number
+     * @returns {Checksum} This checksum, for chaining
+     */
+    addNumber(n) {
+        floatView[0] = n;
+        this._addWord(wordView[0]);
+        this._addWord(wordView[1]);
+        return this;
+    }
+
+    /**
+     * Adds a boolean
+     * @param {boolean} b - Boolean
+     * @returns {Checksum} This checksum, for chaining
+     */
+    addBoolean(b) {
+        this._addWord(b ? 1 : 0);
+        return this;
+    }
+
+    /**
+     * Adds a string
+     * @param {string} s - String
+     * @returns {Checksum} This checksum, for chaining
+     */
+    addString(s) {
+        for (let i = 0; i < s.length; i++) {
+            this._addWord(s.charCodeAt(i));
+        }
+        this._addWord(s.length);
+        return this;
+    }
+
+    /**
+     * Gets the hash as an 8-digit hex string
+     * @returns {string}
+     */
+    toString() {
+        return this.value.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Mixes in a 32-bit word, byte by byte
+     * @private
+     */
+    _addWord(word) {
+        for (let i = 0; i < 4; i++) {
+            this.value ^= (word >>> (i * 8)) & 0xFF;
+            this.value = Math.imul(this.value, 0x01000193) >>> 0;
+        }
+    }
+}
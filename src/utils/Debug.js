@@ -44,6 +44,54 @@ export class Debug {
         ctx.restore();
     }
 
+    /**
+     * Draws a closed polygon outline
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {{x: number, y: number}[]} points - Corner points
+     * @param {string} color - Color
+     */
+    static drawPolygon(ctx, points, color = '#00ff00') {
+        if (!Debug.enabled || points.length === 0) return;
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        ctx.closePath();
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Draws a capsule outline
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x1 - First cap center X
+     * @param {number} y1 - First cap center Y
+     * @param {number} x2 - Second cap center X
+     * @param {number} y2 - Second cap center Y
+     * @param {number} radius - Cap radius
+     * @param {string} color - Color
+     */
+    static drawCapsule(ctx, x1, y1, x2, y2, radius, color = '#00ff00') {
+        if (!Debug.enabled) return;
+
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x2, y2, radius, angle - Math.PI / 2, angle + Math.PI / 2);
+        ctx.arc(x1, y1, radius, angle + Math.PI / 2, angle + Math.PI * 3 / 2);
+        ctx.closePath();
+        ctx.stroke();
+        ctx.restore();
+    }
+
     /**
      * Draws a line
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -92,12 +140,15 @@ export class Debug {
     static drawCollider(ctx, collider) {
         if (!Debug.enabled) return;
 
-        if (collider.constructor.name === 'BoxCollider') {
-            const bounds = collider.getBounds();
-            Debug.drawRect(ctx, bounds.x, bounds.y, bounds.width, bounds.height, '#ff0000');
+        if (collider.constructor.name === 'BoxCollider' || collider.constructor.name === 'PolygonCollider') {
+            Debug.drawPolygon(ctx, collider.getVertices(), '#ff0000');
         } else if (collider.constructor.name === 'CircleCollider') {
             const pos = collider.getWorldPosition();
             Debug.drawCircle(ctx, pos.x, pos.y, collider.radius, '#ff0000');
+        } else if (collider.constructor.name === 'CapsuleCollider') {
+            const segment = collider.getSegment();
+            const end = segment[segment.length - 1];
+            Debug.drawCapsule(ctx, segment[0].x, segment[0].y, end.x, end.y, collider.radius, '#ff0000');
         }
     }
 
@@ -0,0 +1,98 @@
+/**
+ * Random Class
+ * @class Random
+ * @description Seeded pseudo-random number generator (mulberry32). The same seed always gives
+ * the same sequence on every platform, so simulations that draw from it can be replayed.
+ */
+export class Random {
+    /**
+     * Creates a new Random
+     * @param {number} seed - Seed, any 32-bit integer (default: a random seed)
+     */
+    constructor(seed) {
+        this.setSeed(seed !== undefined ? seed : Random.randomSeed());
+    }
+
+    /**
+     * Restarts the sequence from a seed
+     * @param {number} seed - Seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Gets the generator state, e.g. to store it with a save or replay
+     * @returns {number}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restores a state from getState
+     * @param {number} state - State
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Random float in [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random float between min and max
+     * @param {number} min - Minimum
+     * @param {number} max - Maximum (exclusive)
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Random integer between min and max (inclusive)
+     * @param {number} min - Minimum
+     * @param {number} max - Maximum
+     * @returns {number}
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Random boolean
+     * @param {number} chance - Chance of true (default: 0.5)
+     * @returns {boolean}
+     */
+    bool(chance = 0.5) {
+        return this.next() < chance;
+    }
+
+    /**
+     * Random element of an array
+     * @param {Array} array - Array
+     * @returns {*} Element, or undefined for an empty array
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Gets a non-deterministic seed
+     * @returns {number}
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+}
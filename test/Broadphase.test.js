@@ -0,0 +1,175 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Broadphase, SpatialHashBroadphase, AABBTreeBroadphase,
+    Physics, GameObject, BoxCollider, RigidBody
+} from '../src/index.js';
+
+/**
+ * Small seeded random number generator so every run tests the same boxes
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * Creates stand-in colliders with random AABBs, some far outside the hash grid's usual range
+ */
+function createEntries(count, seed) {
+    const random = createRandom(seed);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        const x = random() * 1000 - 500;
+        const y = random() * 1000 - 500;
+        const size = 5 + random() * (i % 10 === 0 ? 300 : 40);
+        entries.push({ collider: { id: i }, aabb: { minX: x, minY: y, maxX: x + size, maxY: y + size } });
+    }
+    return entries;
+}
+
+/**
+ * Gets sorted "a:b" keys of pairs whose exact AABBs overlap
+ */
+function pairKeys(pairs, aabbs) {
+    return pairs
+        .filter(([a, b]) => Broadphase.overlaps(aabbs.get(a), aabbs.get(b)))
+        .map(([a, b]) => Math.min(a.id, b.id) + ':' + Math.max(a.id, b.id))
+        .sort();
+}
+
+/**
+ * Brute force reference: every overlapping pair
+ */
+function bruteForcePairs(entries) {
+    const pairs = [];
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            pairs.push([entries[i].collider, entries[j].collider]);
+        }
+    }
+    return pairs;
+}
+
+const broadphases = [
+    ['SpatialHashBroadphase', () => new SpatialHashBroadphase(32)],
+    ['AABBTreeBroadphase', () => new AABBTreeBroadphase(4)]
+];
+
+for (const [name, create] of broadphases) {
+    describe(name, () => {
+        it('finds the same overlapping pairs as a brute force test', () => {
+            const entries = createEntries(200, 7);
+            const aabbs = new Map(entries.map(entry => [entry.collider, entry.aabb]));
+            const broadphase = create();
+            entries.forEach(entry => broadphase.insert(entry.collider, entry.aabb));
+
+            const expected = pairKeys(bruteForcePairs(entries), aabbs);
+            assert.ok(expected.length > 0);
+            assert.deepEqual(pairKeys(broadphase.getPairs(), aabbs), expected);
+        });
+
+        it('keeps pairs in step with moved and removed colliders', () => {
+            const entries = createEntries(100, 11);
+            const aabbs = new Map(entries.map(entry => [entry.collider, entry.aabb]));
+            const broadphase = create();
+            entries.forEach(entry => broadphase.insert(entry.collider, entry.aabb));
+
+            const random = createRandom(3);
+            for (const entry of entries) {
+                const dx = random() * 200 - 100;
+                const dy = random() * 200 - 100;
+                const aabb = entry.aabb;
+                entry.aabb = { minX: aabb.minX + dx, minY: aabb.minY + dy, maxX: aabb.maxX + dx, maxY: aabb.maxY + dy };
+                aabbs.set(entry.collider, entry.aabb);
+                broadphase.update(entry.collider, entry.aabb);
+            }
+            const removed = entries.splice(0, 30);
+            removed.forEach(entry => broadphase.remove(entry.collider));
+
+            assert.deepEqual(
+                pairKeys(broadphase.getPairs(), aabbs),
+                pairKeys(bruteForcePairs(entries), aabbs)
+            );
+        });
+
+        it('returns every collider overlapping a query area and crossed by a ray', () => {
+            const entries = createEntries(150, 5);
+            const broadphase = create();
+            entries.forEach(entry => broadphase.insert(entry.collider, entry.aabb));
+
+            const area = { minX: -100, minY: -50, maxX: 120, maxY: 80 };
+            const found = new Set(broadphase.query(area));
+            for (const entry of entries) {
+                if (Broadphase.overlaps(entry.aabb, area)) {
+                    assert.ok(found.has(entry.collider), `query missed ${entry.collider.id}`);
+                }
+            }
+
+            const dir = { x: Math.SQRT1_2, y: Math.SQRT1_2 };
+            const hits = new Set(broadphase.raycast(-400, -400, dir.x, dir.y, 900));
+            for (const entry of entries) {
+                if (Broadphase.rayIntersects(-400, -400, dir.x, dir.y, 900, entry.aabb)) {
+                    assert.ok(hits.has(entry.collider), `raycast missed ${entry.collider.id}`);
+                }
+            }
+        });
+    });
+}
+
+describe('Physics broadphase', () => {
+    /**
+     * Adds a 20x20 box at (x, y) to a physics world, static unless dynamic is set
+     */
+    function addBox(physics, x, y, dynamic = false) {
+        const obj = new GameObject(x, y);
+        const collider = obj.addComponent(new BoxCollider(20, 20));
+        if (dynamic) {
+            obj.addComponent(new RigidBody({ useGravity: false }));
+        }
+        physics.addCollider(collider);
+        return collider;
+    }
+
+    it('finds the same pairs with either broadphase', () => {
+        const results = broadphases.map(([, create]) => {
+            const physics = new Physics(null, { broadphase: create() });
+            const random = createRandom(21);
+            const colliders = [];
+            for (let i = 0; i < 60; i++) {
+                colliders.push(addBox(physics, random() * 300, random() * 300, i % 3 !== 0));
+            }
+            return physics.findPairs()
+                .filter(([a, b]) => Broadphase.overlaps(a.getAABB(), b.getAABB()))
+                .map(([a, b]) => {
+                    const i = colliders.indexOf(a);
+                    const j = colliders.indexOf(b);
+                    return Math.min(i, j) + ':' + Math.max(i, j);
+                })
+                .sort();
+        });
+
+        assert.ok(results[0].length > 0);
+        assert.deepEqual(results[0], results[1]);
+    });
+
+    it('queryArea only returns colliders that overlap the area', () => {
+        const physics = new Physics(null);
+        const wall = addBox(physics, 100, 100);
+        physics.syncTransforms();
+
+        // The static tree stores fattened boxes; this area only touches the fattened margin
+        assert.deepEqual(physics.queryArea(111, 80, 10, 40), []);
+        assert.deepEqual(physics.queryArea(105, 80, 10, 40), [wall]);
+    });
+
+    it('creates its broadphases from config', () => {
+        const broadphase = new AABBTreeBroadphase();
+        const physics = new Physics(null, { broadphase });
+        assert.equal(physics.broadphase, broadphase);
+        assert.ok(physics.staticBroadphase instanceof AABBTreeBroadphase);
+    });
+});
@@ -0,0 +1,201 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Engine, Scene, GameObject, Component, RigidBody, BoxCollider, PolygonCollider, CharacterController2D
+} from '../src/index.js';
+
+/**
+ * Moves its object at a constant velocity once started, like a scripted platform
+ */
+class Mover extends Component {
+    constructor() {
+        super();
+        this.velocityX = 0;
+        this.velocityY = 0;
+    }
+
+    fixedUpdate(dt) {
+        this.gameObject.x += this.velocityX * dt;
+        this.gameObject.y += this.velocityY * dt;
+    }
+}
+
+/**
+ * Falls under gravity through its CharacterController2D
+ */
+class Faller extends Component {
+    constructor() {
+        super();
+        this.velocityY = 0;
+    }
+
+    fixedUpdate(dt) {
+        const controller = this.gameObject.getComponent(CharacterController2D);
+        this.velocityY = controller.isGrounded ? 0 : this.velocityY + 980 * dt;
+        controller.move(0, Math.max(this.velocityY * dt, 1));
+    }
+}
+
+/**
+ * Builds a kinematic platform with a character standing still on it
+ */
+function createWorld() {
+    const engine = new Engine({ headless: true });
+    const scene = new Scene('test');
+    engine.addScene('test', scene);
+    engine.setScene('test');
+
+    const platform = new GameObject(0, 100);
+    platform.addComponent(new BoxCollider(100, 10));
+    platform.addComponent(new RigidBody({ isKinematic: true }));
+    const mover = platform.addComponent(new Mover());
+    scene.add(platform);
+
+    const character = new GameObject(0, 80);
+    character.addComponent(new BoxCollider(10, 20));
+    character.addComponent(new RigidBody());
+    const controller = character.addComponent(new CharacterController2D());
+    character.addComponent(new Faller());
+    scene.add(character);
+
+    // Land before the platform starts moving
+    engine.advanceFrames(30);
+    return { engine, platform, mover, character, controller };
+}
+
+/**
+ * Builds a static floor with its top at y = 100 and a character standing on it at x
+ */
+function createGround(x = 0) {
+    const scene = new Scene('test');
+    const floor = new GameObject(0, 110);
+    floor.addComponent(new BoxCollider(1000, 20));
+    scene.add(floor);
+
+    const character = new GameObject(x, 89);
+    character.addComponent(new BoxCollider(10, 20));
+    const controller = character.addComponent(new CharacterController2D());
+    scene.add(character);
+
+    scene.fixedUpdate(1 / 60);
+    controller.move(0, 1);
+    return { scene, character, controller };
+}
+
+/**
+ * Adds a static collider to a scene and registers it
+ */
+function addStatic(scene, x, y, collider) {
+    const obj = new GameObject(x, y);
+    obj.addComponent(collider);
+    scene.add(obj);
+    scene.fixedUpdate(1 / 60);
+    return obj;
+}
+
+/**
+ * Walks a character with moves of 2 px, falling 1 px each, like a walk under gravity
+ */
+function walk(controller, distance) {
+    for (let moved = 0; moved < distance; moved += 2) {
+        controller.move(2, 1);
+    }
+}
+
+describe('CharacterController2D on the ground', () => {
+    it('stands on the floor at the skin width', () => {
+        const { character, controller } = createGround();
+        assert.equal(controller.isGrounded, true);
+        assert.ok(Math.abs(character.y - (90 - controller.skinWidth)) < 1e-6, `at ${character.y}`);
+    });
+
+    it('walks up a walkable slope and is stopped by a steep one', () => {
+        const { scene, character, controller } = createGround();
+        // 30 degree ramp rising to the right, from x = 20 to 120
+        const rise = 100 * Math.tan(Math.PI / 6);
+        addStatic(scene, 70, 100, new PolygonCollider([{ x: -50, y: 0 }, { x: 50, y: 0 }, { x: 50, y: -rise }]));
+
+        walk(controller, 80);
+        assert.equal(controller.isGrounded, true);
+        assert.ok(character.y < 70, `climbed to ${character.y}`);
+        assert.ok(Math.abs(controller.groundNormal.y + Math.cos(Math.PI / 6)) < 1e-6);
+
+        const steep = createGround();
+        // 60 degree ramp, steeper than the 45 degree slope limit
+        addStatic(steep.scene, 40, 100, new PolygonCollider([{ x: -20, y: 0 }, { x: 20, y: 0 }, { x: 20, y: -40 * Math.sqrt(3) }]));
+        walk(steep.controller, 60);
+        assert.ok(steep.character.y > 85, `climbed to ${steep.character.y}`);
+        assert.ok(steep.character.x < 20, `walked to ${steep.character.x}`);
+        assert.equal(steep.controller.isTouchingWall, true);
+    });
+
+    it('steps onto ledges up to stepHeight', () => {
+        const { scene, character, controller } = createGround();
+        addStatic(scene, 100, 96, new BoxCollider(100, 8)); // 8 px ledge from x = 50
+
+        walk(controller, 60);
+        assert.ok(character.x > 50, `walked to ${character.x}`);
+        assert.ok(Math.abs(character.y - (82 - controller.skinWidth)) < 1e-6, `at ${character.y}`);
+        assert.equal(controller.isGrounded, true);
+
+        const blocked = createGround();
+        addStatic(blocked.scene, 100, 95, new BoxCollider(100, 10)); // 10 px is too tall
+        walk(blocked.controller, 60);
+        assert.ok(blocked.character.x < 45, `walked to ${blocked.character.x}`);
+        assert.equal(blocked.controller.isTouchingWall, true);
+    });
+
+    it('does not step over a low post onto ground at the same height', () => {
+        const { scene, character, controller } = createGround();
+        addStatic(scene, 20, 98, new BoxCollider(1, 4)); // A thin post on the floor
+
+        // One long move would clear the post and land back on the floor, which is no step
+        controller.move(40, 1);
+        assert.ok(Math.abs(character.x - (14.5 - controller.skinWidth)) < 1e-6, `moved to ${character.x}`);
+        assert.ok(Math.abs(character.y - (90 - controller.skinWidth)) < 1e-6, `at ${character.y}`);
+    });
+});
+
+describe('CharacterController2D', () => {
+    it('lands on a kinematic platform', () => {
+        const { character, controller, platform } = createWorld();
+        assert.equal(controller.isGrounded, true);
+        assert.equal(controller.groundCollider, platform.getComponent(BoxCollider));
+        assert.ok(Math.abs(character.y - 85) <= controller.skinWidth);
+    });
+
+    it('is carried by a platform moving sideways', () => {
+        const { engine, mover, character, controller } = createWorld();
+        const startX = character.x;
+        const startY = character.y;
+
+        mover.velocityX = 120;
+        engine.advanceFrames(60);
+
+        assert.ok(Math.abs(character.x - startX - 120) < 1e-6, `moved ${character.x - startX}`);
+        assert.ok(Math.abs(character.y - startY) < 1e-6);
+        assert.equal(controller.isGrounded, true);
+    });
+
+    it('rides a platform moving up and down', () => {
+        const { engine, mover, platform, character, controller } = createWorld();
+        const offset = character.y - platform.y;
+
+        for (const velocityY of [-60, 60]) {
+            mover.velocityY = velocityY;
+            engine.advanceFrames(60);
+            assert.ok(Math.abs(character.y - platform.y - offset) <= controller.skinWidth);
+            assert.equal(controller.isGrounded, true);
+        }
+    });
+
+    it('stops being carried once it leaves the platform', () => {
+        const { engine, mover, character, controller } = createWorld();
+        controller.move(0, -40); // jump off
+        const x = character.x;
+
+        mover.velocityX = 120;
+        engine.step();
+        assert.equal(character.x, x);
+    });
+});
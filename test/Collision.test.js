@@ -0,0 +1,174 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Collision, Scene, GameObject, BoxCollider, CircleCollider, PolygonCollider, CapsuleCollider, RigidBody
+} from '../src/index.js';
+
+/**
+ * Attaches a collider to a game object at (x, y)
+ */
+function place(collider, x, y) {
+    new GameObject(x, y).addComponent(collider);
+    return collider;
+}
+
+/**
+ * Asserts that two numbers are within 1e-9 of each other
+ */
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Asserts a manifold's normal, depth and contact point
+ */
+function assertManifold(manifold, normal, depth, point) {
+    assert.ok(manifold, 'expected a manifold');
+    assertClose(manifold.normal.x, normal.x, 'normal.x');
+    assertClose(manifold.normal.y, normal.y, 'normal.y');
+    assertClose(manifold.depth, depth, 'depth');
+    if (point) {
+        assertClose(manifold.point.x, point.x, 'point.x');
+        assertClose(manifold.point.y, point.y, 'point.y');
+    }
+}
+
+describe('Collision manifolds', () => {
+    it('box vs box separates along the axis of least penetration', () => {
+        const a = place(new BoxCollider(20, 20), 0, 0);
+        const b = place(new BoxCollider(20, 20), 16, 5);
+        assertManifold(Collision.collide(a, b), { x: 1, y: 0 }, 4, { x: 8, y: 2.5 });
+        assert.equal(Collision.collide(a, place(new BoxCollider(20, 20), 25, 0)), null);
+    });
+
+    it('circle vs circle pushes along the line between the centers', () => {
+        const a = place(new CircleCollider(10), 0, 0);
+        const b = place(new CircleCollider(10), 9, 12);
+        // Contact point midway between the two surfaces
+        assertManifold(Collision.collide(a, b), { x: 0.6, y: 0.8 }, 5, { x: 4.5, y: 6 });
+
+        const c = place(new CircleCollider(10), 6, 8);
+        assertManifold(Collision.collide(a, c), { x: 0.6, y: 0.8 }, 10);
+        assert.equal(Collision.collide(a, place(new CircleCollider(10), 12, 16)), null); // just touching
+    });
+
+    it('circle vs box uses the closest point on the box', () => {
+        const circle = place(new CircleCollider(10), 0, 0);
+        const corner = place(new BoxCollider(20, 20), 16, 18);
+        // The closest point is the box corner (6, 8), 10 away from the center
+        assert.equal(Collision.collide(circle, corner), null);
+
+        const overlappingCorner = place(new BoxCollider(20, 20), 13, 14);
+        const distance = Math.hypot(3, 4);
+        assertManifold(Collision.collide(circle, overlappingCorner), { x: 3 / distance, y: 4 / distance }, 10 - distance);
+
+        const side = place(new BoxCollider(20, 20), 0, 17);
+        assertManifold(Collision.collide(circle, side), { x: 0, y: 1 }, 3, { x: 0, y: 7 });
+    });
+
+    it('flips the manifold when the box comes first', () => {
+        const box = place(new BoxCollider(20, 20), 0, 17);
+        const circle = place(new CircleCollider(10), 0, 0);
+        assertManifold(Collision.collide(box, circle), { x: 0, y: -1 }, 3, { x: 0, y: 7 });
+    });
+
+    it('handles a circle whose center is inside a box', () => {
+        const circle = place(new CircleCollider(5), 0, -8);
+        const box = place(new BoxCollider(40, 20), 0, 0);
+        // Nearest side is the top edge, 2 px away
+        assertManifold(Collision.collide(circle, box), { x: 0, y: 1 }, 7);
+    });
+});
+
+describe('Polygon, capsule and rotated shapes (SAT)', () => {
+    it('polygon vs polygon separates along the edge of least penetration', () => {
+        const a = place(new PolygonCollider([{ x: -10, y: -10 }, { x: 10, y: -10 }, { x: 0, y: 10 }]), 0, 0);
+        const b = place(new PolygonCollider(PolygonCollider.regular(4, 10)), 0, 15);
+        const manifold = Collision.collide(a, b);
+        assert.ok(manifold);
+        assert.ok(manifold.normal.y > 0.5, `normal (${manifold.normal.x}, ${manifold.normal.y})`);
+        assert.ok(manifold.depth > 0 && manifold.depth < 10);
+
+        assert.equal(Collision.collide(a, place(new PolygonCollider(PolygonCollider.regular(4, 10)), 0, 25)), null);
+    });
+
+    it('a rotated box collides where its corners reach', () => {
+        const box = place(new BoxCollider(20, 20), 0, 0);
+        const floor = place(new BoxCollider(100, 20), 0, 22);
+        assert.equal(Collision.collide(box, floor), null);
+
+        // Turned 45 degrees the corner reaches sqrt(2) * 10 = 14.1 down, past the floor top at 12
+        box.gameObject.rotation = Math.PI / 4;
+        assertManifold(Collision.collide(box, floor), { x: 0, y: 1 }, Math.SQRT2 * 10 - 12);
+        assert.ok(Math.abs(box.getBounds().height - Math.SQRT2 * 20) < 1e-9);
+    });
+
+    it('a capsule rests on its rounded end', () => {
+        const capsule = place(new CapsuleCollider(20, 60), 0, 0);
+        assert.equal(capsule.radius, 10);
+        const floor = place(new BoxCollider(100, 20), 0, 38);
+        assertManifold(Collision.collide(capsule, floor), { x: 0, y: 1 }, 2, { x: 0, y: 29 });
+
+        const [top, bottom] = capsule.getSegment();
+        assert.deepEqual([top.y, bottom.y], [-20, 20]);
+    });
+
+    it('raycasts hit every shape with the surface normal', () => {
+        const triangle = place(new PolygonCollider([{ x: -10, y: -20 }, { x: 10, y: 0 }, { x: -10, y: 20 }]), 50, 0);
+        const hit = Collision.raycast(triangle, 0, 5, 1, 0, 100);
+        assert.ok(hit);
+        assertClose(hit.distance, 40, 'distance');
+        assertClose(hit.normal.x, -1, 'normal.x');
+        assertClose(hit.point.y, 5, 'point.y');
+
+        const capsule = place(new CapsuleCollider(20, 60), 0, 100);
+        const down = Collision.raycast(capsule, 0, 0, 0, 1, 200);
+        assertClose(down.distance, 70, 'capsule distance');
+        assert.equal(Collision.raycast(capsule, 50, 0, 0, 1, 200), null);
+    });
+
+    it('falls back to the bounding box for invalid outlines', () => {
+        const error = mock.method(console, 'error', () => {});
+        try {
+            const concave = new PolygonCollider([
+                { x: -10, y: -10 }, { x: 10, y: -10 }, { x: 0, y: 0 }, { x: 10, y: 10 }, { x: -10, y: 10 }
+            ]);
+            assert.equal(error.mock.callCount(), 1);
+            assert.deepEqual(concave.points, [
+                { x: -10, y: -10 }, { x: 10, y: -10 }, { x: 10, y: 10 }, { x: -10, y: 10 }
+            ]);
+
+            const degenerate = place(new PolygonCollider([{ x: 0, y: 0 }]), 0, 0);
+            assert.equal(error.mock.callCount(), 2);
+            assert.equal(degenerate.points.length, 4);
+            assert.doesNotThrow(() => degenerate.getAABB());
+
+            // Replacing a valid outline with an invalid one keeps the old outline
+            concave.setPoints([{ x: 0, y: 0 }, { x: 1, y: 1 }]);
+            assert.equal(error.mock.callCount(), 3);
+            assert.equal(concave.points[0].x, -10);
+        } finally {
+            error.mock.restore();
+        }
+    });
+});
+
+describe('Mixed-shape contacts', () => {
+    it('a circle comes to rest on a box floor', () => {
+        const scene = new Scene('test');
+        const floor = new GameObject(0, 100);
+        floor.addComponent(new BoxCollider(200, 20));
+        const ball = new GameObject(0, 50);
+        ball.addComponent(new CircleCollider(10));
+        const rb = ball.addComponent(new RigidBody());
+        scene.add(floor);
+        scene.add(ball);
+
+        for (let i = 0; i < 120; i++) {
+            scene.fixedUpdate(1 / 60);
+        }
+        assert.ok(Math.abs(ball.y - 80) < 1.5, `ball at ${ball.y}`);
+        assert.ok(Math.abs(rb.velocityY) < 30);
+        assert.equal(ball.x, 0);
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, Scene, GameObject, Component, RigidBody, BoxCollider, CircleCollider, ParticleEmitter, Camera } from '../src/index.js';
+
+/**
+ * Kicks its body in a random direction now and then, drawing from the engine's Random
+ */
+class Kicker extends Component {
+    fixedUpdate() {
+        const random = this.engine.random;
+        if (random.next() < 0.1) {
+            this.gameObject.getComponent(RigidBody).addImpulse(random.range(-200, 200), random.range(-400, 0));
+        }
+    }
+}
+
+/**
+ * Builds a world of boxes and balls falling into a pit
+ */
+function createWorld(seed, particles = 0) {
+    const engine = new Engine({ headless: true, deterministic: true, seed });
+    const scene = new Scene('pit');
+
+    const walls = [[0, 300, 600, 20], [-300, 150, 20, 300], [300, 150, 20, 300]];
+    for (const [x, y, width, height] of walls) {
+        const wall = new GameObject(x, y);
+        wall.addComponent(new BoxCollider(width, height));
+        scene.add(wall);
+    }
+
+    for (let i = 0; i < 12; i++) {
+        const obj = new GameObject(-200 + i * 35, 50 - (i % 3) * 40);
+        obj.addComponent(i % 2 ? new CircleCollider(10) : new BoxCollider(20, 20));
+        obj.addComponent(new RigidBody({ mass: 1 + (i % 3) }));
+        obj.addComponent(new Kicker());
+        if (particles > 0) {
+            obj.addComponent(new ParticleEmitter({ autoEmit: true, emissionRate: particles }));
+        }
+        scene.add(obj);
+    }
+
+    engine.addScene('pit', scene);
+    engine.setScene('pit');
+    return engine;
+}
+
+/**
+ * Runs a world and collects its checksum after every step
+ */
+function run(seed, steps, particles = 0) {
+    const engine = createWorld(seed, particles);
+    const checksums = [];
+    for (let i = 0; i < steps; i++) {
+        engine.step();
+        checksums.push(engine.checksum);
+    }
+    return checksums;
+}
+
+describe('Deterministic mode', () => {
+    it('gives the same checksum after every step for the same seed', () => {
+        const first = run(42, 240);
+        const second = run(42, 240);
+        assert.deepEqual(second, first);
+    });
+
+    it('gives different checksums for a different seed', () => {
+        const first = run(42, 240);
+        const other = run(7, 240);
+        assert.notDeepEqual(other, first);
+    });
+
+    it('does not let particle effects change the simulation', () => {
+        const plain = run(42, 120);
+        assert.deepEqual(run(42, 120, 30), plain);
+        assert.deepEqual(run(42, 120, 200), plain);
+    });
+
+    it('shakes the camera the same way for the same seed only', () => {
+        const shake = (seed) => {
+            const engine = new Engine({ headless: true, seed });
+            const scene = new Scene('shake');
+            scene.camera = new Camera();
+            engine.addScene('shake', scene);
+            scene.camera.shake(10, 1);
+            const offsets = [];
+            for (let i = 0; i < 10; i++) {
+                scene.camera.update(1 / 60);
+                offsets.push(scene.camera.shakeX, scene.camera.shakeY);
+            }
+            return offsets;
+        };
+        assert.deepEqual(shake(1), shake(1));
+        assert.notDeepEqual(shake(2), shake(1));
+    });
+
+    it('does not depend on the frame times the loop is driven with', () => {
+        const engine = createWorld(42);
+        const frames = [0.016, 0.05, 0.001, 0.033, 0.1];
+        while (engine.tick < 240) {
+            engine.step(frames[engine.tick % frames.length]);
+        }
+        assert.equal(engine.checksum, run(42, 240)[239]);
+    });
+});
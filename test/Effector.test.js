@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Scene, GameObject, BoxCollider, CircleCollider, RigidBody,
+    AreaEffector, PointEffector, GravityEffector, BuoyancyEffector
+} from '../src/index.js';
+
+const DT = 1 / 60;
+
+/**
+ * Adds a trigger area with an effector to a scene
+ */
+function addArea(scene, x, y, collider, effector) {
+    const obj = new GameObject(x, y);
+    obj.addComponent(collider);
+    collider.isTrigger = true;
+    collider.effector = effector;
+    scene.add(obj);
+    return collider;
+}
+
+/**
+ * Adds a box body to a scene
+ */
+function addBody(scene, x, y, size, config = {}) {
+    const obj = new GameObject(x, y);
+    obj.addComponent(new BoxCollider(size, size));
+    const rb = obj.addComponent(new RigidBody(config));
+    scene.add(obj);
+    return rb;
+}
+
+/**
+ * Runs fixed steps on a scene
+ */
+function run(scene, steps) {
+    for (let i = 0; i < steps; i++) {
+        scene.fixedUpdate(DT);
+    }
+}
+
+describe('Effectors', () => {
+    it('a light body floats at the depth where it displaces its own mass', () => {
+        const scene = new Scene('test');
+        addArea(scene, 0, 200, new BoxCollider(400, 200), new BuoyancyEffector({ density: 0.002, drag: 8 }));
+        // 0.2 / 400 px² is a quarter of the fluid density, so a quarter of it sinks: 5 px below the surface at 100
+        const raft = addBody(scene, 0, 60, 20, { mass: 0.2, drag: 0 });
+        const rock = addBody(scene, 100, 60, 20, { mass: 2, drag: 0 });
+
+        run(scene, 600);
+        assert.ok(Math.abs(raft.gameObject.y + 10 - 105) < 0.5, `raft bottom at ${raft.gameObject.y + 10}`);
+        assert.ok(Math.abs(raft.velocityY) < 1);
+        assert.ok(rock.gameObject.y > 200, `rock at ${rock.gameObject.y}`);
+    });
+
+    it('an area effector pushes bodies only while they are inside', () => {
+        const scene = new Scene('test');
+        addArea(scene, 0, 0, new BoxCollider(200, 200), new AreaEffector({ forceX: 100, forceMode: 'acceleration' }));
+        const inside = addBody(scene, -50, 0, 10, { useGravity: false, drag: 0, mass: 5 });
+        const outside = addBody(scene, 0, 300, 10, { useGravity: false, drag: 0 });
+
+        run(scene, 31);
+        // The first step finds the contact; the push is picked up from the next fixed update on
+        assert.ok(Math.abs(inside.velocityX - 50) < 1e-6, `velocity ${inside.velocityX}`);
+        assert.equal(outside.velocityX, 0);
+
+        run(scene, 120);
+        const leftAt = inside.velocityX;
+        assert.ok(inside.gameObject.x > 110, 'left the area');
+        run(scene, 10);
+        assert.equal(inside.velocityX, leftAt);
+    });
+
+    it('a point effector with negative strength pulls bodies to its center', () => {
+        const scene = new Scene('test');
+        addArea(scene, 0, 0, new CircleCollider(100), new PointEffector({ strength: -200, forceMode: 'acceleration', drag: 2 }));
+        const body = addBody(scene, 60, -30, 4, { useGravity: false, drag: 0 });
+
+        run(scene, 300);
+        assert.ok(Math.hypot(body.gameObject.x, body.gameObject.y) < 5, `at (${body.gameObject.x}, ${body.gameObject.y})`);
+    });
+
+    it('a gravity zone replaces world gravity and the highest priority wins', () => {
+        const scene = new Scene('test');
+        addArea(scene, 0, 0, new BoxCollider(200, 200), new GravityEffector({ gravityY: -200 }));
+        const inner = addArea(scene, 50, 0, new BoxCollider(40, 40), new GravityEffector({ gravityX: 300, priority: 1 }));
+        const body = addBody(scene, -50, 0, 10, { drag: 0 });
+        const zoned = addBody(scene, 50, 0, 10, { drag: 0 });
+        const outside = addBody(scene, 0, 400, 10, { drag: 0 });
+
+        run(scene, 2);
+        assert.deepEqual(scene.physics.getGravity(body), { x: 0, y: -200 });
+        assert.deepEqual(scene.physics.getGravity(zoned), inner.effector.getGravity(zoned, inner));
+        assert.deepEqual(scene.physics.getGravity(outside), { x: 0, y: 980 });
+
+        // Both fell under world gravity for the step before their zones were found
+        const fallSpeed = zoned.velocityY;
+        run(scene, 10);
+        assert.ok(body.velocityY < 0, 'falls up');
+        assert.ok(zoned.velocityX > 0, 'falls sideways');
+        assert.ok(Math.abs(zoned.velocityY - fallSpeed) < 1e-6, 'no longer falls down');
+    });
+
+    it('center gravity pulls towards the middle of the area', () => {
+        const scene = new Scene('test');
+        const planet = addArea(scene, 0, 0, new CircleCollider(200), new GravityEffector({ centerGravity: 500 }));
+        const body = addBody(scene, 100, 0, 10, { drag: 0 });
+        run(scene, 2);
+
+        const gravity = scene.physics.getGravity(body);
+        const { x, y } = body.gameObject;
+        const towardsCenter = -(gravity.x * x + gravity.y * y) / Math.hypot(x, y);
+        assert.ok(Math.abs(towardsCenter - 500) < 1e-6, `gravity (${gravity.x}, ${gravity.y}) at (${x}, ${y})`);
+        assert.equal(planet.effector.priority, 0);
+    });
+});
@@ -0,0 +1,162 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, Scene, GameObject, Component } from '../src/index.js';
+
+/**
+ * Counts the calls it gets
+ */
+class Counter extends Component {
+    constructor() {
+        super();
+        this.fixedSteps = 0;
+        this.updates = 0;
+        this.time = 0;
+    }
+
+    fixedUpdate() {
+        this.fixedSteps++;
+    }
+
+    update(dt) {
+        this.updates++;
+        this.time += dt;
+    }
+}
+
+/**
+ * Creates a headless engine running a scene with a Counter
+ */
+function createEngine(config = {}) {
+    const engine = new Engine({ headless: true, ...config });
+    const scene = new Scene('main');
+    const obj = new GameObject();
+    const counter = obj.addComponent(new Counter());
+    scene.add(obj);
+    engine.addScene('main', scene);
+    engine.setScene('main');
+    return { engine, scene, counter };
+}
+
+/**
+ * Frame scheduler that only runs frames when told to
+ */
+function createScheduler() {
+    const scheduler = {
+        callbacks: new Map(),
+        nextId: 1,
+        request(callback) {
+            const id = scheduler.nextId++;
+            scheduler.callbacks.set(id, callback);
+            return id;
+        },
+        cancel(id) {
+            scheduler.callbacks.delete(id);
+        },
+        frame(time) {
+            const pending = [...scheduler.callbacks.values()];
+            scheduler.callbacks.clear();
+            pending.forEach(callback => callback(time));
+        }
+    };
+    return scheduler;
+}
+
+describe('Engine (headless)', () => {
+    it('creates no canvas and needs no DOM', () => {
+        const { engine } = createEngine();
+        assert.equal(engine.canvas, null);
+        assert.equal(engine.ctx, null);
+        assert.equal(engine.scheduler, null);
+    });
+
+    it('runs one fixed step and one update per step()', () => {
+        const { engine, counter } = createEngine();
+        engine.step();
+        engine.step();
+        assert.equal(counter.fixedSteps, 2);
+        assert.equal(counter.updates, 2);
+    });
+
+    it('advanceFrames runs as many fixed steps as fit in the frames', () => {
+        const { engine, counter } = createEngine();
+        engine.advanceFrames(10);
+        assert.equal(counter.fixedSteps, 10);
+
+        engine.advanceFrames(3, engine.fixedDeltaTime * 2);
+        assert.equal(counter.fixedSteps, 16);
+        assert.equal(counter.updates, 13);
+    });
+
+    it('does not advance while paused', () => {
+        const { engine, counter } = createEngine();
+        engine.pause();
+        engine.advanceFrames(5);
+        assert.equal(counter.fixedSteps, 0);
+
+        engine.resume();
+        engine.advanceFrames(5);
+        assert.equal(counter.fixedSteps, 5);
+    });
+
+    it('does not advance paused scenes', () => {
+        const { engine, scene, counter } = createEngine();
+        scene.pause();
+        engine.advanceFrames(5);
+        assert.equal(counter.fixedSteps, 0);
+
+        scene.resume();
+        engine.advanceFrames(5);
+        assert.equal(counter.fixedSteps, 5);
+    });
+
+    it('runs frames from an injected scheduler and clock', () => {
+        const scheduler = createScheduler();
+        let now = 1000;
+        const { engine, counter } = createEngine({ scheduler, clock: () => now });
+
+        engine.start();
+        assert.equal(counter.fixedSteps, 0); // the first frame has no elapsed time
+
+        for (let i = 0; i < 30; i++) {
+            now += 1000 / 60;
+            scheduler.frame(now);
+        }
+        assert.equal(counter.fixedSteps, 30);
+
+        engine.stop();
+        assert.equal(scheduler.callbacks.size, 0);
+        now += 1000;
+        scheduler.frame(now);
+        assert.equal(counter.fixedSteps, 30);
+    });
+
+    it('renders once per display frame in a deterministic game loop', () => {
+        const scheduler = createScheduler();
+        let now = 0;
+        let renders = 0;
+        const canvas = { getContext: () => ({ fillRect() {} }) };
+        const { engine, scene, counter } = createEngine({ deterministic: true, seed: 1, scheduler, clock: () => now, canvas });
+        scene.render = () => renders++;
+
+        engine.start();
+        renders = 0;
+        const frames = [1000 / 120, 1000 / 120, 1000 / 30, 1000 / 144];
+        for (const frame of frames) {
+            now += frame;
+            scheduler.frame(now);
+        }
+
+        assert.equal(renders, frames.length);
+        assert.equal(counter.fixedSteps, 3); // 1/120 + 1/120 + 1/30 + 1/144 s holds three whole steps
+        assert.equal(engine.tick, 3);
+        engine.stop();
+    });
+
+    it('only advances whole fixed steps in deterministic mode', () => {
+        const { engine, counter } = createEngine({ deterministic: true, seed: 1 });
+        engine.step(0.5);
+        assert.equal(counter.fixedSteps, 1);
+        assert.equal(counter.time, engine.fixedDeltaTime);
+        assert.match(engine.checksum, /^[0-9a-f]{8}$/);
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, Scene, GameObject, Component, Camera } from '../src/index.js';
+
+/**
+ * Moves its object at a constant velocity in fixedUpdate
+ */
+class Mover extends Component {
+    constructor(velocityX) {
+        super();
+        this.velocityX = velocityX;
+    }
+
+    fixedUpdate(dt) {
+        this.gameObject.x += this.velocityX * dt;
+    }
+}
+
+/**
+ * Creates a headless engine with an object moving 60 px per second
+ */
+function createEngine() {
+    const engine = new Engine({ headless: true });
+    const scene = new Scene('main');
+    const obj = new GameObject(0, 0);
+    obj.addComponent(new Mover(60));
+    scene.add(obj);
+    engine.addScene('main', scene);
+    engine.setScene('main');
+    return { engine, scene, obj };
+}
+
+describe('Interpolation', () => {
+    it('keeps the leftover time as the alpha passed to Scene.render', () => {
+        const { engine, scene } = createEngine();
+        const alphas = [];
+        scene.render = (ctx, alpha) => alphas.push(alpha);
+        engine.ctx = { fillRect() {} };
+        engine.canvas = { width: 0, height: 0 };
+
+        engine.step(1.5 / 60);
+        assert.ok(Math.abs(engine.alpha - 0.5) < 1e-9);
+        assert.ok(Math.abs(alphas[0] - 0.5) < 1e-9);
+    });
+
+    it('draws objects between their transforms after the last two fixed steps', () => {
+        const { engine, obj } = createEngine();
+        engine.advanceFrames(2);
+        assert.equal(obj.x, 2);
+
+        assert.equal(obj.getInterpolatedTransform(0).x, 1);
+        assert.equal(obj.getInterpolatedTransform(0.25).x, 1.25);
+        assert.equal(obj.getInterpolatedTransform(1).x, 2);
+
+        obj.interpolate = false;
+        assert.equal(obj.getInterpolatedTransform(0).x, 2);
+    });
+
+    it('draws moved and teleported objects where they are', () => {
+        const { engine, obj } = createEngine();
+        engine.advanceFrames(2);
+
+        obj.y = 50; // moved in update, after the last fixed step
+        assert.deepEqual(obj.getInterpolatedTransform(0), { x: 2, y: 50, rotation: 0 });
+
+        obj.teleport(100, 0);
+        assert.equal(obj.getInterpolatedTransform(0).x, 100);
+        engine.advanceFrames(1);
+        assert.equal(obj.getInterpolatedTransform(0).x, 100); // no streak from the old position
+        engine.advanceFrames(1);
+        assert.equal(obj.getInterpolatedTransform(0.5).x, 101.5);
+    });
+
+    it('interpolates children with their parent', () => {
+        const { engine, obj } = createEngine();
+        const child = new GameObject(10, 0);
+        child.addComponent(new Mover(60));
+        obj.addChild(child);
+        engine.advanceFrames(2);
+
+        assert.equal(child.getInterpolatedTransform(0.5).x, 11.5);
+    });
+
+    it('a camera follows its target where it is drawn', () => {
+        const { engine, scene, obj } = createEngine();
+        const camera = new Camera(0, 0, 100, 100);
+        camera.follow(obj, 1);
+        engine.advanceFrames(2);
+
+        scene.alpha = 0.5; // Each scene on the stack has its own alpha
+        camera.update(1 / 60);
+        assert.ok(Math.abs(camera.x - (1.5 - 50)) < 1e-9, `camera at ${camera.x}`);
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Scene, GameObject, CircleCollider, RigidBody,
+    DistanceJoint, RopeJoint, SpringJoint, RevoluteJoint, WeldJoint
+} from '../src/index.js';
+
+const DT = 1 / 60;
+
+/**
+ * Creates a ball with a RigidBody
+ */
+function createBall(scene, x, y, config = {}) {
+    const obj = new GameObject(x, y);
+    obj.addComponent(new CircleCollider(5));
+    const rb = obj.addComponent(new RigidBody({ drag: 0, ...config }));
+    scene.add(obj);
+    return rb;
+}
+
+/**
+ * Runs fixed steps and calls check after each one
+ */
+function run(scene, steps, check = () => {}) {
+    for (let i = 0; i < steps; i++) {
+        scene.fixedUpdate(DT);
+        check(i);
+    }
+}
+
+/**
+ * Distance between two points
+ */
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+describe('Joints', () => {
+    it('a pendulum keeps its joint length while it swings', () => {
+        const scene = new Scene('test');
+        const bob = createBall(scene, 100, 0);
+        scene.physics.addJoint(new DistanceJoint({ bodyA: bob, anchorB: { x: 0, y: 0 }, length: 100 }));
+
+        let lowest = -Infinity;
+        let maxError = 0;
+        run(scene, 180, () => {
+            maxError = Math.max(maxError, Math.abs(distance(bob.gameObject, { x: 0, y: 0 }) - 100));
+            lowest = Math.max(lowest, bob.gameObject.y);
+        });
+
+        assert.ok(maxError < 1, `length drifted by ${maxError}`);
+        assert.ok(lowest > 95, 'the bob swings down');
+    });
+
+    it('a chain of distance joints holds together', () => {
+        const scene = new Scene('test');
+        const links = [0, 1, 2, 3].map(i => createBall(scene, 20 * (i + 1), 0));
+        scene.physics.addJoint(new DistanceJoint({ bodyA: links[0], anchorB: { x: 0, y: 0 } }));
+        for (let i = 1; i < links.length; i++) {
+            scene.physics.addJoint(new DistanceJoint({ bodyA: links[i - 1], bodyB: links[i] }));
+        }
+
+        run(scene, 120);
+        for (let i = 1; i < links.length; i++) {
+            const gap = distance(links[i - 1].gameObject, links[i].gameObject);
+            assert.ok(Math.abs(gap - 20) < 1, `link ${i} is ${gap} from the previous one`);
+        }
+    });
+
+    it('a rope only pulls when it is taut', () => {
+        const scene = new Scene('test');
+        const weight = createBall(scene, 0, 50);
+        scene.physics.addJoint(new RopeJoint({ bodyA: weight, anchorB: { x: 0, y: 0 }, maxLength: 80 }));
+
+        run(scene, 5);
+        assert.ok(weight.gameObject.y > 50 && weight.gameObject.y < 80, 'falls freely while slack');
+
+        run(scene, 120);
+        assert.ok(Math.abs(weight.gameObject.y - 80) < 1, `hangs at ${weight.gameObject.y}`);
+    });
+
+    it('a spring settles at its rest length under gravity', () => {
+        const scene = new Scene('test');
+        const weight = createBall(scene, 0, 50);
+        scene.physics.addJoint(new SpringJoint({
+            bodyA: weight, anchorB: { x: 0, y: 0 }, length: 50, stiffness: 98, damping: 10
+        }));
+
+        run(scene, 600);
+        // Gravity 980 * mass 1 stretches a stiffness 98 spring by 10 px
+        assert.ok(Math.abs(weight.gameObject.y - 60) < 1, `rests at ${weight.gameObject.y}`);
+    });
+
+    it('a revolute joint pins the anchors together', () => {
+        const scene = new Scene('test');
+        const a = createBall(scene, 0, 0, { useGravity: false });
+        const b = createBall(scene, 20, 0);
+        const joint = scene.physics.addJoint(new RevoluteJoint({ bodyA: a, bodyB: b, anchorA: { x: 10, y: 0 }, anchorB: { x: -10, y: 0 } }));
+
+        run(scene, 60);
+        assert.ok(distance(joint.getWorldAnchorA(), joint.getWorldAnchorB()) < 0.5);
+    });
+
+    it('a weld joint moves the bodies as one', () => {
+        const scene = new Scene('test');
+        const a = createBall(scene, 0, 0, { useGravity: false });
+        const b = createBall(scene, 30, 0, { useGravity: false });
+        scene.physics.addJoint(new WeldJoint({ bodyA: a, bodyB: b }));
+        a.velocityX = 60;
+
+        run(scene, 60);
+        assert.ok(a.gameObject.x > 10);
+        assert.ok(Math.abs(b.gameObject.x - a.gameObject.x - 30) < 0.5);
+        assert.ok(Math.abs(b.gameObject.y - a.gameObject.y) < 0.5);
+    });
+
+    it('connected bodies only collide with collideConnected', () => {
+        const scene = new Scene('test');
+        const [a, b, c] = [0, 4, 8].map(x => createBall(scene, x, 0, { useGravity: false }));
+        const [colliderA, colliderB, colliderC] = [a, b, c].map(rb => rb.gameObject.getComponent(CircleCollider));
+        const joint = scene.physics.addJoint(new RopeJoint({ bodyA: a, bodyB: b, maxLength: 50 }));
+        scene.physics.addJoint(new RopeJoint({ bodyA: b, bodyB: c, maxLength: 50, collideConnected: true }));
+
+        assert.equal(scene.physics.shouldCollide(colliderA, colliderB), false);
+        assert.equal(scene.physics.shouldCollide(colliderB, colliderC), true);
+
+        scene.physics.removeJoint(joint);
+        assert.equal(scene.physics.shouldCollide(colliderA, colliderB), true);
+    });
+
+    it('removes the joints of removed objects', () => {
+        const scene = new Scene('test');
+        const bob = createBall(scene, 100, 0);
+        scene.physics.addJoint(new DistanceJoint({ bodyA: bob, anchorB: { x: 0, y: 0 } }));
+        run(scene, 1);
+
+        scene.remove(bob.gameObject);
+        run(scene, 1);
+        assert.equal(scene.physics.joints.length, 0);
+    });
+});
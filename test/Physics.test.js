@@ -0,0 +1,493 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Scene, GameObject, BoxCollider, CircleCollider, RigidBody, Physics, PhysicsMaterial, Tilemap
+} from '../src/index.js';
+
+const DT = 1 / 60;
+
+/**
+ * Creates a box game object; it gets a RigidBody when rigidBody config is given
+ */
+function createBox(scene, x, y, width, height, rigidBody = null) {
+    const obj = new GameObject(x, y);
+    const collider = obj.addComponent(new BoxCollider(width, height));
+    const rb = rigidBody ? obj.addComponent(new RigidBody(rigidBody)) : null;
+    scene.add(obj);
+    return { obj, collider, rb };
+}
+
+/**
+ * Records the collision callbacks a collider gets
+ */
+function recordCallbacks(collider) {
+    const events = [];
+    collider.onCollisionEnter = (other, contact) => events.push({ type: 'enter', other, contact });
+    collider.onCollisionStay = (other, contact) => events.push({ type: 'stay', other, contact });
+    collider.onCollisionExit = (other) => events.push({ type: 'exit', other });
+    return events;
+}
+
+/**
+ * Asserts that a vector is close to (x, y)
+ */
+function assertVector(vector, x, y) {
+    assert.ok(Math.abs(vector.x - x) < 1e-9 && Math.abs(vector.y - y) < 1e-9, `expected (${x}, ${y}), got (${vector.x}, ${vector.y})`);
+}
+
+/**
+ * Runs fixed steps on a scene
+ */
+function run(scene, steps) {
+    for (let i = 0; i < steps; i++) {
+        scene.fixedUpdate(DT);
+    }
+}
+
+describe('Physics collision callbacks', () => {
+    it('fires enter once, stay while touching and exit once', () => {
+        const scene = new Scene('test');
+        const floor = createBox(scene, 0, 100, 200, 20);
+        const box = createBox(scene, 0, 75, 20, 20, {});
+        const events = recordCallbacks(box.collider);
+
+        run(scene, 20);
+        assert.equal(events[0].type, 'enter');
+        assert.equal(events[0].other, floor.collider);
+        assert.equal(events.filter(event => event.type === 'enter').length, 1);
+        assert.ok(events.filter(event => event.type === 'stay').length > 10);
+
+        box.obj.y = -200;
+        box.rb.velocityY = 0;
+        run(scene, 1);
+        assert.equal(events.at(-1).type, 'exit');
+        assert.equal(events.at(-1).other, floor.collider);
+    });
+
+    it('passes contact data with a normal pointing away from the other collider', () => {
+        const scene = new Scene('test');
+        const floor = createBox(scene, 0, 100, 200, 20);
+        const box = createBox(scene, 0, 85, 20, 20, { useGravity: false });
+        const boxEvents = recordCallbacks(box.collider);
+        const floorEvents = recordCallbacks(floor.collider);
+
+        run(scene, 1);
+        const { contact } = boxEvents[0];
+        assert.equal(contact.collider, floor.collider);
+        assertVector(contact.normal, 0, -1);
+        assert.ok(Math.abs(contact.depth - 5) < 1e-9);
+        assertVector(floorEvents[0].contact.normal, 0, 1);
+        assert.equal(floorEvents[0].contact.collider, box.collider);
+    });
+
+    it('identifies pairs by collider id', () => {
+        const a = new BoxCollider(10, 10);
+        const b = new BoxCollider(10, 10);
+        assert.notEqual(a.id, b.id);
+        assert.equal(Physics.pairKey(a, b), Physics.pairKey(b, a));
+    });
+
+    it('fires exit when a collider is removed mid-contact', () => {
+        const scene = new Scene('test');
+        const floor = createBox(scene, 0, 100, 200, 20);
+        const box = createBox(scene, 0, 85, 20, 20, { useGravity: false });
+        box.collider.isTrigger = true;
+        const events = recordCallbacks(floor.collider);
+
+        run(scene, 2);
+        box.obj.removeComponent(box.collider);
+        run(scene, 1);
+        assert.deepEqual(events.map(event => event.type), ['enter', 'stay', 'exit']);
+    });
+});
+
+describe('Physics layers', () => {
+    it('does not detect or resolve pairs on layers that do not collide', () => {
+        const scene = new Scene('test');
+        scene.physics.setLayerCollision('player', 'bullets', false);
+        const player = createBox(scene, 0, 0, 20, 20, { useGravity: false });
+        const bullet = createBox(scene, 5, 0, 10, 10, { useGravity: false });
+        player.collider.layer = 'player';
+        bullet.collider.layer = 'bullets';
+        const events = recordCallbacks(player.collider);
+
+        run(scene, 3);
+        assert.equal(events.length, 0);
+        assert.equal(player.obj.x, 0);
+        assert.equal(bullet.obj.x, 5);
+        assert.equal(scene.physics.canLayersCollide('bullets', 'player'), false);
+        assert.equal(scene.physics.canLayersCollide('player', 'default'), true);
+    });
+
+    it('filters queries and raycasts by layer', () => {
+        const scene = new Scene('test');
+        const wall = createBox(scene, 100, 0, 20, 100);
+        const pickup = createBox(scene, 50, 0, 10, 10);
+        pickup.collider.layer = 'pickups';
+        run(scene, 1);
+
+        const physics = scene.physics;
+        assert.equal(physics.raycast(0, 0, 1, 0, 200).collider, pickup.collider);
+        assert.equal(physics.raycast(0, 0, 1, 0, 200, { layers: ['default'] }).collider, wall.collider);
+        assert.equal(physics.raycast(0, 0, 1, 0, 200, { layers: physics.getLayerMask('pickups') }).collider, pickup.collider);
+        assert.deepEqual(physics.queryArea(0, -10, 200, 20, { layers: ['pickups'] }), [pickup.collider]);
+    });
+});
+
+describe('Contact solver', () => {
+    /**
+     * Drops a ball onto a floor and returns its highest upward speed after the first impact
+     */
+    function bounce(material) {
+        const scene = new Scene('test');
+        createBox(scene, 0, 100, 200, 20);
+        const ball = new GameObject(0, 0);
+        ball.addComponent(new CircleCollider(10)).material = material;
+        const rb = ball.addComponent(new RigidBody({ drag: 0 }));
+        scene.add(ball);
+
+        let upSpeed = 0;
+        for (let i = 0; i < 60; i++) {
+            scene.fixedUpdate(DT);
+            upSpeed = Math.max(upSpeed, -rb.velocityY);
+        }
+        return upSpeed;
+    }
+
+    /**
+     * Slides a box along a floor and returns how far it travels
+     */
+    function slide(material) {
+        const scene = new Scene('test');
+        createBox(scene, 0, 100, 2000, 20).collider.material = material;
+        const box = createBox(scene, 0, 80, 20, 20, { drag: 0 });
+        box.collider.material = material;
+        box.rb.velocityX = 300;
+        run(scene, 90);
+        return box.obj.x;
+    }
+
+    it('bounces with restitution and stops without it', () => {
+        assert.ok(bounce(PhysicsMaterial.Bouncy) > 200);
+        assert.ok(bounce(null) < 1);
+    });
+
+    it('slides further on ice than on a sticky surface', () => {
+        const onIce = slide(PhysicsMaterial.Ice);
+        const onSticky = slide(PhysicsMaterial.Sticky);
+        assert.ok(onIce > 200, `ice: ${onIce}`);
+        assert.ok(onSticky < 50, `sticky: ${onSticky}`);
+    });
+
+    it('lets a heavy body push a light one and conserves momentum', () => {
+        const scene = new Scene('test');
+        const heavy = createBox(scene, 0, 0, 20, 20, { useGravity: false, drag: 0, mass: 10 });
+        const light = createBox(scene, 30, 0, 20, 20, { useGravity: false, drag: 0, mass: 1 });
+        heavy.rb.velocityX = 100;
+        light.rb.velocityX = -100;
+
+        run(scene, 30);
+        assert.ok(heavy.rb.velocityX > 0);
+        assert.ok(light.rb.velocityX > heavy.rb.velocityX - 1e-6);
+        const momentum = heavy.rb.velocityX * 10 + light.rb.velocityX * 1;
+        assert.ok(Math.abs(momentum - 900) < 1e-6, `momentum ${momentum}`);
+    });
+
+    it('treats kinematic bodies as immovable', () => {
+        const scene = new Scene('test');
+        const wall = createBox(scene, 30, 0, 20, 20, { useGravity: false, isKinematic: true });
+        const box = createBox(scene, 0, 0, 20, 20, { useGravity: false, drag: 0 });
+        box.rb.velocityX = 200;
+
+        run(scene, 20);
+        assert.equal(wall.obj.x, 30);
+        assert.ok(box.obj.x <= 10 + scene.physics.contactSlop + 1e-6, `box at ${box.obj.x}`);
+    });
+
+    it('combines materials by the highest priority mode', () => {
+        assert.equal(PhysicsMaterial.combine(0.2, 0.6, 'average', 'average'), 0.4);
+        assert.equal(PhysicsMaterial.combine(0.2, 0.6, 'max', 'min'), 0.6);
+        assert.equal(PhysicsMaterial.combine(0.2, 0.6, 'average', 'min'), 0.2);
+        assert.ok(Math.abs(PhysicsMaterial.combine(0.2, 0.6, 'multiply', 'average') - 0.12) < 1e-12);
+    });
+});
+
+describe('Physics queries', () => {
+    /**
+     * Creates a scene with a column of walls at x = 100, 200 and 300 and a trigger at x = 150
+     */
+    function createRange() {
+        const scene = new Scene('test');
+        const walls = [100, 200, 300].map(x => createBox(scene, x, 0, 20, 100).collider);
+        const trigger = createBox(scene, 150, 0, 20, 100).collider;
+        trigger.isTrigger = true;
+        const ball = new GameObject(0, 200);
+        const circle = ball.addComponent(new CircleCollider(10));
+        scene.add(ball);
+        run(scene, 1);
+        return { physics: scene.physics, walls, trigger, circle };
+    }
+
+    it('raycastAll returns every hit, closest first', () => {
+        const { physics, walls, trigger } = createRange();
+        const hits = physics.raycastAll(0, 0, 1, 0, 1000);
+        assert.deepEqual(hits.map(hit => hit.collider), [walls[0], trigger, walls[1], walls[2]]);
+        assert.deepEqual(hits.map(hit => hit.distance), [90, 140, 190, 290]);
+
+        const solid = physics.raycastAll(0, 0, 1, 0, 1000, { ignoreTriggers: true });
+        assert.equal(solid.length, 3);
+        assert.equal(physics.raycastAll(0, 0, 1, 0, 250).length, 3);
+    });
+
+    it('raycast takes an unnormalized direction and reports the surface normal', () => {
+        const { physics, walls } = createRange();
+        const hit = physics.raycast(0, 0, 10, 0, 400);
+        assert.equal(hit.collider, walls[0]);
+        assert.equal(hit.distance, 90);
+        assertVector(hit.normal, -1, 0);
+        assertVector(hit.point, 90, 0);
+        assert.equal(physics.raycast(105, 0, 1, 0, 50).distance, 0); // starts inside
+    });
+
+    it('circleCast and boxCast stop where the shape first touches', () => {
+        const { physics, walls } = createRange();
+        const circleHit = physics.circleCast(0, 0, 10, 1, 0, 500);
+        assert.equal(circleHit.collider, walls[0]);
+        assert.ok(Math.abs(circleHit.distance - 80) < 1e-6);
+        assert.ok(Math.abs(circleHit.centroid.x - 80) < 1e-6);
+
+        const boxHit = physics.boxCast(0, 0, 30, 30, 1, 0, 500, { ignoreTriggers: true });
+        assert.equal(boxHit.collider, walls[0]);
+        assert.ok(Math.abs(boxHit.distance - 75) < 1e-6);
+        assert.equal(physics.circleCast(0, 0, 10, -1, 0, 500), null);
+    });
+
+    it('finds colliders overlapping a point, a circle or a box', () => {
+        const { physics, walls, trigger, circle } = createRange();
+        assert.deepEqual(physics.overlapPoint(100, 40), [walls[0]]);
+        assert.deepEqual(physics.overlapPoint(0, 205), [circle]);
+        assert.deepEqual(physics.overlapPoint(50, 0), []);
+        assert.deepEqual(physics.overlapCircle(125, 0, 20).sort((a, b) => a.id - b.id), [walls[0], trigger].sort((a, b) => a.id - b.id));
+        assert.deepEqual(physics.overlapBox(125, 0, 40, 10, { ignoreTriggers: true }), [walls[0]]);
+        // Turned 45 degrees the box's corner reaches into the circle
+        assert.deepEqual(physics.overlapBox(0, 187.5, 4, 4), []);
+        assert.deepEqual(physics.overlapBox(0, 187.5, 4, 4, { angle: Math.PI / 4 }), [circle]);
+    });
+});
+
+describe('Continuous collision detection', () => {
+    /**
+     * Fires a small fast box at a 4 px thin wall at x = 100 and returns the box
+     */
+    function fire(continuous) {
+        const scene = new Scene('test');
+        createBox(scene, 100, 0, 4, 200);
+        const bullet = createBox(scene, 30, 0, 6, 6, { useGravity: false, drag: 0, continuous });
+        bullet.rb.velocityX = 6000; // 100 px per step
+        run(scene, 10);
+        return bullet;
+    }
+
+    /**
+     * Creates a tilemap with a solid column at tile x = 5 (rows 0 to 9) on a game object at (x, y)
+     */
+    function createTileWall(scene, x, y) {
+        const obj = new GameObject(x, y);
+        const tilemap = obj.addComponent(new Tilemap({ tileWidth: 16, tileHeight: 16, mapWidth: 10, mapHeight: 10, collisionLayer: 1 }));
+        for (let row = 0; row < 10; row++) {
+            tilemap.setTile(1, 5, row, 1);
+        }
+        scene.add(obj);
+        return tilemap;
+    }
+
+    it('a fast continuous body does not tunnel through a thin wall', () => {
+        assert.ok(fire(false).obj.x > 200, 'without CCD the bullet passes through');
+
+        const bullet = fire(true);
+        assert.ok(bullet.obj.x < 100, `bullet at ${bullet.obj.x}`);
+        assert.ok(bullet.obj.x > 90);
+        assert.ok(bullet.rb.velocityX <= 0);
+    });
+
+    it('stops at solid tiles and slides along them', () => {
+        const scene = new Scene('test');
+        createTileWall(scene, 0, 0);
+        const body = createBox(scene, 20, 40, 10, 10, { useGravity: false, drag: 0, continuous: true });
+        body.rb.velocityX = 6000;
+        body.rb.velocityY = 600;
+        run(scene, 3);
+
+        // The wall's left face is at x = 80
+        assert.ok(Math.abs(body.obj.x - 75) < 1e-6, `body at ${body.obj.x}`);
+        assert.equal(body.rb.velocityX, 0);
+        assert.ok(body.obj.y > 60);
+    });
+
+    it('places tiles where the tilemap game object is', () => {
+        const scene = new Scene('test');
+        createTileWall(scene, 200, 0); // Wall spans x = 280 to 296
+        const body = createBox(scene, 20, 40, 10, 10, { useGravity: false, drag: 0, continuous: true });
+        run(scene, 1);
+
+        const hit = scene.physics.sweep(body.rb, 400, 0);
+        assert.ok(hit);
+        assert.equal(hit.collider, null);
+        assert.equal(hit.tile.x, 5);
+        assert.ok(Math.abs(hit.distance - 255) < 1e-6, `distance ${hit.distance}`);
+        assertVector(hit.normal, -1, 0);
+
+        // Turned a quarter turn, the column lies along the x axis at y = 80 to 96
+        const turned = new Scene('test');
+        createTileWall(turned, 0, 0).gameObject.rotation = Math.PI / 2;
+        const faller = createBox(turned, -40, 20, 10, 10, { useGravity: false, drag: 0, continuous: true });
+        run(turned, 1);
+        const down = turned.physics.sweep(faller.rb, 0, 200);
+        assert.ok(down);
+        assert.ok(Math.abs(down.distance - 55) < 1e-6, `distance ${down.distance}`);
+        assertVector(down.normal, 0, -1);
+    });
+});
+
+describe('One-way colliders', () => {
+    /**
+     * Creates a jump-through platform at y = 0 (top at -5) and a box below or above it
+     */
+    function createPlatform(boxY) {
+        const scene = new Scene('test');
+        const platform = createBox(scene, 0, 0, 200, 10);
+        platform.collider.oneWay = true;
+        const box = createBox(scene, 0, boxY, 20, 20, { drag: 0 });
+        return { scene, platform, box };
+    }
+
+    it('lets a body pass up through and land on top', () => {
+        const { scene, platform, box } = createPlatform(40);
+        const events = recordCallbacks(platform.collider);
+        box.rb.velocityY = -700; // Rises about 250 px
+
+        let highest = Infinity;
+        for (let i = 0; i < 120; i++) {
+            scene.fixedUpdate(DT);
+            highest = Math.min(highest, box.obj.y);
+        }
+        assert.ok(highest < -100, 'passed through the platform');
+        assert.ok(Math.abs(box.obj.y + 15) < 0.5, `rests on top at ${box.obj.y}`);
+        assert.equal(events[0].type, 'enter'); // Only the landing is reported
+        assert.ok(events[0].contact.normal.y > 0.99);
+    });
+
+    it('holds a body landing from above', () => {
+        const { scene, box } = createPlatform(-60);
+        run(scene, 60);
+        assert.ok(Math.abs(box.obj.y + 15) < 0.5, `rests on top at ${box.obj.y}`);
+        assert.equal(box.rb.isGrounded, true);
+    });
+
+    it('does not block bodies coming from the side', () => {
+        const { scene, box } = createPlatform(0);
+        box.obj.x = -130;
+        box.rb.useGravity = false;
+        box.rb.velocityX = 300;
+        run(scene, 60);
+        assert.ok(box.obj.x > 150, `box at ${box.obj.x}`);
+    });
+
+    it('dropThrough lets a resting body fall through', () => {
+        const { scene, box } = createPlatform(-60);
+        assert.equal(scene.physics.dropThrough(box.rb), false); // Not touching yet
+
+        run(scene, 60);
+        assert.equal(scene.physics.dropThrough(box.rb), true);
+        run(scene, 30);
+        assert.ok(box.obj.y > 20, `box at ${box.obj.y}`);
+
+        // Once through, the platform holds again when the body comes back down
+        box.rb.velocityY = -800;
+        run(scene, 120);
+        assert.ok(Math.abs(box.obj.y + 15) < 0.5, `rests on top at ${box.obj.y}`);
+    });
+
+    it('faces oneWayNormal, turning with the object', () => {
+        const { platform } = createPlatform(0);
+        platform.collider.oneWayNormal = { x: 1, y: 0 };
+        platform.obj.rotation = Math.PI / 2;
+        const normal = platform.collider.getOneWayNormal();
+        assertVector(normal, 0, 1);
+    });
+});
+
+describe('Riding platforms', () => {
+    /**
+     * Creates a platform at y = 0 (top at -5) with a box resting on it
+     */
+    function createRide(platformBody) {
+        const scene = new Scene('test');
+        const platform = createBox(scene, 0, 0, 200, 10, platformBody);
+        const rider = createBox(scene, 0, -15, 20, 20, {});
+        run(scene, 30);
+        return { scene, platform, rider };
+    }
+
+    it('carries bodies standing on a kinematic platform', () => {
+        const { scene, platform, rider } = createRide({ isKinematic: true });
+        assert.equal(rider.rb.groundCollider, platform.collider);
+        assertVector(rider.rb.groundNormal, 0, -1);
+
+        const startX = rider.obj.x;
+        platform.rb.velocityX = 120;
+        for (let i = 0; i < 60; i++) {
+            platform.obj.x += platform.rb.velocityX * DT; // Kinematic bodies are moved by their owner
+            scene.fixedUpdate(DT);
+        }
+        assert.ok(Math.abs(rider.obj.x - startX - 120) < 1, `rider moved ${rider.obj.x - startX}`);
+        assert.ok(Math.abs(rider.obj.y + 15) < 0.5);
+    });
+
+    it('carries bodies standing on a collider moved by a script', () => {
+        const { scene, platform, rider } = createRide(null);
+        for (let i = 0; i < 30; i++) {
+            platform.obj.x += 2;
+            platform.obj.y -= 1;
+            scene.fixedUpdate(DT);
+        }
+        assert.ok(Math.abs(rider.obj.x - 60) < 1, `rider at ${rider.obj.x}`);
+        assert.ok(Math.abs(rider.obj.y + 45) < 0.5, `rider at ${rider.obj.y}`);
+    });
+
+    it('swings riders around a turning platform', () => {
+        const { scene, platform, rider } = createRide(null);
+        rider.obj.x = 50;
+        run(scene, 10);
+        for (let i = 0; i < 10; i++) {
+            platform.obj.rotation += 0.01;
+            scene.fixedUpdate(DT);
+        }
+        const angle = Math.atan2(rider.obj.y, rider.obj.x);
+        assert.ok(Math.abs(angle - (Math.atan2(-15, 50) + 0.1)) < 0.02, `rider angle ${angle}`);
+        assert.ok(Math.abs(rider.obj.rotation - platform.obj.rotation) < 0.02);
+    });
+
+    it('leaves riders of dynamic bodies to friction', () => {
+        // The default material has no friction, so the rider stays behind
+        const { scene, platform, rider } = createRide({ useGravity: false, mass: 1000, drag: 0 });
+        platform.rb.velocityX = 60;
+        run(scene, 60);
+        assert.ok(platform.obj.x > 55);
+        assert.ok(Math.abs(rider.obj.x) < 1, `rider at ${rider.obj.x}`);
+    });
+
+    it('does not carry riders along with a teleport', () => {
+        const { scene, platform, rider } = createRide(null);
+        platform.obj.teleport(1000, 0);
+        scene.fixedUpdate(DT);
+        assert.ok(Math.abs(rider.obj.x) < 1e-6, `rider at ${rider.obj.x}`);
+
+        // A rider teleported away is not carried by the platform it left either
+        const ride = createRide(null);
+        ride.rider.obj.teleport(500, -15);
+        ride.platform.obj.x += 10;
+        ride.scene.fixedUpdate(DT);
+        assert.ok(Math.abs(ride.rider.obj.x - 500) < 1e-6, `rider at ${ride.rider.obj.x}`);
+    });
+});
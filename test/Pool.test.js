@@ -0,0 +1,120 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, Scene, GameObject, Component, Serializer, Prefab, RigidBody, BoxCollider, ParticleEmitter } from '../src/index.js';
+
+/**
+ * Counts spawns and despawns
+ */
+class Lifetime extends Component {
+    constructor() {
+        super();
+        this.spawns = 0;
+        this.despawns = 0;
+    }
+
+    onSpawn() {
+        this.spawns++;
+    }
+
+    onDespawn() {
+        this.despawns++;
+    }
+}
+Serializer.register('Lifetime', Lifetime);
+
+const bullet = new GameObject();
+bullet.name = 'bullet';
+bullet.addComponent(new RigidBody({ useGravity: false }));
+bullet.addComponent(new BoxCollider(4, 4));
+bullet.addComponent(new Lifetime());
+Prefab.define('Bullet', bullet);
+
+describe('Pool', () => {
+    let engine, scene;
+
+    beforeEach(() => {
+        engine = new Engine({ headless: true });
+        scene = new Scene('test');
+        engine.addScene('test', scene);
+        engine.setScene('test');
+    });
+
+    it('prewarms despawned objects that stay out of physics', () => {
+        const pool = scene.createPool('Bullet', { prewarm: 3 });
+        engine.step();
+
+        assert.equal(pool.getStats().available, 3);
+        assert.equal(pool.getStats().created, 3);
+        assert.equal(scene.gameObjects.length, 3);
+        assert.ok(scene.gameObjects.every(obj => !obj.active));
+        assert.equal(scene.physics.colliders.length, 0);
+    });
+
+    it('reuses despawned objects and resets them on spawn', () => {
+        scene.createPool('Bullet', { prewarm: 1 });
+        const first = scene.spawn('Bullet', 10, 20);
+        first.getComponent(RigidBody).velocityX = 100;
+        engine.step();
+        assert.equal(scene.physics.colliders.length, 1);
+
+        first.destroy();
+        engine.step();
+        assert.equal(first.active, false);
+        assert.equal(scene.physics.colliders.length, 0);
+        assert.equal(scene.gameObjects.includes(first), true);
+
+        const second = scene.spawn('Bullet', 50, 60);
+        assert.equal(second, first);
+        assert.deepEqual([second.x, second.y, second.active], [50, 60, true]);
+        assert.equal(second.getComponent(RigidBody).velocityX, 0);
+        assert.equal(second.getComponent(Lifetime).spawns, 2);
+        assert.equal(second.getComponent(Lifetime).despawns, 1);
+        assert.equal(scene.physics.colliders.length, 1);
+        assert.equal(scene.getPool('Bullet').getStats().reused, 2);
+    });
+
+    it('refuses spawns beyond maxActive and destroys despawns beyond maxSize', () => {
+        const pool = scene.createPool('Bullet', { maxActive: 3, maxSize: 1 });
+        const spawned = [];
+        for (let i = 0; i < 4; i++) {
+            spawned.push(pool.spawn(i, 0));
+        }
+        assert.equal(spawned[3], null);
+
+        pool.despawnAll();
+        engine.step();
+        assert.deepEqual(pool.getStats(), {
+            active: 0, available: 1, created: 3, reused: 0, destroyed: 2, rejected: 1, peakActive: 3
+        });
+        assert.equal(scene.gameObjects.length, 1);
+    });
+
+    it('creates a pool for a prefab on first spawn', () => {
+        const obj = scene.spawn('Bullet', 1, 2);
+        assert.equal(obj.pool, scene.getPool('Bullet'));
+        assert.equal(obj.prefab, 'Bullet');
+    });
+
+    it('uses a create function and built-in hooks', () => {
+        const pool = scene.createPool('sparks', {
+            create: () => {
+                const obj = new GameObject();
+                obj.addComponent(new ParticleEmitter());
+                return obj;
+            }
+        });
+        const obj = pool.spawn();
+        const emitter = obj.getComponent(ParticleEmitter);
+        emitter.emit(5);
+        assert.ok(emitter.particles.length > 0);
+
+        pool.despawn(obj);
+        assert.equal(emitter.particles.length, 0);
+    });
+
+    it('leaves despawned objects out of saved scenes', () => {
+        const pool = scene.createPool('Bullet', { prewarm: 2 });
+        pool.spawn(0, 0);
+        assert.equal(scene.toJSON().objects.length, 1);
+    });
+});
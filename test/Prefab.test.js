@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scene, GameObject, Component, Serializer, Prefab, AssetLoader, SpriteRenderer, RigidBody, BoxCollider } from '../src/index.js';
+
+class FakeImage {}
+
+/**
+ * Component referring to a child of its object
+ */
+class Weapon extends Component {
+    constructor() {
+        super();
+        this.damage = 1;
+        this.hand = null;
+    }
+}
+Serializer.register('Weapon', Weapon);
+
+describe('Prefab', () => {
+    const image = new FakeImage();
+
+    const sword = new GameObject(8, 0);
+    sword.name = 'sword';
+    sword.addComponent(new SpriteRenderer({ image, width: 4 }));
+    Prefab.define('Sword', sword);
+
+    const goblin = new GameObject();
+    goblin.name = 'goblin';
+    goblin.addComponent(new SpriteRenderer({ image, color: '#00ff00' }));
+    goblin.addComponent(new RigidBody());
+    goblin.addComponent(new BoxCollider(16, 16));
+    const hand = new GameObject(4, 0);
+    hand.name = 'hand';
+    goblin.addChild(hand);
+    goblin.addComponent(new Weapon()).hand = hand;
+    Prefab.define('Goblin', goblin);
+
+    it('copies the template when it is defined', () => {
+        goblin.getComponent(Weapon).damage = 99;
+        const instance = Prefab.get('Goblin').instantiate();
+        assert.equal(instance.getComponent(Weapon).damage, 1);
+        goblin.getComponent(Weapon).damage = 1;
+    });
+
+    it('creates independent instances with their own references', () => {
+        const scene = new Scene('test');
+        const a = scene.instantiate('Goblin', 10, 20);
+        const b = scene.instantiate('Goblin', 30, 40);
+
+        assert.equal(a.prefab, 'Goblin');
+        assert.deepEqual([a.x, a.y], [10, 20]);
+        assert.notEqual(a.getComponent(RigidBody), b.getComponent(RigidBody));
+        assert.equal(a.getComponent(Weapon).hand, a.children[0]);
+        assert.equal(b.getComponent(Weapon).hand, b.children[0]);
+        assert.equal(a.getComponent(SpriteRenderer).image, image);
+    });
+
+    it('applies overrides to fields, components and children', () => {
+        const scene = new Scene('test');
+        const obj = scene.instantiate('Goblin', 0, 0, {
+            name: 'brute',
+            components: { Weapon: { damage: 5 } },
+            children: { hand: { x: 9 } }
+        });
+        assert.equal(obj.name, 'brute');
+        assert.equal(obj.getComponent(Weapon).damage, 5);
+        assert.equal(obj.children[0].x, 9);
+    });
+
+    it('expands variants and nested prefabs from JSON', () => {
+        const assets = new AssetLoader();
+        const bossImage = new FakeImage();
+        assets.assets.set('boss', bossImage);
+        Prefab.define('GoblinBoss', {
+            prefab: 'Goblin',
+            name: 'boss',
+            scaleX: 2,
+            components: { SpriteRenderer: { image: { $asset: 'boss' } }, Weapon: { damage: 20 } },
+            children: [{ prefab: 'Sword', x: -8 }]
+        }, { assets });
+
+        const boss = new Scene('test').instantiate('GoblinBoss', 100, 0);
+        assert.equal(boss.name, 'boss');
+        assert.equal(boss.scaleX, 2);
+        assert.equal(boss.x, 100);
+        assert.equal(boss.getComponent(SpriteRenderer).image, bossImage);
+        assert.equal(boss.getComponent(Weapon).damage, 20);
+        assert.equal(boss.getComponent(Weapon).hand, boss.children[0]);
+        assert.deepEqual(boss.children.map(child => [child.name, child.x]), [['hand', 4], ['sword', -8]]);
+    });
+
+    it('gives every object of an instance a unique id', () => {
+        const scene = new Scene('test');
+        scene.instantiate('GoblinBoss', 0, 0);
+        scene.instantiate('GoblinBoss', 0, 0);
+        scene._processPendingObjects();
+
+        const ids = [];
+        const collect = obj => {
+            ids.push(obj.id);
+            obj.children.forEach(collect);
+        };
+        scene.gameObjects.forEach(collect);
+        assert.equal(new Set(ids).size, ids.length);
+    });
+
+    it('returns null for a prefab that is not defined', (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal(new Scene('test').instantiate('Nope'), null);
+    });
+
+    it('throws for prefabs that contain themselves', () => {
+        Prefab.define('Loop', { prefab: 'Loop', name: 'loop' });
+        assert.throws(() => Prefab.get('Loop').instantiate(), { message: 'Prefab "Loop" contains itself: Loop -> Loop' });
+
+        Prefab.define('Rider', { name: 'rider', children: [{ prefab: 'Horse' }] });
+        Prefab.define('Horse', { name: 'horse', children: [{ prefab: 'Rider' }] });
+        assert.throws(() => new Scene('test').instantiate('Rider'), { message: 'Prefab "Rider" contains itself: Rider -> Horse -> Rider' });
+
+        // Using a prefab twice side by side is no cycle
+        Prefab.define('Pair', { name: 'pair', children: [{ prefab: 'Sword' }, { prefab: 'Sword', x: -8 }] });
+        assert.equal(Prefab.get('Pair').instantiate().children.length, 2);
+
+        ['Loop', 'Rider', 'Horse', 'Pair'].forEach(name => Prefab.remove(name));
+    });
+});
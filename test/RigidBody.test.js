@@ -0,0 +1,202 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scene, GameObject, BoxCollider, CircleCollider, RigidBody } from '../src/index.js';
+
+const DT = 1 / 60;
+
+/**
+ * Creates a box game object; it gets a RigidBody when rigidBody config is given
+ */
+function createBox(scene, x, y, width, height, rigidBody = null) {
+    const obj = new GameObject(x, y);
+    obj.addComponent(new BoxCollider(width, height));
+    const rb = rigidBody ? obj.addComponent(new RigidBody(rigidBody)) : null;
+    if (scene) scene.add(obj);
+    return { obj, rb };
+}
+
+/**
+ * Runs fixed steps on a scene
+ */
+function run(scene, steps) {
+    for (let i = 0; i < steps; i++) {
+        scene.fixedUpdate(DT);
+    }
+}
+
+/**
+ * Asserts that two numbers are within a tolerance
+ */
+function assertClose(actual, expected, tolerance, message = '') {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message} expected ${expected}, got ${actual}`);
+}
+
+describe('RigidBody rotation', () => {
+    it('derives the moment of inertia from its colliders', () => {
+        const { rb: box } = createBox(null, 0, 0, 30, 40, { mass: 2 });
+        assertClose(box.getInertia(), 2 * (30 * 30 + 40 * 40) / 12, 1e-6, 'box');
+
+        const ballObj = new GameObject();
+        ballObj.addComponent(new CircleCollider(10));
+        const ball = ballObj.addComponent(new RigidBody({ mass: 3 }));
+        assertClose(ball.getInertia(), 3 * 10 * 10 / 2, 1e-6, 'circle');
+
+        const { rb: configured } = createBox(null, 0, 0, 30, 40, { inertia: 7 });
+        assert.equal(configured.getInertia(), 7);
+    });
+
+    it('spins from torque and off-centre forces', () => {
+        const scene = new Scene('test');
+        const { obj, rb } = createBox(scene, 0, 0, 20, 20, { useGravity: false, angularDrag: 0 });
+        run(scene, 1);
+
+        rb.addTorque(rb.getInertia() * 60);
+        run(scene, 1);
+        assertClose(rb.angularVelocity, 1, 1e-9, 'angular velocity');
+        assertClose(obj.rotation, DT, 1e-9, 'rotation');
+
+        // A push on the top edge towards +x turns the box clockwise on screen (y points down)
+        rb.angularVelocity = 0;
+        rb.addImpulseAtPoint(10, 0, obj.x, obj.y - 10);
+        assertClose(rb.angularVelocity, 100 / rb.getInertia(), 1e-9, 'impulse spin');
+        assertClose(rb.velocityX, 10, 1e-9, 'impulse velocity');
+
+        const point = rb.getPointVelocity(obj.x, obj.y - 10);
+        assertClose(point.x, 10 + 10 * rb.angularVelocity, 1e-9, 'point velocity');
+    });
+
+    it('does not rotate with fixedRotation or when kinematic', () => {
+        const { rb: fixed } = createBox(null, 0, 0, 20, 20, { fixedRotation: true });
+        const { rb: kinematic } = createBox(null, 0, 0, 20, 20, { isKinematic: true });
+        assert.equal(fixed.getInverseInertia(), 0);
+        assert.equal(kinematic.getInverseInertia(), 0);
+        assert.equal(kinematic.getInverseMass(), 0);
+    });
+
+    it('tips over the edge of a ledge', () => {
+        const scene = new Scene('test');
+        createBox(scene, 0, 100, 100, 20); // Ledge from x = -50 to 50
+        const { obj } = createBox(scene, 55, 70, 20, 20, {});
+        run(scene, 60);
+        assert.ok(obj.rotation > 0.3, `rotation ${obj.rotation}`);
+        assert.ok(obj.x > 60, 'slides off');
+    });
+
+    it('lands flat without spinning', () => {
+        const scene = new Scene('test');
+        createBox(scene, 0, 100, 200, 20);
+        const { obj, rb } = createBox(scene, 0, 30, 20, 20, {});
+        run(scene, 120);
+        assertClose(obj.rotation, 0, 1e-9, 'rotation');
+        assertClose(rb.angularVelocity, 0, 1e-9, 'angular velocity');
+    });
+});
+
+describe('Resting contacts', () => {
+    it('a resting box stays at the contact slop instead of sinking', () => {
+        const scene = new Scene('test');
+        createBox(scene, 0, 100, 200, 20);
+        const { obj, rb } = createBox(scene, 0, 80, 20, 20, {});
+
+        for (let second = 0; second < 5; second++) {
+            run(scene, 60);
+            assertClose(obj.y - 80, scene.physics.contactSlop, 0.05, `after ${second + 1} s`);
+        }
+        assertClose(rb.velocityY, 0, 1, 'velocity');
+        assert.equal(obj.x, 0);
+    });
+
+    it('a stack of boxes settles upright and stays put', () => {
+        const scene = new Scene('test');
+        createBox(scene, 0, 100, 400, 20);
+        const boxes = [0, 1, 2, 3, 4].map(i => createBox(scene, 0, 80 - i * 20, 20, 20, {}).obj);
+
+        run(scene, 180);
+        const settled = boxes.map(box => box.y);
+        run(scene, 120);
+
+        boxes.forEach((box, i) => {
+            assertClose(box.x, 0, 1e-6, `box ${i} x`);
+            assertClose(box.rotation, 0, 1e-6, `box ${i} rotation`);
+            assertClose(box.y, settled[i], 0.01, `box ${i} creeps:`);
+            const below = i === 0 ? 90 : boxes[i - 1].y - 10;
+            assert.ok(box.y + 10 - below < 0.75, `box ${i} sinks ${box.y + 10 - below} px into the one below`);
+        });
+    });
+});
+
+describe('Sleeping', () => {
+    it('a resting box falls asleep and wakes when hit', () => {
+        const scene = new Scene('test');
+        createBox(scene, 0, 100, 200, 20);
+        const { obj, rb } = createBox(scene, 0, 80, 20, 20, {});
+
+        run(scene, 60);
+        assert.equal(rb.isSleeping, true);
+        const restingY = obj.y;
+        run(scene, 60);
+        assert.equal(obj.y, restingY);
+
+        const { rb: falling } = createBox(scene, 0, -100, 20, 20, {});
+        let woke = false;
+        for (let i = 0; i < 60 && !woke; i++) {
+            scene.fixedUpdate(DT);
+            woke = !rb.isSleeping;
+        }
+        assert.ok(woke, 'the hit wakes the box');
+
+        run(scene, 180);
+        assert.ok(rb.isSleeping && falling.isSleeping, 'both settle and sleep again');
+        assertClose(obj.y, restingY, 0.5, 'resting box');
+    });
+
+    it('wakes on forces and impulses, and never sleeps without canSleep', () => {
+        const scene = new Scene('test');
+        createBox(scene, 0, 100, 200, 20);
+        const { rb } = createBox(scene, 0, 80, 20, 20, {});
+        const { rb: restless } = createBox(scene, 50, 80, 20, 20, { canSleep: false });
+
+        run(scene, 60);
+        assert.equal(rb.isSleeping, true);
+        assert.equal(restless.isSleeping, false);
+
+        rb.addImpulse(100, 0);
+        assert.equal(rb.isSleeping, false);
+        run(scene, 2);
+        assert.ok(rb.gameObject.x > 0);
+    });
+
+    it('keeps reporting contacts of sleeping bodies', () => {
+        const scene = new Scene('test');
+        createBox(scene, 0, 100, 200, 20);
+        const { obj, rb } = createBox(scene, 0, 80, 20, 20, {});
+        const collider = obj.getComponent(BoxCollider);
+        const stays = [];
+        collider.onCollisionStay = (other, contact) => stays.push(contact);
+
+        run(scene, 60);
+        assert.equal(rb.isSleeping, true);
+        stays.length = 0;
+
+        run(scene, 10);
+        assert.equal(stays.length, 10);
+        assertClose(stays[9].normal.y, -1, 1e-9, 'normal');
+        assert.equal(rb.isSleeping, true);
+    });
+
+    it('puts whole islands to sleep together', () => {
+        const scene = new Scene('test');
+        createBox(scene, 0, 100, 400, 20);
+        const stack = [0, 1, 2].map(i => createBox(scene, 0, 80 - i * 20, 20, 20, {}).rb);
+        const { rb: loner } = createBox(scene, 100, 80, 20, 20, {});
+
+        run(scene, 120);
+        assert.ok(stack.every(rb => rb.isSleeping));
+
+        // Pushing the bottom box wakes the boxes resting on it, but not the box standing apart
+        stack[0].addImpulse(50, 0);
+        run(scene, 5);
+        assert.ok(stack.every(rb => !rb.isSleeping));
+        assert.equal(loner.isSleeping, true);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scene, GameObject, BoxCollider } from '../src/index.js';
+
+/**
+ * Creates a game object with a box collider
+ */
+function createBox(x = 0, y = 0) {
+    const obj = new GameObject(x, y);
+    const collider = obj.addComponent(new BoxCollider(10, 10));
+    return { obj, collider };
+}
+
+describe('Scene physics registration', () => {
+    it('registers colliders once the object is added', () => {
+        const scene = new Scene('test');
+        const { obj, collider } = createBox();
+        scene.add(obj);
+        assert.equal(scene.physics.colliders.length, 0); // pending until the next frame
+
+        scene.fixedUpdate(1 / 60);
+        assert.deepEqual(scene.physics.colliders, [collider]);
+    });
+
+    it('unregisters colliders when the object is removed', () => {
+        const scene = new Scene('test');
+        const { obj } = createBox();
+        scene.add(obj);
+        scene.fixedUpdate(1 / 60);
+
+        scene.remove(obj);
+        scene.fixedUpdate(1 / 60);
+        assert.equal(scene.physics.colliders.length, 0);
+    });
+
+    it('registers and unregisters colliders added to objects already in the scene', () => {
+        const scene = new Scene('test');
+        const obj = new GameObject();
+        scene.add(obj);
+        scene.fixedUpdate(1 / 60);
+
+        const collider = obj.addComponent(new BoxCollider(10, 10));
+        assert.deepEqual(scene.physics.colliders, [collider]);
+
+        obj.removeComponent(collider);
+        assert.equal(scene.physics.colliders.length, 0);
+    });
+
+    it('registers the colliders of children', () => {
+        const scene = new Scene('test');
+        const parent = new GameObject();
+        const { obj: child, collider } = createBox();
+        parent.addChild(child);
+        scene.add(parent);
+        scene.fixedUpdate(1 / 60);
+
+        assert.equal(child.scene, scene);
+        assert.deepEqual(scene.physics.colliders, [collider]);
+    });
+
+    it('registers and unregisters child subtrees of objects already in the scene', () => {
+        const scene = new Scene('test');
+        const parent = new GameObject();
+        scene.add(parent);
+        scene.fixedUpdate(1 / 60);
+
+        const child = new GameObject();
+        const { obj: grandchild, collider } = createBox();
+        child.addChild(grandchild);
+        parent.addChild(child);
+        assert.equal(grandchild.scene, scene);
+        assert.deepEqual(scene.physics.colliders, [collider]);
+
+        parent.removeChild(child);
+        assert.equal(grandchild.scene, null);
+        assert.equal(scene.physics.colliders.length, 0);
+    });
+
+    it('unregisters every collider on clear()', () => {
+        const scene = new Scene('test');
+        scene.add(createBox().obj);
+        scene.add(createBox().obj);
+        scene.fixedUpdate(1 / 60);
+        assert.equal(scene.physics.colliders.length, 2);
+
+        scene.clear();
+        assert.equal(scene.physics.colliders.length, 0);
+    });
+});
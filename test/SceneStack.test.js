@@ -0,0 +1,142 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, Scene, GameObject, Component } from '../src/index.js';
+
+/**
+ * Counts the fixed steps and updates it gets
+ */
+class Counter extends Component {
+    constructor() {
+        super();
+        this.fixedSteps = 0;
+        this.updates = 0;
+    }
+
+    fixedUpdate() {
+        this.fixedSteps++;
+    }
+
+    update() {
+        this.updates++;
+    }
+}
+
+/**
+ * Creates a headless engine with scenes 'level', 'hud' and 'pause', each with a Counter
+ * and logging its onEnter, onExit and render calls; 'level' is current
+ */
+function createEngine() {
+    const log = [];
+    const engine = new Engine({ headless: true });
+    engine.ctx = { fillRect() {} };
+    engine.canvas = { width: 0, height: 0 };
+
+    const scenes = {};
+    for (const name of ['level', 'hud', 'pause']) {
+        const scene = new Scene(name);
+        const obj = new GameObject();
+        scene.counter = obj.addComponent(new Counter());
+        scene.add(obj);
+        scene.onEnter = () => log.push(`enter ${name}`);
+        scene.onExit = () => log.push(`exit ${name}`);
+        scene.render = () => log.push(`render ${name}`);
+        engine.addScene(name, scene);
+        scenes[name] = scene;
+    }
+    engine.setScene('level');
+    log.length = 0;
+    return { engine, scenes, log };
+}
+
+describe('Scene stack', () => {
+    it('pushes scenes that freeze and hide the ones beneath', () => {
+        const { engine, scenes, log } = createEngine();
+        assert.equal(engine.pushScene('pause'), scenes.pause);
+        assert.equal(engine.currentScene, scenes.pause);
+        assert.deepEqual(engine.sceneStack, [scenes.level, scenes.pause]);
+
+        log.length = 0;
+        engine.step();
+        assert.deepEqual(log, ['render pause']);
+        assert.equal(scenes.level.counter.fixedSteps, 0);
+        assert.equal(scenes.pause.counter.fixedSteps, 1);
+
+        assert.equal(engine.popScene(), scenes.pause);
+        assert.equal(engine.currentScene, scenes.level);
+        engine.step();
+        assert.equal(scenes.level.counter.fixedSteps, 1);
+    });
+
+    it('launches overlays that let the scenes beneath run and show', () => {
+        const { engine, scenes, log } = createEngine();
+        engine.launchOverlay('hud');
+        engine.pushScene('pause', { renderBelow: true });
+
+        log.length = 0;
+        engine.step();
+        // Drawn bottom to top; only the pause menu runs, since it does not let the hud update
+        assert.deepEqual(log, ['render level', 'render hud', 'render pause']);
+        assert.equal(scenes.hud.counter.fixedSteps, 0);
+
+        engine.popScene();
+        log.length = 0;
+        engine.step();
+        assert.deepEqual(log, ['render level', 'render hud']);
+        assert.equal(scenes.level.counter.fixedSteps, 1);
+        assert.equal(scenes.hud.counter.fixedSteps, 1);
+    });
+
+    it('runs scenes at their own time scale', () => {
+        const { engine, scenes } = createEngine();
+        engine.launchOverlay('hud');
+        scenes.level.timeScale = 0.5;
+
+        engine.advanceFrames(10);
+        assert.equal(scenes.hud.counter.fixedSteps, 10);
+        assert.equal(scenes.level.counter.fixedSteps, 5);
+
+        // A stopped clock stops updates too
+        scenes.level.timeScale = 0;
+        const updates = scenes.level.counter.updates;
+        engine.advanceFrames(10);
+        assert.equal(scenes.level.counter.fixedSteps, 5);
+        assert.equal(scenes.level.counter.updates, updates);
+    });
+
+    it('setScene exits every scene on the stack', () => {
+        const { engine, scenes, log } = createEngine();
+        engine.launchOverlay('hud');
+        engine.setScene('pause');
+        assert.deepEqual(engine.sceneStack, [scenes.pause]);
+        assert.deepEqual(log, ['enter hud', 'exit hud', 'exit level', 'enter pause']);
+    });
+
+    it('assigning currentScene replaces the top of the stack', () => {
+        const { engine, scenes, log } = createEngine();
+        engine.launchOverlay('hud');
+        log.length = 0;
+
+        engine.currentScene = scenes.pause;
+        assert.deepEqual(engine.sceneStack, [scenes.level, scenes.pause]);
+        assert.deepEqual(log, ['exit hud', 'enter pause']);
+        assert.equal(scenes.pause.renderBelow, true); // takes over the overlay's place
+
+        engine.currentScene = null;
+        assert.deepEqual(engine.sceneStack, [scenes.level]);
+
+        const error = mock.method(console, 'error', () => {});
+        try {
+            engine.pushScene('hud');
+            engine.currentScene = scenes.level;
+            assert.equal(error.mock.callCount(), 1);
+            assert.deepEqual(engine.sceneStack, [scenes.level, scenes.hud]);
+
+            assert.equal(engine.pushScene('hud'), null);
+            engine.popScene();
+            assert.equal(engine.popScene(), null); // the last scene stays
+            assert.equal(error.mock.callCount(), 3);
+        } finally {
+            error.mock.restore();
+        }
+    });
+});
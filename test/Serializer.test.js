@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Engine, Scene, GameObject, Component, Serializer, AssetLoader, Camera,
+    SpriteRenderer, TextRenderer, RigidBody, BoxCollider, CircleCollider, PolygonCollider, RopeJoint, PhysicsMaterial
+} from '../src/index.js';
+
+class FakeImage {}
+
+/**
+ * Component with a reference to another object and a field that is not saved
+ */
+class Health extends Component {
+    constructor() {
+        super();
+        this.hp = 3;
+        this.target = null;
+        this._cache = 1;
+    }
+}
+Serializer.register('Health', Health);
+
+/**
+ * Builds a scene that uses assets, children, references, a camera and a joint
+ */
+function createScene(image) {
+    const scene = new Scene('level');
+    scene.physics.gravity = 500;
+
+    const player = new GameObject(10, 20);
+    player.name = 'player';
+    player.addComponent(new SpriteRenderer({ image, width: 16 }));
+    const body = player.addComponent(new RigidBody({ mass: 2, maxVelocityX: 300 }));
+    player.addComponent(new BoxCollider(16, 24));
+    const hat = new GameObject(0, -10);
+    hat.addComponent(new TextRenderer('hat'));
+    player.addChild(hat);
+    const health = player.addComponent(new Health());
+    health.hp = 7;
+    health.target = hat;
+
+    const ground = new GameObject(0, 100);
+    ground.name = 'ground';
+    ground.addComponent(new PolygonCollider([{ x: -50, y: 0 }, { x: 50, y: 0 }, { x: 0, y: 10 }]));
+
+    const ball = new GameObject(50, 50);
+    ball.name = 'ball';
+    const ballBody = ball.addComponent(new RigidBody());
+    ball.addComponent(new CircleCollider(4));
+
+    scene.add(player);
+    scene.add(ground);
+    scene.add(ball);
+    scene.camera = new Camera(0, 0, 320, 240);
+    scene.camera.follow(player, 0.5);
+    scene.physics.addJoint(new RopeJoint({ bodyA: body, bodyB: ballBody, maxLength: 40 }));
+    return scene;
+}
+
+describe('Serializer', () => {
+    const image = new FakeImage();
+    const assets = new AssetLoader();
+    assets.assets.set('hero', image);
+
+    it('saves a scene as JSON-safe data', () => {
+        const data = createScene(image).toJSON({ assets });
+        assert.deepEqual(JSON.parse(JSON.stringify(data)), data);
+    });
+
+    it('loads a scene with its objects, components, assets and references', () => {
+        const json = JSON.stringify(createScene(image).toJSON({ assets }));
+        const loaded = Scene.fromJSON(JSON.parse(json), { assets });
+        loaded._processPendingObjects();
+
+        const player = loaded.findByName('player');
+        assert.equal(player.x, 10);
+        assert.equal(player.y, 20);
+        assert.equal(player.getComponent(SpriteRenderer).image, image);
+        assert.equal(player.getComponent(RigidBody).mass, 2);
+        assert.equal(player.getComponent(RigidBody).maxVelocityX, 300);
+        assert.equal(player.getComponent(BoxCollider).height, 24);
+        assert.equal(player.children[0].getComponent(TextRenderer).text, 'hat');
+
+        const health = player.getComponent(Health);
+        assert.equal(health.hp, 7);
+        assert.equal(health.target, player.children[0]);
+        assert.equal(health._cache, 1);
+
+        assert.equal(loaded.physics.gravity, 500);
+        assert.equal(loaded.camera.target, player);
+        assert.equal(loaded.physics.joints[0].bodyA, player.getComponent(RigidBody));
+        assert.equal(loaded.physics.joints[0].bodyB.gameObject, loaded.findByName('ball'));
+        assert.equal(loaded.physics.colliders.length, 3);
+    });
+
+    it('saves a loaded scene the same way again', () => {
+        const first = JSON.stringify(createScene(image).toJSON({ assets }));
+        const loaded = Scene.fromJSON(JSON.parse(first), { assets });
+        const second = JSON.stringify(loaded.toJSON({ assets }));
+        assert.equal(second.length, first.length);
+    });
+
+    it('simulates a loaded scene like the original', () => {
+        const original = createScene(image);
+        const loaded = Scene.fromJSON(JSON.parse(JSON.stringify(original.toJSON({ assets }))), { assets });
+
+        const positions = [];
+        for (const scene of [original, loaded]) {
+            const engine = new Engine({ headless: true, deterministic: true, seed: 1 });
+            engine.addScene('level', scene);
+            engine.setScene('level');
+            engine.advanceFrames(60);
+            positions.push(scene.findByName('ball').y);
+        }
+        assert.equal(positions[1], positions[0]);
+    });
+
+    it('gives a loaded object a new id and keeps the references inside it', () => {
+        const scene = createScene(image);
+        scene._processPendingObjects();
+        const player = scene.findByName('player');
+
+        const copy = GameObject.fromJSON(JSON.parse(JSON.stringify(player.toJSON())));
+        assert.notEqual(copy.id, player.id);
+        assert.equal(copy.getComponent(Health).target, copy.children[0]);
+    });
+
+    it('can be saved with JSON.stringify directly', () => {
+        const scene = new Scene('level');
+        const obj = new GameObject(5, 6);
+        obj.addComponent(new BoxCollider(10, 10));
+        scene.add(obj);
+
+        // JSON.stringify passes the property key to toJSON, which must not be taken for options
+        assert.equal(JSON.stringify(scene), JSON.stringify(scene.toJSON()));
+        const save = JSON.parse(JSON.stringify({ level: scene, player: obj }));
+        assert.deepEqual(save.level, JSON.parse(JSON.stringify(scene.toJSON())));
+        assert.equal(save.player.x, 5);
+        assert.equal(save.player.components[0].type, 'BoxCollider');
+    });
+
+    it('keeps preset materials shared and copies custom ones', () => {
+        const obj = new GameObject();
+        const bouncy = obj.addComponent(new BoxCollider(10, 10));
+        bouncy.material = PhysicsMaterial.Bouncy;
+        const custom = obj.addComponent(new CircleCollider(5));
+        custom.material = new PhysicsMaterial({ restitution: 0.3 });
+
+        const data = JSON.parse(JSON.stringify(obj.toJSON()));
+        assert.deepEqual(data.components[0].material, { $shared: 'PhysicsMaterial.Bouncy' });
+
+        const copy = GameObject.fromJSON(data);
+        assert.equal(copy.getComponent(BoxCollider).material, PhysicsMaterial.Bouncy);
+        const material = copy.getComponent(CircleCollider).material;
+        assert.ok(material instanceof PhysicsMaterial);
+        assert.notEqual(material, custom.material);
+        assert.equal(material.restitution, 0.3);
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scene, GameObject, BoxCollider, RigidBody, Tilemap, TilemapCollider } from '../src/index.js';
+
+const DT = 1 / 60;
+
+/**
+ * Builds a tilemap object from rows of tile indices, 10 px tiles
+ */
+function createMap(rows, config = {}, x = 0, y = 0) {
+    const obj = new GameObject(x, y);
+    const tilemap = obj.addComponent(new Tilemap({ tileWidth: 10, tileHeight: 10, layers: [rows], collisionLayer: 0 }));
+    const tilemapCollider = obj.addComponent(new TilemapCollider(config));
+    return { obj, tilemap, tilemapCollider };
+}
+
+/**
+ * Runs fixed steps on a scene
+ */
+function run(scene, steps) {
+    for (let i = 0; i < steps; i++) {
+        scene.fixedUpdate(DT);
+    }
+}
+
+/**
+ * Drops a 10x10 box at (x, y) into a scene
+ */
+function dropBox(scene, x, y) {
+    const obj = new GameObject(x, y);
+    obj.addComponent(new BoxCollider(10, 10));
+    obj.addComponent(new RigidBody());
+    scene.add(obj);
+    return obj;
+}
+
+describe('TilemapCollider', () => {
+    it('merges runs of solid tiles into rectangles', () => {
+        const { tilemapCollider } = createMap([
+            [0, 0, 0, 0],
+            [1, 1, 1, 0],
+            [1, 1, 1, 1],
+            [1, 1, 1, 1]
+        ]);
+
+        const parts = tilemapCollider.getParts().map(part => part.tiles);
+        assert.deepEqual(parts, [
+            { x: 0, y: 1, width: 3, height: 1 },
+            { x: 0, y: 2, width: 4, height: 2 }
+        ]);
+
+        const [top, bottom] = tilemapCollider.parts;
+        assert.deepEqual([top.width, top.height, top.offset.x, top.offset.y], [30, 10, 15, 15]);
+        assert.deepEqual([bottom.width, bottom.height, bottom.offset.x, bottom.offset.y], [40, 20, 20, 30]);
+    });
+
+    it('gives slope, one-way and custom tiles their own shapes', () => {
+        const { tilemapCollider } = createMap([[2, 3, 4, 4, 5, 6]], {
+            tileShapes: { 2: 'slopeUp', 3: 'slopeDown', 4: 'oneWay', 5: 'none', 6: [{ x: 0, y: 5 }, { x: 10, y: 5 }, { x: 10, y: 10 }, { x: 0, y: 10 }] }
+        });
+
+        const parts = tilemapCollider.getParts();
+        assert.equal(parts.length, 4);
+        const [up, down, custom, oneWay] = parts;
+        assert.deepEqual(up.points, [{ x: -5, y: 5 }, { x: 5, y: 5 }, { x: 5, y: -5 }]);
+        assert.deepEqual(down.points, [{ x: -5, y: -5 }, { x: -5, y: 5 }, { x: 5, y: 5 }]);
+        assert.deepEqual(custom.tiles, { x: 5, y: 0, width: 1, height: 1 });
+        assert.deepEqual(oneWay.tiles, { x: 2, y: 0, width: 2, height: 1 });
+        assert.equal(oneWay.oneWay, true);
+    });
+
+    it('bodies land on the tiles and raycasts report the part', () => {
+        const scene = new Scene('test');
+        const { tilemapCollider } = createMap([[1, 1, 1, 1, 1]], {}, 0, 100);
+        scene.add(tilemapCollider.gameObject);
+        const box = dropBox(scene, 25, 50);
+
+        run(scene, 120);
+        assert.ok(Math.abs(box.y - 95) < 0.5, `rests at ${box.y}`);
+
+        const hit = scene.physics.raycast(25, 0, 0, 1, 200, { filter: collider => collider.tilemapCollider });
+        assert.equal(hit.collider, tilemapCollider.parts[0]);
+        assert.ok(Math.abs(hit.distance - 100) < 1e-6);
+    });
+
+    it('rebuilds after setTile', () => {
+        const scene = new Scene('test');
+        const { tilemap, tilemapCollider } = createMap([[1, 1, 1, 1, 1]], {}, 0, 100);
+        scene.add(tilemapCollider.gameObject);
+        run(scene, 1);
+
+        tilemap.setTile(0, 2, 0, 0);
+        run(scene, 1);
+        assert.deepEqual(tilemapCollider.parts.map(part => part.tiles.width), [2, 2]);
+        assert.equal(scene.physics.overlapPoint(25, 105).length, 0);
+        assert.equal(scene.physics.overlapPoint(5, 105).length, 1);
+    });
+
+    it('switches parts off with the component or one at a time', () => {
+        const scene = new Scene('test');
+        const { tilemapCollider } = createMap([[1, 1, 0, 1, 1]], {}, 0, 100);
+        scene.add(tilemapCollider.gameObject);
+        run(scene, 1);
+        const [left, right] = tilemapCollider.parts;
+
+        tilemapCollider.active = false;
+        assert.equal(left.active, false);
+        assert.equal(scene.physics.overlapPoint(5, 105).length, 0);
+
+        tilemapCollider.active = true;
+        right.active = false;
+        assert.equal(left.active, true);
+        assert.equal(scene.physics.overlapPoint(5, 105).length, 1);
+        assert.equal(scene.physics.overlapPoint(45, 105).length, 0);
+
+        // A part switched off stays off while the component is switched off and on again
+        tilemapCollider.active = false;
+        tilemapCollider.active = true;
+        assert.equal(right.active, false);
+    });
+
+    it('places the tiles with the tilemap object and offset', () => {
+        const scene = new Scene('test');
+        const { tilemap, tilemapCollider } = createMap([[1]], {}, 100, 50);
+        tilemap.offsetX = 20;
+        scene.add(tilemapCollider.gameObject);
+        run(scene, 1);
+
+        assert.equal(scene.physics.overlapPoint(125, 55).length, 1);
+        assert.equal(scene.physics.overlapPoint(105, 55).length, 0);
+    });
+});
@@ -0,0 +1,146 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, Scene, GameObject, Component, FadeTransition } from '../src/index.js';
+
+/**
+ * Counts the updates it gets
+ */
+class Counter extends Component {
+    constructor() {
+        super();
+        this.updates = 0;
+    }
+
+    update() {
+        this.updates++;
+    }
+}
+
+/**
+ * Creates a scene with a Counter that logs its onEnter and onExit calls
+ */
+function createScene(name, log) {
+    const scene = new Scene(name);
+    const obj = new GameObject();
+    scene.counter = obj.addComponent(new Counter());
+    scene.add(obj);
+    scene.onEnter = () => log.push(`enter ${name}`);
+    scene.onExit = () => log.push(`exit ${name}`);
+    return scene;
+}
+
+/**
+ * Creates a headless engine showing scene 'a', with scene 'b' to transition to
+ */
+function createEngine() {
+    const log = [];
+    const engine = new Engine({ headless: true });
+    const a = createScene('a', log);
+    const b = createScene('b', log);
+    engine.addScene('a', a);
+    engine.addScene('b', b);
+    engine.setScene('a');
+    log.length = 0;
+    return { engine, a, b, log };
+}
+
+/**
+ * Lets pending promise callbacks run
+ */
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('Scene transitions', () => {
+    it('covers the old scene, switches and reveals the new one', async () => {
+        const { engine, a, b, log } = createEngine();
+        engine.events.on('transitionStart', ({ from, to }) => log.push(`start ${from.name} ${to.name}`));
+        engine.events.on('transitionEnd', ({ from, to }) => log.push(`end ${from.name} ${to.name}`));
+
+        const transition = new FadeTransition({ duration: 0.5 });
+        const done = engine.transitionTo('b', transition);
+        assert.equal(engine.transition, transition);
+        assert.equal(transition.phase, 'out');
+
+        // The old scene keeps running while it is covered
+        engine.advanceFrames(15);
+        assert.equal(engine.currentScene, a);
+        assert.ok(transition.getCoverage() > 0 && transition.getCoverage() < 1);
+        assert.equal(a.counter.updates, 15);
+
+        engine.advanceFrames(16);
+        await flush();
+        assert.equal(engine.currentScene, b);
+        assert.equal(transition.phase, 'in');
+
+        engine.advanceFrames(31);
+        assert.equal(await done, true);
+        assert.equal(engine.transition, null);
+        assert.ok(b.counter.updates > 0);
+        assert.deepEqual(log, ['start a b', 'exit a', 'enter b', 'end a b']);
+    });
+
+    it('keeps the screen covered until an async onEnter resolves', async () => {
+        const { engine, b } = createEngine();
+        let finishLoading;
+        b.onEnter = () => new Promise(resolve => { finishLoading = resolve; });
+
+        const transition = new FadeTransition({ duration: 0.1 });
+        const done = engine.transitionTo('b', transition);
+        engine.advanceFrames(10);
+        await flush();
+        assert.equal(transition.phase, 'loading');
+        assert.equal(transition.getCoverage(), 1);
+
+        // Neither updated nor stepped while it loads
+        engine.advanceFrames(30);
+        await flush();
+        assert.equal(b.counter.updates, 0);
+        assert.equal(transition.phase, 'loading');
+
+        finishLoading();
+        await flush();
+        assert.equal(transition.phase, 'in');
+        engine.advanceFrames(10);
+        assert.equal(await done, true);
+        assert.ok(b.counter.updates > 0);
+    });
+
+    it('still reveals a scene whose onEnter fails', async () => {
+        const { engine, b } = createEngine();
+        b.onEnter = async () => { throw new Error('missing asset'); };
+        const error = mock.method(console, 'error', () => {});
+        try {
+            const done = engine.transitionTo('b', new FadeTransition({ duration: 0.1 }));
+            engine.advanceFrames(10);
+            await flush();
+            assert.equal(error.mock.callCount(), 1);
+
+            engine.advanceFrames(10);
+            assert.equal(await done, true);
+            assert.equal(engine.currentScene, b);
+        } finally {
+            error.mock.restore();
+        }
+    });
+
+    it('refuses a second transition while one is playing', async () => {
+        const { engine } = createEngine();
+        const error = mock.method(console, 'error', () => {});
+        try {
+            const first = engine.transitionTo('b', new FadeTransition({ duration: 0.1 }));
+            const second = engine.transitionTo('a', 'slide');
+            assert.equal(await second, false);
+            assert.equal(await engine.transitionTo('missing'), false);
+            assert.equal(error.mock.callCount(), 2);
+
+            engine.advanceFrames(10);
+            await flush();
+            engine.advanceFrames(10);
+            assert.equal(await first, true);
+            assert.equal(engine.currentScene.name, 'b');
+        } finally {
+            error.mock.restore();
+        }
+    });
+});